@@ -0,0 +1,101 @@
+'use strict';
+
+const express = require('express');
+const { TABLES } = require('./store');
+
+const MAX_ROWS = 2000;
+
+// ─── Persistence API ──────────────────────────────────────────────────────────
+// GET    /api/data/:table?col=a&col=b   rows where col is a or b
+// PUT    /api/data/:table {rows}        upsert on the table's natural key
+// DELETE /api/data/:table?col=a         delete matching rows (a filter is required)
+// Every request runs as req.user (see auth.js) and only ever sees that teacher's rows.
+function readFilter(query) {
+  const filter = {};
+  for (const [col, val] of Object.entries(query)) {
+    const values = [].concat(val);
+    if (values.some(v => typeof v !== 'string')) return null;
+    filter[col] = Array.isArray(val) ? values : val;
+  }
+  return filter;
+}
+
+// Each table is tied to its teacher through one column
+const SCOPE_COLUMN = {
+  classrooms: 'user_id', tombstones: 'user_id', export_settings: 'user_id',
+  students: 'classroom_id', lessons: 'classroom_id', columns: 'classroom_id',
+  grades: 'lesson_id', attendance: 'lesson_id',
+};
+
+function createDataRouter(store) {
+  const router = express.Router();
+
+  function allowedIds(table, userId) {
+    const column = SCOPE_COLUMN[table];
+    if (column === 'user_id') return [userId];
+    const rooms = store.select('classrooms', { user_id: userId }).map(c => String(c.id));
+    if (column === 'classroom_id') return rooms;
+    return rooms.length ? store.select('lessons', { classroom_id: rooms }).map(l => String(l.id)) : [];
+  }
+
+  // Narrows the scope column to the teacher's ids; an empty list matches nothing
+  function scoped(table, filter, userId) {
+    const column = SCOPE_COLUMN[table];
+    const allowed = allowedIds(table, userId);
+    const wanted = filter[column] === undefined ? allowed : [].concat(filter[column]).filter(v => allowed.includes(String(v)));
+    return { ...filter, [column]: wanted };
+  }
+
+  router.param('table', (req, res, next, name) => {
+    if (!Object.prototype.hasOwnProperty.call(TABLES, name)) return res.status(404).json({ error: `Unknown table: ${name}` });
+    next();
+  });
+
+  router.get('/:table', (req, res) => {
+    const filter = readFilter(req.query);
+    if (!filter) return res.status(400).json({ error: 'Invalid filter' });
+    res.json(store.select(req.params.table, scoped(req.params.table, filter, req.user.id)));
+  });
+
+  router.put('/:table', async (req, res, next) => {
+    const rows = req.body?.rows;
+    if (!Array.isArray(rows) || rows.some(r => !r || typeof r !== 'object' || Array.isArray(r))) {
+      return res.status(400).json({ error: 'rows must be an array of objects' });
+    }
+    if (rows.length > MAX_ROWS) return res.status(400).json({ error: `Too many rows (max ${MAX_ROWS})` });
+    const { key, generatedId } = TABLES[req.params.table];
+    const missing = key.find(k => rows.some(r => r[k] === undefined || r[k] === null));
+    if (missing && !(generatedId && missing === 'id')) return res.status(400).json({ error: `Missing ${missing}` });
+    const table = req.params.table;
+    const column = SCOPE_COLUMN[table];
+    let owned = rows;
+    if (column === 'user_id') {
+      owned = rows.map(r => ({ ...r, user_id: req.user.id }));
+      // Classroom ids come from the client, so refuse to take over someone else's
+      const taken = table === 'classrooms' && owned.some(r => store.select('classrooms', { id: r.id }).some(c => c.user_id !== req.user.id));
+      if (taken) return res.status(403).json({ error: 'Classroom belongs to another account' });
+    } else {
+      const allowed = new Set(allowedIds(table, req.user.id));
+      if (rows.some(r => !allowed.has(String(r[column])))) return res.status(403).json({ error: 'Not your classroom' });
+      // Lesson ids are generated here, so an id that names another classroom's lesson is refused
+      const foreign = table === 'lessons' && rows.some(r => r.id != null && store.select('lessons', { id: r.id }).some(l => String(l.classroom_id) !== String(r.classroom_id)));
+      if (foreign) return res.status(403).json({ error: 'Lesson belongs to another classroom' });
+    }
+    try {
+      res.json(await store.upsert(table, owned));
+    } catch (err) { next(err); }
+  });
+
+  router.delete('/:table', async (req, res, next) => {
+    const filter = readFilter(req.query);
+    if (!filter) return res.status(400).json({ error: 'Invalid filter' });
+    if (!Object.keys(filter).length) return res.status(400).json({ error: 'A filter is required' });
+    try {
+      res.json({ deleted: await store.remove(req.params.table, scoped(req.params.table, filter, req.user.id)) });
+    } catch (err) { next(err); }
+  });
+
+  return router;
+}
+
+module.exports = { createDataRouter };
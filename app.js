@@ -5,7 +5,13 @@
 // ============================================
 const APP_VERSION = '7.0.0';
 const SYNC_INTERVAL = 30000;
+const PULL_INTERVAL = 300000;
+const PUSH_DEBOUNCE = 2000;
+const TOMBSTONE_TTL = 90 * 24 * 60 * 60 * 1000;
 const MAX_RETRY_ATTEMPTS = 3;
+const IDB_NAME = 'gradejournal';
+const IDB_VERSION = 2;
+const STORAGE_WARN_RATIO = 0.8;
 const BATCH_SIZE = 25;
 
 // ============================================
@@ -41,7 +47,7 @@ window.addEventListener('supabase:ready', connectSupabaseClient);
 // ============================================
 let DB = {
   classrooms: [], nextId: 1, user: null,
-  lastSync: null, syncStatus: 'idle', pendingChanges: [],
+  lastSync: null, syncStatus: 'idle', pendingChanges: [], tombstones: [],
   exportSettings: { color: { h: 30, s: 60, l: 50, a: 100 }, logo: null, logoName: null, logoSize: null },
   gradeTemplates: []  // NEW: grade column templates
 };
@@ -85,62 +91,184 @@ function CL() { return CID && LID ? getLesson(CID, LID) : null; }
 // ============================================
 // DATA MERGING
 // ============================================
-function mergeData(local, remote) {
+// Merging is three-way: `base` is the classroom list as it stood after the
+// last successful sync. A value changed on only one side since then wins
+// outright; a value changed differently on both sides is a conflict, resolved
+// in favour of the newer entity and reported through `conflicts`. Without a
+// base (first sync on a device) the newer entity wins field by field.
+function mergeData(local, remote, base = null, conflicts = []) {
   if (!remote) return local;
+  const tombstones = mergeTombstones(local.tombstones, remote.tombstones);
   const merged = {
     ...local,
     classrooms: [],
+    tombstones,
     nextId: Math.max(local.nextId || 1, remote.nextId || 1),
     lastSync: new Date().toISOString(),
     exportSettings: remote.exportSettings || local.exportSettings  // FIX: merge exportSettings
   };
-  const localMap = new Map(local.classrooms?.map(c => [c.id, c]) || []);
-  const remoteMap = new Map(remote.classrooms?.map(c => [c.id, c]) || []);
-  const allIds = new Set([...localMap.keys(), ...remoteMap.keys()]);
-  for (const id of allIds) {
-    const lc = localMap.get(id), rc = remoteMap.get(id);
-    if (lc && !rc) { merged.classrooms.push(lc); }
-    else if (!lc && rc) { merged.classrooms.push(rc); }
-    else if (lc && rc) {
-      const lt = new Date(lc.updatedAt || 0).getTime();
-      const rt = new Date(rc.updatedAt || 0).getTime();
-      if (rt > lt) {
-        merged.classrooms.push({ ...rc, students: mergeArrayById(lc.students||[], rc.students||[]), lessons: mergeArrayById(lc.lessons||[], rc.lessons||[]) });
-      } else { merged.classrooms.push(lc); }
-    }
-  }
+  merged.classrooms = mergeEntities(local.classrooms, remote.classrooms, base,
+    (id, c) => isTombstoned(tombstones, 'classroom', id, null, c.updatedAt),
+    (lc, rc, bc) => mergeClassroom(lc, rc, bc, tombstones, conflicts))
+    .map(c => dropTombstonedChildren(c, tombstones));
   return merged;
 }
 
-function mergeArrayById(local, remote) {
-  const lm = new Map(local.map(i => [i.id, i]));
-  const rm = new Map(remote.map(i => [i.id, i]));
-  const merged = [];
-  for (const [id, li] of lm) {
-    const ri = rm.get(id);
-    if (ri) { merged.push(new Date(ri.updatedAt||0) > new Date(li.updatedAt||0) ? ri : li); }
-    else { merged.push(li); }
+function sameValue(a, b) { return a === b || JSON.stringify(a) === JSON.stringify(b); }
+function isNewer(a, b) { return new Date(a?.updatedAt || 0) > new Date(b?.updatedAt || 0); }
+function latestTime(a, b) { return isNewer(b, a) ? b.updatedAt : a.updatedAt; }
+
+function mergeValue(lv, rv, bv, hasBase, preferRemote, onConflict) {
+  if (sameValue(lv, rv)) return lv;
+  if (hasBase) {
+    if (sameValue(lv, bv)) return rv;
+    if (sameValue(rv, bv)) return lv;
+    onConflict(lv, rv, bv);
   }
-  for (const [id, ri] of rm) { if (!lm.has(id)) merged.push(ri); }
+  return preferRemote ? rv : lv;
+}
+
+// Field-by-field merge of two versions of one entity, skipping nested collections
+function mergeFields(l, r, b, skip, onConflict) {
+  const preferRemote = isNewer(r, l);
+  const out = {};
+  new Set([...Object.keys(l), ...Object.keys(r)]).forEach(k => {
+    if (skip.includes(k)) return;
+    if (k === 'updatedAt') { out[k] = latestTime(l, r); return; }
+    if (k === 'cloudId') { out[k] = l.cloudId || r.cloudId; return; }
+    const val = mergeValue(l[k], r[k], b?.[k], !!b, preferRemote, (lv, rv, bv) => onConflict(k, lv, rv, bv));
+    if (val !== undefined) out[k] = val;
+  });
+  return out;
+}
+
+function mergeEntities(localArr = [], remoteArr = [], baseArr = [], isDeleted, mergeOne) {
+  const lm = new Map(localArr.map(i => [i.id, i]));
+  const rm = new Map(remoteArr.map(i => [i.id, i]));
+  const bm = new Map((baseArr || []).map(i => [i.id, i]));
+  const merged = [];
+  new Set([...lm.keys(), ...rm.keys()]).forEach(id => {
+    const li = lm.get(id), ri = rm.get(id);
+    if (isDeleted(id, li && ri ? (isNewer(ri, li) ? ri : li) : (li || ri))) return;
+    merged.push(li && ri ? mergeOne(li, ri, bm.get(id)) : (li || ri));
+  });
+  return merged;
+}
+
+function mergeClassroom(lc, rc, bc, tombstones, conflicts) {
+  const cid = lc.id;
+  const note = (entity, extra) => (field, local, remote, base) => conflicts.push({ entity, classroomId: cid, field, local, remote, base, ...extra });
+  const merged = mergeFields(lc, rc, bc, ['students', 'lessons', 'columns', 'nextSid', 'nextLid', 'nextCid'], note('classroom', {}));
+  merged.nextSid = Math.max(lc.nextSid || 1, rc.nextSid || 1);
+  merged.nextLid = Math.max(lc.nextLid || 1, rc.nextLid || 1);
+  merged.nextCid = Math.max(lc.nextCid || 1, rc.nextCid || 1);
+  merged.students = mergeEntities(lc.students, rc.students, bc?.students,
+    (id, item) => isTombstoned(tombstones, 'student', cid, id, item.updatedAt),
+    (l, r, b) => mergeFields(l, r, b, [], note('student', { studentId: l.id })));
+  merged.columns = mergeEntities(lc.columns, rc.columns, bc?.columns,
+    (id, item) => isTombstoned(tombstones, 'column', cid, id, item.updatedAt),
+    (l, r, b) => mergeFields(l, r, b, [], note('column', { columnId: l.id })));
+  merged.lessons = mergeEntities(lc.lessons, rc.lessons, bc?.lessons,
+    (id, item) => isTombstoned(tombstones, 'lesson', cid, id, item.updatedAt),
+    (l, r, b) => mergeLesson(cid, l, r, b, conflicts));
+  return merged;
+}
+
+function mergeLesson(classroomId, l, r, b, conflicts) {
+  const merged = mergeFields(l, r, b, ['data', 'studentIds'], (field, local, remote, base) =>
+    conflicts.push({ entity: 'lesson', classroomId, lessonId: l.id, field, local, remote, base }));
+  // Roster: keep anything added on either side, drop anything removed on either side
+  const ls = l.studentIds || [], rs = r.studentIds || [], bs = b?.studentIds;
+  merged.studentIds = bs
+    ? [...new Set([...ls, ...rs])].filter(id => (ls.includes(id) && rs.includes(id)) || !bs.includes(id))
+    : [...new Set([...ls, ...rs])];
+  const ld = l.data || {}, rd = r.data || {}, bd = b?.data || {};
+  const preferRemote = isNewer(r, l);
+  merged.data = {};
+  new Set([...Object.keys(ld), ...Object.keys(rd)]).forEach(key => {
+    const val = mergeValue(ld[key], rd[key], bd[key], !!b, preferRemote, (local, remote, base) =>
+      conflicts.push({ entity: 'cell', classroomId, lessonId: l.id, key, local, remote, base }));
+    if (val !== undefined) merged.data[key] = val;
+  });
   return merged;
 }
 
+// ============================================
+// TOMBSTONES
+// ============================================
+// Deleted classrooms, students, lessons and columns leave a tombstone so that
+// a copy still held by another device or by the cloud is not merged back in.
+// A copy stamped after the deletion (e.g. restored from a snapshot) survives.
+function tombstoneKey(t) { return [t.entity, t.classroomId, t.id ?? ''].join('|'); }
+
+function isTombstoned(tombstones, entity, classroomId, id, updatedAt = null) {
+  const key = tombstoneKey({ entity, classroomId, id });
+  const covers = t => !updatedAt || new Date(updatedAt) <= new Date(t.deletedAt);
+  return tombstones.some(t => tombstoneKey(t) === key && covers(t)) ||
+    (entity !== 'classroom' && tombstones.some(t => t.entity === 'classroom' && t.classroomId === classroomId && covers(t)));
+}
+
+function mergeTombstones(...lists) {
+  const cutoff = Date.now() - TOMBSTONE_TTL;
+  const byKey = new Map();
+  lists.flat().filter(Boolean).forEach(t => {
+    if (new Date(t.deletedAt).getTime() < cutoff) return;
+    const prev = byKey.get(tombstoneKey(t));
+    if (!prev || t.deletedAt > prev.deletedAt) byKey.set(tombstoneKey(t), t);
+  });
+  return [...byKey.values()];
+}
+
+function dropTombstonedChildren(c, tombstones) {
+  const alive = entity => x => !isTombstoned(tombstones, entity, c.id, x.id, x.updatedAt);
+  const lessons = (c.lessons || []).filter(alive('lesson'));
+  const lessonIds = new Set(lessons.map(l => l.id));
+  return {
+    ...c,
+    students: (c.students || []).filter(alive('student')),
+    lessons,
+    columns: (c.columns || []).filter(alive('column')).filter(col => !col.lessonId || lessonIds.has(col.lessonId))
+  };
+}
+
+function addTombstone(entity, classroomId, id) {
+  DB.tombstones = mergeTombstones(DB.tombstones, [{ entity, classroomId, id, deletedAt: new Date().toISOString() }]);
+}
+
+function tombstoneRow(t, userId) {
+  return { user_id: userId, entity: t.entity, classroom_id: t.classroomId, entity_id: String(t.id ?? ''), deleted_at: t.deletedAt };
+}
+
+function tombstoneFromRow(r) {
+  return { entity: r.entity, classroomId: r.classroom_id, id: r.entity_id === '' ? null : (r.entity === 'classroom' ? null : +r.entity_id), deletedAt: r.deleted_at };
+}
+
+// The base snapshot belongs to one signed-in user and lives beside the main data
+async function loadSyncBase(userId = DB.user?.id) {
+  try {
+    const base = await readMeta('syncBase');
+    return base && base.userId === userId ? base.classrooms : null;
+  } catch { return null; }
+}
+
+function saveSyncBase(classrooms, userId = DB.user?.id) {
+  return writeMeta('syncBase', { userId, classrooms });
+}
+
 // ============================================
 // LOAD / SAVE
 // ============================================
 async function loadDB() {
   try {
     abortController = new AbortController();
-    const localData = loadFromLocalStorage();
+    const localData = await loadFromStore();
     if (localData) DB = localData;
-    if (!DB.exportSettings) DB.exportSettings = { color: { h: 30, s: 60, l: 50, a: 100 } };
-    if (!DB.gradeTemplates) DB.gradeTemplates = [];
-    DB.classrooms.forEach(c => {
-      if (!c.updatedAt) c.updatedAt = new Date().toISOString();
-      c.students?.forEach(s => { if (!s.updatedAt) s.updatedAt = c.updatedAt; });
-      c.lessons?.forEach(l => { if (!l.updatedAt) l.updatedAt = c.updatedAt; });
-    });
-    migrateLegacyData();  // FIX: migrate BEFORE rebuilding index
+    DB.syncStatus = 'idle';
+    try {
+      DB = await upgradeStoredData(DB);  // FIX: migrate BEFORE rebuilding index
+    } catch (e) {
+      showErrorNotification(`${e.message} Your data was left as it was; export a backup before editing.`);
+    }
     rebuildIndex();
   } catch (e) {
     console.error('Failed to load DB', e);
@@ -149,7 +277,7 @@ async function loadDB() {
   }
 }
 
-function loadFromLocalStorage() {
+function loadFromLegacyStorage() {
   try {
     const main = localStorage.getItem('gj_v6_pro');
     if (main) return JSON.parse(main);
@@ -162,43 +290,458 @@ function loadFromLocalStorage() {
 async function loadFromBackup() {
   try {
     const backup = localStorage.getItem('gj_v6_pro_backup');
-    if (backup) { DB = JSON.parse(backup); rebuildIndex(); showToast('✅ Restored from backup'); }
+    if (backup) { DB = migrateDocument(JSON.parse(backup)); rebuildIndex(); showToast('✅ Restored from backup'); }
   } catch (e) { console.error('Backup load failed:', e); }
 }
 
-function migrateLegacyData() {
-  DB.classrooms.forEach(c => {
-    c.lessons.forEach(l => {
-      if (!l.studentIds) l.studentIds = c.students.map(s => s.id);
-      if (!l.updatedAt) l.updatedAt = new Date().toISOString();
+// ============================================
+// SCHEMA MIGRATIONS
+// ============================================
+// DB.schemaVersion records which of these steps a document has been through.
+// Steps run in order on a copy of the document; if one throws, the copy is
+// thrown away and the caller keeps the untouched original. Only ever append.
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'Backfill lesson rosters and timestamps',
+    up(doc) {
+      const now = new Date().toISOString();
+      doc.classrooms = doc.classrooms || [];
+      doc.classrooms.forEach(c => {
+        c.students = c.students || []; c.lessons = c.lessons || []; c.columns = c.columns || [];
+        if (!c.updatedAt) c.updatedAt = now;
+        c.students.forEach(s => { if (!s.updatedAt) s.updatedAt = c.updatedAt; });
+        c.lessons.forEach(l => {
+          if (!l.studentIds) l.studentIds = c.students.map(s => s.id);
+          if (!l.updatedAt) l.updatedAt = c.updatedAt;
+          if (!l.data) l.data = {};
+        });
+      });
+    }
+  },
+  {
+    version: 2,
+    name: 'Add settings, templates and sync bookkeeping',
+    up(doc) {
+      if (!doc.exportSettings) doc.exportSettings = { color: { h: 30, s: 60, l: 50, a: 100 } };
+      if (!doc.gradeTemplates) doc.gradeTemplates = [];
+      if (!Array.isArray(doc.pendingChanges)) doc.pendingChanges = [];
+      if (!Array.isArray(doc.tombstones)) doc.tombstones = [];
+      if (!doc.nextId) doc.nextId = 1;
+    }
+  },
+  {
+    version: 3,
+    name: 'Add grade categories',
+    up(doc) {
+      doc.classrooms.forEach(c => { if (!Array.isArray(c.categories)) c.categories = []; });
+    }
+  },
+  {
+    version: 4,
+    name: 'Scope standard columns to the lesson they were used in',
+    up(doc) {
+      // A column graded in exactly one lesson belongs to it, and one never graded
+      // to the newest lesson, which it was most likely added for. Anything used in
+      // several lessons stays classroom-wide. Cell keys don't change.
+      const now = new Date().toISOString();
+      doc.classrooms.forEach(c => {
+        const lessons = c.lessons.filter(l => l.mode !== 'ielts');
+        const newest = [...lessons].sort((a, b) => String(a.date || '').localeCompare(String(b.date || '')) || a.id - b.id).pop();
+        c.columns.forEach(col => {
+          if (col.ielts || col.lessonId) return;
+          const used = lessons.filter(l => Object.entries(l.data || {}).some(([k, v]) => k.startsWith(`col_${col.id}_`) && String(v ?? '').trim()));
+          const owner = used.length === 1 ? used[0] : !used.length ? newest : null;
+          if (owner) { col.lessonId = owner.id; col.updatedAt = now; }
+        });
+      });
+    }
+  },
+  {
+    version: 5,
+    name: 'Generalise IELTS section columns to exam sections',
+    up(doc) {
+      // IELTS lessons keep mode 'ielts', which is now one of several exam modes
+      doc.classrooms.forEach(c => {
+        if (!Array.isArray(c.examModes)) c.examModes = [];
+        c.columns.forEach(col => {
+          if ('ielts' in col) { col.exam = !!col.ielts; delete col.ielts; }
+        });
+      });
+    }
+  },
+  {
+    version: 6,
+    name: 'Move rubric comments to cell comments',
+    up(doc) {
+      doc.classrooms.forEach(c => c.lessons.forEach(l => {
+        Object.keys(l.data || {}).forEach(k => {
+          const m = k.match(/^rub_(\d+)_(\d+)$/);
+          if (!m) return;
+          let detail = null;
+          try { detail = JSON.parse(l.data[k]); } catch (e) { return; }
+          if (!detail?.comment) return;
+          if (!l.data[`cmt_${m[1]}_${m[2]}`]) l.data[`cmt_${m[1]}_${m[2]}`] = detail.comment;
+          delete detail.comment;
+          l.data[k] = JSON.stringify(detail);
+        });
+      }));
+    }
+  },
+  {
+    version: 7,
+    name: 'Give timetable slots stable ids',
+    up(doc) {
+      doc.classrooms.forEach(keyTimetableSlots);
+    }
+  }
+];
+const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+function schemaVersionOf(doc) { return Number.isInteger(doc?.schemaVersion) ? doc.schemaVersion : 0; }
+
+// Returns an upgraded copy of `doc`, or throws without having touched it
+function migrateDocument(doc) {
+  const from = schemaVersionOf(doc);
+  if (from > SCHEMA_VERSION) throw new Error(`This data was saved by a newer version of GradeJournal (schema ${from}).`);
+  if (from === SCHEMA_VERSION) return doc;
+  const working = JSON.parse(JSON.stringify(doc));
+  for (const step of MIGRATIONS) {
+    if (step.version <= from) continue;
+    try { step.up(working); }
+    catch (e) {
+      console.error(`Migration ${step.version} (${step.name}) failed:`, e);
+      throw new Error(`Upgrading your data failed at step ${step.version} (${step.name}).`);
+    }
+    working.schemaVersion = step.version;
+  }
+  return working;
+}
+
+// Saved data keeps a copy of itself from before the upgrade, so a bad step
+// can still be recovered from after the upgraded document has been written
+async function upgradeStoredData(doc) {
+  if (schemaVersionOf(doc) === SCHEMA_VERSION) return doc;
+  const upgraded = migrateDocument(doc);
+  if (doc.classrooms?.length) await writeMeta('preMigration', { fromVersion: schemaVersionOf(doc), savedAt: new Date().toISOString(), data: doc });
+  return upgraded;
+}
+
+// ============================================
+// LOCAL STORE (INDEXEDDB)
+// ============================================
+// Classrooms, students, lessons and columns each have an object store and a
+// save only puts the records whose content changed since the last write. The
+// rest of DB is kept in `meta`, with exportSettings (and its logo) on its own
+// record. Browsers without IndexedDB keep using the old localStorage blob.
+const ENTITY_STORES = ['classrooms', 'students', 'lessons', 'columns'];
+const LEGACY_META_KEYS = { syncBase: 'gj_v6_pro_base', lastUser: 'gj_v6_pro_last_user', serverSession: 'gj_v6_pro_session', preMigration: 'gj_v6_pro_pre_migration' };
+let _idb = null;
+let _idbOpening = null;
+let _written = new Map();  // record id → { store, key, json } as last written
+let _writeChain = Promise.resolve();
+let _persistQueued = false;
+let _storageWarned = false;
+let _lastQuotaCheck = 0;
+
+function openStore() {
+  if (_idb) return Promise.resolve(_idb);
+  if (!window.indexedDB) return Promise.resolve(null);
+  if (_idbOpening) return _idbOpening;
+  _idbOpening = new Promise(resolve => {
+    const req = indexedDB.open(IDB_NAME, IDB_VERSION);
+    req.onupgradeneeded = () => {
+      const idb = req.result;
+      if (!idb.objectStoreNames.contains('meta')) idb.createObjectStore('meta');
+      if (!idb.objectStoreNames.contains('classrooms')) idb.createObjectStore('classrooms', { keyPath: 'id' });
+      ['students', 'lessons', 'columns'].forEach(name => {
+        if (!idb.objectStoreNames.contains(name)) idb.createObjectStore(name, { keyPath: ['classroomId', 'id'] });
+      });
+      ['snapshots', 'snapshot_data'].forEach(name => {
+        if (!idb.objectStoreNames.contains(name)) idb.createObjectStore(name, { keyPath: 'id' });
+      });
+    };
+    req.onsuccess = () => {
+      _idb = req.result;
+      _idb.onversionchange = () => { _idb.close(); _idb = null; };
+      navigator.storage?.persist?.().catch(() => {});
+      resolve(_idb);
+    };
+    req.onerror = () => { console.error('IndexedDB unavailable:', req.error); resolve(null); };
+    req.onblocked = () => resolve(null);
+  }).finally(() => { _idbOpening = null; });
+  return _idbOpening;
+}
+
+function idbRequest(req) {
+  return new Promise((resolve, reject) => { req.onsuccess = () => resolve(req.result); req.onerror = () => reject(req.error); });
+}
+
+function idbTransaction(idb, stores, work) {
+  return new Promise((resolve, reject) => {
+    const tx = idb.transaction(stores, 'readwrite');
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    work(tx);
+  });
+}
+
+// Splits DB into the records stored by persistDB, keyed by a stable record id
+function storeRecords(data) {
+  const records = new Map();
+  const add = (store, key, value) => records.set(`${store}|${JSON.stringify(key)}`, { store, key, value, json: JSON.stringify(value) });
+  const { classrooms, exportSettings, syncStatus, ...app } = data;
+  add('meta', 'app', app);
+  add('meta', 'exportSettings', exportSettings || null);
+  (classrooms || []).forEach((c, order) => {
+    const { students, lessons, columns, ...room } = c;
+    add('classrooms', c.id, { ...room, _order: order });
+    [['students', students], ['lessons', lessons], ['columns', columns]].forEach(([store, list]) =>
+      (list || []).forEach((item, i) => add(store, [c.id, item.id], { ...item, classroomId: c.id, _order: i })));
+  });
+  return records;
+}
+
+async function writeRecords(records) {
+  const idb = await openStore();
+  if (!idb) return saveToLegacyStorage(DB);
+  const puts = [...records.entries()].filter(([id, r]) => _written.get(id)?.json !== r.json);
+  const deletes = [...(_written.entries())].filter(([id, r]) => r.store !== 'meta' && !records.has(id));
+  if (!puts.length && !deletes.length) return;
+  await idbTransaction(idb, ['meta', ...ENTITY_STORES], tx => {
+    puts.forEach(([, r]) => r.store === 'meta' ? tx.objectStore('meta').put(r.value, r.key) : tx.objectStore(r.store).put(r.value));
+    deletes.forEach(([, r]) => tx.objectStore(r.store).delete(r.key));
+  });
+  puts.forEach(([id, r]) => _written.set(id, { store: r.store, key: r.key, json: r.json }));
+  deletes.forEach(([id]) => _written.delete(id));
+  checkStorageQuota();
+}
+
+function saveToLegacyStorage(data) {
+  const json = JSON.stringify(data);
+  localStorage.setItem('gj_v6_pro', json);
+  localStorage.setItem('gj_v6_pro_backup', json);
+}
+
+// Saves are serialised; a save requested while one is queued is folded into it
+function persistDB() {
+  if (_persistQueued) return _writeChain;
+  _persistQueued = true;
+  _writeChain = _writeChain
+    .then(() => { _persistQueued = false; return writeRecords(storeRecords(DB)); })
+    .catch(handleStorageError);
+  return _writeChain;
+}
+
+async function loadFromStore() {
+  const idb = await openStore();
+  if (!idb) return loadFromLegacyStorage();
+  const tx = idb.transaction(['meta', ...ENTITY_STORES], 'readonly');
+  const [app, exportSettings, rooms, students, lessons, columns] = await Promise.all([
+    idbRequest(tx.objectStore('meta').get('app')),
+    idbRequest(tx.objectStore('meta').get('exportSettings')),
+    ...ENTITY_STORES.map(name => idbRequest(tx.objectStore(name).getAll()))
+  ]);
+  if (!app) {
+    const legacy = loadFromLegacyStorage();
+    if (legacy) await migrateLegacyStorage(legacy);
+    return legacy;
+  }
+  const byOrder = (a, b) => a._order - b._order;
+  const strip = ({ _order, classroomId, ...item }) => item;
+  const childrenOf = (list, cid) => list.filter(i => i.classroomId === cid).sort(byOrder).map(strip);
+  const data = {
+    ...app,
+    exportSettings,
+    classrooms: rooms.sort(byOrder).map(({ _order, ...c }) => ({
+      ...c, students: childrenOf(students, c.id), lessons: childrenOf(lessons, c.id), columns: childrenOf(columns, c.id)
+    }))
+  };
+  _written = new Map([...storeRecords(data).entries()].map(([id, r]) => [id, { store: r.store, key: r.key, json: r.json }]));
+  return data;
+}
+
+// One-time move of the localStorage keys into IndexedDB. The old keys are only
+// removed once the new records have been committed.
+async function migrateLegacyStorage(data) {
+  await writeRecords(storeRecords(data));
+  const idb = await openStore();
+  await idbTransaction(idb, ['meta'], tx => {
+    Object.entries(LEGACY_META_KEYS).forEach(([name, key]) => {
+      try { const raw = localStorage.getItem(key); if (raw) tx.objectStore('meta').put(JSON.parse(raw), name); } catch {}
     });
-    c.students.forEach(s => { if (!s.updatedAt) s.updatedAt = new Date().toISOString(); });
   });
+  ['gj_v6_pro', 'gj_v6_pro_backup', ...Object.values(LEGACY_META_KEYS)].forEach(key => localStorage.removeItem(key));
 }
 
+async function readMeta(name) {
+  const idb = await openStore();
+  if (!idb) { const raw = localStorage.getItem(LEGACY_META_KEYS[name]); return raw ? JSON.parse(raw) : null; }
+  return idbRequest(idb.transaction('meta').objectStore('meta').get(name));
+}
+
+function writeMeta(name, value) {
+  _writeChain = _writeChain.then(async () => {
+    const idb = await openStore();
+    if (!idb) { localStorage.setItem(LEGACY_META_KEYS[name], JSON.stringify(value)); return; }
+    await idbTransaction(idb, ['meta'], tx => tx.objectStore('meta').put(value, name));
+  }).catch(handleStorageError);
+  return _writeChain;
+}
+
+function isQuotaError(e) { return e?.name === 'QuotaExceededError' || /quota/i.test(e?.message || ''); }
+
+function handleStorageError(e) {
+  console.error('Local save failed:', e);
+  showErrorNotification(isQuotaError(e)
+    ? 'Storage on this device is full — recent changes were NOT saved. Export a backup now and remove old classrooms or the school logo.'
+    : 'Could not save changes on this device. Export a backup to be safe.');
+}
+
+async function checkStorageQuota() {
+  if (_storageWarned || !navigator.storage?.estimate || Date.now() - _lastQuotaCheck < 60000) return;
+  _lastQuotaCheck = Date.now();
+  try {
+    const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+    if (!quota || usage / quota < STORAGE_WARN_RATIO) return;
+    _storageWarned = true;
+    showErrorNotification(`Local storage is ${Math.round(usage / quota * 100)}% full. Export a backup and remove old classrooms or the school logo to free space.`);
+  } catch {}
+}
+
+// ============================================
+// STORAGE ADAPTERS
+// ============================================
+// Sync talks to the cloud through an adapter, so the same code can use Supabase
+// or a self-hosted GradeJournal server. Both speak the Supabase row shapes:
+//   select(table, match, inFilters) → rows    upsert(table, rows, conflictKey) → rows
+//   remove(table, match, inFilters)           batch(operations) → allSettled results
+// Only Supabase has `realtime` (subscribe / unsubscribe).
+let _serverConfig = { backend: 'supabase' };
+let _serverSession = null;  // bearer token from /api/auth, kept out of DB and backups
+
+const supabaseAdapter = {
+  name: 'supabase',
+  batchSize: BATCH_SIZE,
+  realtime: true,
+  available: () => !!supabase && !!window.supabaseClient,
+  async select(table, match = {}, inFilters = {}) {
+    let query = supabase.from(table).select('*').match(match);
+    for (const [column, values] of Object.entries(inFilters)) query = query.in(column, values);
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+  },
+  upsert: (table, rows, conflictKey) => window.supabaseClient.upsertRows(table, rows, conflictKey),
+  remove: (table, match, inFilters) => window.supabaseClient.deleteRows(table, match, inFilters),
+  batch: operations => window.supabaseClient.batchOperation(operations),
+  subscribe: (table, onEvent, filter) => window.supabaseClient.subscribeTable(table, onEvent, filter),
+  unsubscribe: channel => window.supabaseClient?.unsubscribeChannel(channel)
+};
+
+// An empty IN list matches nothing, but as a query string it would match everything
+const hasEmptyFilter = inFilters => Object.values(inFilters).some(v => !v.length);
+
+const serverAdapter = {
+  name: 'server',
+  batchSize: 500,
+  realtime: false,
+  available: () => _serverConfig.backend === 'server' && !!_serverSession,
+  async select(table, match = {}, inFilters = {}) {
+    if (hasEmptyFilter(inFilters)) return [];
+    return apiRequest('GET', `/api/data/${table}`, { query: { ...match, ...inFilters } });
+  },
+  upsert: (table, rows) => apiRequest('PUT', `/api/data/${table}`, { body: { rows } }),
+  async remove(table, match = {}, inFilters = {}) {
+    if (hasEmptyFilter(inFilters)) return;
+    await apiRequest('DELETE', `/api/data/${table}`, { query: { ...match, ...inFilters } });
+  },
+  batch: async operations => {
+    const results = [];
+    for (const op of operations) results.push(...await Promise.allSettled([op()]));
+    return results;
+  }
+};
+
+async function apiRequest(method, path, { query = null, body = null } = {}) {
+  const url = new URL(path, API_BASE);
+  Object.entries(query || {}).forEach(([k, v]) => [].concat(v).forEach(x => url.searchParams.append(k, x)));
+  const headers = body ? { 'Content-Type': 'application/json' } : {};
+  if (_serverSession) headers.Authorization = `Bearer ${_serverSession}`;
+  const res = await fetch(url, { method, headers, body: body ? JSON.stringify(body) : undefined, signal: abortController?.signal });
+  const payload = await res.json().catch(() => null);
+  if (res.status === 401 && _serverSession && !path.startsWith('/api/auth/')) {
+    setServerSession(null);
+    showErrorNotification('Your server session has expired. Sign out and log in again to keep syncing.');
+  }
+  if (!res.ok) throw Object.assign(new Error(payload?.error || `Request failed (${res.status})`), { status: res.status });
+  return payload;
+}
+
+// Features the server does the work for (calendar files, spreadsheet imports);
+// a server with accounts only does it for a signed-in teacher
+function requireServerAccount(feature) {
+  if (!_serverConfig.accounts || _serverSession) return true;
+  showErrorNotification(`${feature} runs on the GradeJournal server. Sign in with a server account to use it.`);
+  return false;
+}
+
+function setServerSession(token) {
+  _serverSession = token;
+  return writeMeta('serverSession', token);
+}
+
+// Which backend the server was started with; static hosting keeps the default
+async function loadServerConfig() {
+  try {
+    const config = await Promise.race([
+      apiRequest('GET', '/api/config'),
+      new Promise((_, reject) => setTimeout(() => reject(new Error('timeout')), 4000))
+    ]);
+    if (config?.backend) _serverConfig = config;
+  } catch {}
+  if (_serverConfig.backend === 'server') _serverSession = await readMeta('serverSession').catch(() => null);
+  updateSignupLink();
+  return _serverConfig;
+}
+
+function adapterFor(mode) {
+  const adapter = mode === 'supabase' ? supabaseAdapter : mode === 'server' ? serverAdapter : null;
+  return adapter?.available() ? adapter : null;
+}
+
+function cloudAdapter() { return DB.user?.id ? adapterFor(DB.user.mode) : null; }
+
 // ============================================
 // CLOUD SYNC
 // ============================================
 async function syncWithCloud() {
-  if (!supabase || !DB.user?.id || DB.user?.mode !== 'supabase') return;
+  if (!cloudAdapter()) return;
   if (DB.syncStatus === 'syncing') return;
   DB.syncStatus = 'syncing'; updateSyncUI();
   try {
-    const cloudData = await loadUserDataFromSupabase(DB.user.id);
-    DB = mergeData(DB, cloudData);
+    // Replay local edits first so the pull sees them
+    await flushOutbox(DB.user.id);
+    const cloudData = await loadUserDataFromCloud(DB.user.id);
+    if (!cloudData) throw new Error('Cloud data unavailable');
+    const conflicts = [];
+    DB = mergeData(DB, cloudData, await loadSyncBase(), conflicts);
     rebuildIndex();
-    await saveUserDataToSupabase(DB.user.id);
-    saveToLocalStorage();
+    queueMergedDifferences(cloudData);
+    await flushOutbox(DB.user.id);
+    saveSyncBase(DB.classrooms);
+    persistDB();
     DB.lastSync = new Date().toISOString();
+    _lastPull = Date.now();
     DB.syncStatus = 'idle';
-    DB.pendingChanges = [];
     updateSyncUI();
-    showToast('✅ Synced with cloud');
+    if (conflicts.length) showConflictDialog(conflicts);
+    else showToast('✅ Synced with cloud');
   } catch (error) {
     console.error('Sync failed:', error);
     DB.syncStatus = 'error'; updateSyncUI();
-    showErrorNotification('⚠️ Sync failed. Using local mode.');
-    queuePendingChanges();
+    showErrorNotification(_schemaOutdated || '⚠️ Sync failed. Using local mode.');
   }
 }
 
@@ -218,27 +761,15 @@ function showAuthError(message) {
   showErrorNotification(message);
 }
 
-function queuePendingChanges(badge) {
-  if (!DB.pendingChanges) DB.pendingChanges = [];
-  DB.pendingChanges.push({ timestamp: new Date().toISOString(), context: badge || 'unknown' });
-  if (DB.pendingChanges.length > 50) DB.pendingChanges.shift();
-  saveToLocalStorage();
-}
-
-function saveToLocalStorage() {
-  try {
-    const json = JSON.stringify(DB);
-    localStorage.setItem('gj_v6_pro', json);
-    localStorage.setItem('gj_v6_pro_backup', json);
-  } catch (e) { console.error('localStorage save failed:', e); }
-}
 
 function updateSyncUI() {
   const el = safeGetElement('sync-indicator');
   if (!el) return;
   el.className = `sync-indicator ${DB.syncStatus}`;
+  const pending = DB.pendingChanges?.length || 0;
   el.textContent = DB.syncStatus === 'syncing' ? '⟳ Syncing...' :
-    DB.syncStatus === 'error' ? '⚠️ Offline' :
+    DB.syncStatus === 'error' ? `⚠️ ${_schemaOutdated ? 'Database update needed' : 'Offline'}${pending ? ` · ${pending} pending` : ''}` :
+    pending ? `⟳ ${pending} pending` :
     DB.lastSync ? `✓ Synced ${timeAgo(DB.lastSync)}` : '';
 }
 
@@ -250,119 +781,559 @@ function timeAgo(ts) {
   return `${Math.floor(s/86400)}d ago`;
 }
 
+// Every tick replays the outbox; the full download/merge only runs every PULL_INTERVAL
+let _lastPull = 0;
 function startAutoSync() {
   if (syncTimer) clearInterval(syncTimer);
-  syncTimer = setInterval(() => { if (navigator.onLine && DB.user?.mode === 'supabase') syncWithCloud(); }, SYNC_INTERVAL);
+  syncTimer = setInterval(() => {
+    if (!navigator.onLine || !cloudAdapter()) return;
+    if (Date.now() - _lastPull >= PULL_INTERVAL) syncWithCloud();
+    else if (DB.pendingChanges?.length) pushPendingChanges();
+  }, SYNC_INTERVAL);
 }
 
 function stopAutoSync() { if (syncTimer) { clearInterval(syncTimer); syncTimer = null; } }
 
 // ============================================
-// SUPABASE DATA LOADING
+// CLOUD DATA LOADING
 // ============================================
-async function checkTableExists(tableName) {
-  try {
-    const { error } = await supabase.from(tableName).select('*').limit(1);
-    return !(error?.message?.includes('relation') && error?.message?.includes('does not exist'));
-  } catch { return false; }
+function studentFromRow(s) {
+  return { id: s.student_number, name: s.name, phone: s.phone||'', email: s.email||'', parentName: s.parent_name||'', parentPhone: s.parent_phone||'', note: s.notes||'', targetBand: s.target_band||'', updatedAt: s.updated_at };
+}
+
+function lessonFromRow(l, data = {}) {
+  return { id: l.lesson_number, cloudId: l.id, topic: l.title, date: l.lesson_date, num: l.display_number ?? l.lesson_number, notes: l.notes || '', start: l.start_time || '', end: l.end_time || '', sessionKey: l.session_key || null, mode: l.mode, studentIds: l.student_ids || [], data, updatedAt: l.updated_at };
 }
 
-async function loadUserDataFromSupabase(userId) {
+async function loadUserDataFromCloud(userId, adapter = cloudAdapter()) {
+  if (!adapter) return null;
   try {
-    const tablesExist = await checkTableExists('classrooms');
-    if (!tablesExist) return { classrooms: [] };
-    const [classrooms, settings] = await Promise.all([
-      supabase.from('classrooms').select('*').eq('user_id', userId),
-      supabase.from('export_settings').select('*').eq('user_id', userId).maybeSingle()
+    const optional = promise => promise.catch(e => { console.warn('Optional cloud table skipped:', e?.message || e); return []; });
+    let classrooms;
+    try { classrooms = await adapter.select('classrooms', { user_id: userId }); }
+    catch (e) { if (e?.message?.includes('does not exist')) return { classrooms: [] }; throw e; }
+    const [settingsRows, tombstoneRows] = await Promise.all([
+      optional(adapter.select('export_settings', { user_id: userId })),
+      // Without tombstones deletions never reach this device, so a missing table is reported
+      adapter.select('tombstones', { user_id: userId }).catch(e => { if (!schemaMismatch(e)) throw e; reportSchemaMismatch(e); return []; })
     ]);
-    if (classrooms.error) {
-      if (classrooms.error.message?.includes('does not exist')) return { classrooms: [] };
-      throw classrooms.error;
-    }
-    if (!classrooms.data?.length) return { classrooms: [] };
-    const classroomIds = classrooms.data.map(c => c.id);
+    const settings = settingsRows[0] || null;
+    const tombstones = tombstoneRows.map(tombstoneFromRow);
+    if (!classrooms.length) return { classrooms: [], tombstones };
+    const classroomIds = classrooms.map(c => c.id);
+    // Any failed query throws: a partial download must not look like remote deletions
     const [students, lessons, columns] = await Promise.all([
-      supabase.from('students').select('*').in('classroom_id', classroomIds),
-      supabase.from('lessons').select('*').in('classroom_id', classroomIds),
-      supabase.from('columns').select('*').in('classroom_id', classroomIds)
+      adapter.select('students', {}, { classroom_id: classroomIds }),
+      adapter.select('lessons', {}, { classroom_id: classroomIds }),
+      adapter.select('columns', {}, { classroom_id: classroomIds })
     ]);
     const studentsByClassroom = new Map();
-    students.data?.forEach(s => { if (!studentsByClassroom.has(s.classroom_id)) studentsByClassroom.set(s.classroom_id, []); studentsByClassroom.get(s.classroom_id).push(s); });
+    students.forEach(s => { if (!studentsByClassroom.has(s.classroom_id)) studentsByClassroom.set(s.classroom_id, []); studentsByClassroom.get(s.classroom_id).push(s); });
     const lessonsByClassroom = new Map();
-    lessons.data?.forEach(l => { if (!lessonsByClassroom.has(l.classroom_id)) lessonsByClassroom.set(l.classroom_id, []); lessonsByClassroom.get(l.classroom_id).push(l); });
+    lessons.forEach(l => { if (!lessonsByClassroom.has(l.classroom_id)) lessonsByClassroom.set(l.classroom_id, []); lessonsByClassroom.get(l.classroom_id).push(l); });
     const columnsByClassroom = new Map();
-    columns.data?.forEach(col => { if (!columnsByClassroom.has(col.classroom_id)) columnsByClassroom.set(col.classroom_id, []); columnsByClassroom.get(col.classroom_id).push(col); });
-    const lessonIds = lessons.data?.map(l => l.id) || [];
+    columns.forEach(col => { if (!columnsByClassroom.has(col.classroom_id)) columnsByClassroom.set(col.classroom_id, []); columnsByClassroom.get(col.classroom_id).push(col); });
+    const lessonIds = lessons.map(l => l.id);
     let grades = [], attendance = [];
-    for (let i = 0; i < lessonIds.length; i += BATCH_SIZE) {
-      const batch = lessonIds.slice(i, i + BATCH_SIZE);
+    for (const batch of chunk(lessonIds, BATCH_SIZE)) {
       const [gb, ab] = await Promise.all([
-        supabase.from('grades').select('*').in('lesson_id', batch),
-        supabase.from('attendance').select('*').in('lesson_id', batch)
+        adapter.select('grades', {}, { lesson_id: batch }),
+        adapter.select('attendance', {}, { lesson_id: batch })
       ]);
-      grades = grades.concat(gb.data || []);
-      attendance = attendance.concat(ab.data || []);
+      grades = grades.concat(gb);
+      attendance = attendance.concat(ab);
     }
     const gradesByLesson = new Map();
     grades.forEach(g => { if (!gradesByLesson.has(g.lesson_id)) gradesByLesson.set(g.lesson_id, []); gradesByLesson.get(g.lesson_id).push(g); });
     const attendanceByLesson = new Map();
     attendance.forEach(a => { if (!attendanceByLesson.has(a.lesson_id)) attendanceByLesson.set(a.lesson_id, []); attendanceByLesson.get(a.lesson_id).push(a); });
-    const cloudClassrooms = classrooms.data.map(c => {
+    const cloudClassrooms = classrooms.map(c => {
       const classroomLessons = lessonsByClassroom.get(c.id) || [];
       const lessonsWithData = classroomLessons.map(l => {
         const data = {};
-        (gradesByLesson.get(l.id) || []).forEach(g => { if (g.column_id) data[`col_${g.column_id}_${g.student_id}`] = g.grade; });
-        (attendanceByLesson.get(l.id) || []).forEach(a => { data[`att_${a.student_id}`] = a.status; });
-        return { id: l.lesson_number, topic: l.title, date: l.lesson_date, num: l.lesson_number, mode: l.mode, studentIds: l.student_ids || [], data, updatedAt: l.updated_at };
+        (gradesByLesson.get(l.id) || []).forEach(g => {
+          if (!g.column_id) return;
+          data[`col_${g.column_id}_${g.student_id}`] = g.grade;
+          if (g.rubric) data[`rub_${g.column_id}_${g.student_id}`] = g.rubric;
+          if (g.comment) data[`cmt_${g.column_id}_${g.student_id}`] = g.comment;
+          if (g.state) data[`st_${g.column_id}_${g.student_id}`] = g.state;
+        });
+        (attendanceByLesson.get(l.id) || []).forEach(a => {
+          data[`att_${a.student_id}`] = a.status;
+          if (a.reason) data[`attn_${a.student_id}`] = a.reason;
+          if (a.minutes_late) data[`attm_${a.student_id}`] = String(a.minutes_late);
+        });
+        return lessonFromRow(l, data);
       });
-      return {
+      const room = {
         id: c.id, name: c.name, subject: c.subject || '', teacher: c.teacher_name || '',
-        students: (studentsByClassroom.get(c.id) || []).map(s => ({ id: s.student_number, name: s.name, phone: s.phone||'', email: s.email||'', parentName: s.parent_name||'', parentPhone: s.parent_phone||'', note: s.notes||'', updatedAt: s.updated_at })),
+        students: (studentsByClassroom.get(c.id) || []).map(studentFromRow),
         lessons: lessonsWithData,
-        columns: (columnsByClassroom.get(c.id) || []).map(col => ({ id: col.column_number, name: col.name, ielts: col.ielts||false, lessonId: col.lesson_id ? classroomLessons.find(l => l.id === col.lesson_id)?.lesson_number : null })),
+        columns: (columnsByClassroom.get(c.id) || []).map(col => ({ id: col.column_number, name: col.name, exam: col.ielts||false, lessonId: col.lesson_id ? classroomLessons.find(l => l.id === col.lesson_id)?.lesson_number : null, categoryId: col.category_id ?? null, maxPoints: col.max_points ?? null, rubricId: col.rubric_id ?? null })),
+        categories: c.categories || [], gradingScale: c.grading_scale || null, examModes: c.exam_modes || [], rubrics: c.rubrics || [],
+        attendanceStatuses: c.attendance_statuses || [], attendancePolicy: c.attendance_policy || 'exclude', timetable: c.timetable || null,
         nextSid: c.next_student_id, nextLid: c.next_lesson_id, nextCid: c.next_column_id, updatedAt: c.updated_at
       };
+      // A timetable written by an older device still keys sessions by position
+      keyTimetableSlots(room);
+      return room;
     });
     let exportSettings = DB.exportSettings;
-    if (settings.data) exportSettings = { color: settings.data.color || { h:30,s:60,l:50,a:100 }, logo: settings.data.logo_data||null, logoName: settings.data.logo_name||null, logoSize: settings.data.logo_size||null };
-    return { classrooms: cloudClassrooms, exportSettings, nextId: Math.max(...cloudClassrooms.map(c => parseInt(c.id.split('-')[0])||0), 0) + 1 };
+    if (settings) exportSettings = { color: settings.color || { h:30,s:60,l:50,a:100 }, logo: settings.logo_data||null, logoName: settings.logo_name||null, logoSize: settings.logo_size||null };
+    return { classrooms: cloudClassrooms, tombstones, exportSettings, nextId: Math.max(...cloudClassrooms.map(c => parseInt(c.id.split('-')[0])||0), 0) + 1 };
   } catch (e) {
-    console.error('Supabase load error:', e);
-    showErrorNotification('Database tables not set up. Please run the Supabase setup script.');
-    return { classrooms: [] };
+    console.error('Cloud load error:', e);
+    showErrorNotification(adapter.name === 'server' ? 'Could not load data from the GradeJournal server.' : 'Could not load cloud data. Please check the Supabase setup.');
+    return null;
   }
 }
 
-async function saveUserDataToSupabase(userId) {
-  if (!supabase) throw new Error('Supabase not initialized');
-  const errors = [];
-  for (const c of DB.classrooms) {
+// ============================================
+// CLOUD DATA SAVING
+// ============================================
+// Row shapes mirror what loadUserDataFromCloud reads back. Local ids are
+// stored as *_number columns; grades/attendance reference the cloud lesson row.
+function classroomRow(c, userId) {
+  return { user_id: userId, id: c.id, name: c.name, subject: c.subject, teacher_name: c.teacher, categories: c.categories || [], grading_scale: c.gradingScale || null, exam_modes: c.examModes || [], rubrics: c.rubrics || [], attendance_statuses: c.attendanceStatuses || [], attendance_policy: c.attendancePolicy || 'exclude', timetable: c.timetable || null, next_student_id: c.nextSid, next_lesson_id: c.nextLid, next_column_id: c.nextCid, updated_at: c.updatedAt || new Date().toISOString() };
+}
+
+function studentRow(c, s) {
+  return { classroom_id: c.id, student_number: s.id, name: s.name, phone: s.phone || '', email: s.email || '', parent_name: s.parentName || '', parent_phone: s.parentPhone || '', notes: s.note || '', target_band: s.targetBand || '', updated_at: s.updatedAt || c.updatedAt };
+}
+
+function lessonRow(c, l) {
+  return { classroom_id: c.id, lesson_number: l.id, display_number: l.num ?? null, title: l.topic, lesson_date: l.date, notes: l.notes || '', start_time: l.start || null, end_time: l.end || null, session_key: l.sessionKey || null, mode: l.mode || 'standard', student_ids: l.studentIds || [], updated_at: l.updatedAt || c.updatedAt };
+}
+
+// The cloud `ielts` column predates other exam modes and now flags any exam section
+function columnRow(c, col, cloudLessonIds) {
+  return { classroom_id: c.id, column_number: col.id, name: col.name, ielts: !!col.exam, lesson_id: col.lessonId ? cloudLessonIds.get(`${c.id}:${col.lessonId}`) || null : null, category_id: col.categoryId ?? null, max_points: col.maxPoints ?? null, rubric_id: col.rubricId ?? null };
+}
+
+function lessonCellRows(l, cloudLessonId, keys = null) {
+  const grades = [], attendance = [];
+  Object.entries(l.data || {}).forEach(([key, val]) => {
+    if (keys && !keys.has(key)) return;
+    let m = key.match(/^col_(\d+)_(\d+)$/);
+    // A rubric breakdown, comment and cell state travel with their grade, so one key marks them all dirty
+    if (m) { grades.push({ lesson_id: cloudLessonId, column_id: +m[1], student_id: +m[2], grade: val, rubric: l.data[`rub_${m[1]}_${m[2]}`] ?? null, comment: l.data[`cmt_${m[1]}_${m[2]}`] ?? null, state: l.data[`st_${m[1]}_${m[2]}`] ?? null }); return; }
+    m = key.match(/^att_(\d+)$/);
+    // So do an attendance record's reason and minutes late
+    if (m) attendance.push({ lesson_id: cloudLessonId, student_id: +m[1], status: val, reason: l.data[`attn_${m[1]}`] ?? null, minutes_late: parseInt(l.data[`attm_${m[1]}`], 10) || null });
+  });
+  return { grades, attendance };
+}
+
+function chunk(arr, size) {
+  const out = [];
+  for (let i = 0; i < arr.length; i += size) out.push(arr.slice(i, i + size));
+  return out;
+}
+
+// A Supabase project that missed a migration lacks a table ("does not exist"), a
+// column PostgREST cannot find, or still limits attendance to the original statuses;
+// retrying never helps, so these stop the push
+function schemaMismatch(e) {
+  const message = e?.message || '';
+  return message.includes('does not exist') || /Could not find the (table|'[^']+' column)/.test(message) ||
+    message.includes('violates check constraint') || message.includes('invalid input value for enum');
+}
+
+let _schemaOutdated = null;
+function reportSchemaMismatch(e) {
+  const message = e?.message || '';
+  const column = message.match(/Could not find the '([^']+)' column of '([^']+)'/);
+  const table = message.match(/relation "(?:public\.)?([^"]+)" does not exist|Could not find the table '(?:public\.)?([^']+)'/);
+  const missing = column ? `has no "${column[1]}" column on "${column[2]}"` : table ? `has no "${table[1] || table[2]}" table` : 'needs an update';
+  _schemaOutdated = `Your Supabase database ${missing}. Run the SQL files in supabase/migrations, then reload. Changes are kept on this device.`;
+  showErrorNotification(_schemaOutdated);
+}
+
+async function upsertInBatches(table, rows, conflictKey, adapter = cloudAdapter()) {
+  if (!rows.length) return { rows: [], failed: 0 };
+  const results = await adapter.batch(chunk(rows, adapter.batchSize).map(part => () => adapter.upsert(table, part, conflictKey)));
+  const failed = results.filter(r => r.status === 'rejected');
+  if (failed.length) {
+    const reason = failed[0].reason;
+    if (schemaMismatch(reason)) throw reason;
+    console.error(`Upsert into ${table} failed for ${failed.length} batch(es):`, reason);
+  }
+  return { rows: results.filter(r => r.status === 'fulfilled').flatMap(r => r.value || []), failed: failed.length };
+}
+
+// A push plan lists what to upsert. `cells` maps a lesson key to the set of
+// lesson.data keys to send, or null for every cell in that lesson.
+function emptyPushPlan() {
+  return { classrooms: new Map(), students: [], lessons: new Map(), columns: [], cells: new Map() };
+}
+
+function fullPushPlan(classrooms) {
+  const plan = emptyPushPlan();
+  classrooms.forEach(c => {
+    plan.classrooms.set(c.id, c);
+    c.students.forEach(s => plan.students.push([c, s]));
+    c.lessons.forEach(l => { plan.lessons.set(`${c.id}:${l.id}`, [c, l]); plan.cells.set(`${c.id}:${l.id}`, null); });
+    c.columns.forEach(col => plan.columns.push([c, col]));
+  });
+  return plan;
+}
+
+async function pushToCloud(userId, plan) {
+  let failed = 0;
+  const classrooms = [...plan.classrooms.values()];
+  if (!classrooms.length) return 0;
+  const rooms = await upsertInBatches('classrooms', classrooms.map(c => classroomRow(c, userId)), 'id');
+  failed += rooms.failed;
+
+  const lessonPairs = [...plan.lessons.values()];
+  const [students, lessons] = await Promise.all([
+    upsertInBatches('students', plan.students.map(([c, s]) => studentRow(c, s)), 'classroom_id,student_number'),
+    upsertInBatches('lessons', lessonPairs.map(([c, l]) => lessonRow(c, l)), 'classroom_id,lesson_number')
+  ]);
+  failed += students.failed + lessons.failed;
+
+  // Cloud lesson ids are needed for lesson-scoped columns, grades and attendance
+  const cloudLessonIds = new Map(lessons.rows.map(r => [`${r.classroom_id}:${r.lesson_number}`, r.id]));
+  classrooms.forEach(c => c.lessons.forEach(l => {
+    const cloudId = cloudLessonIds.get(`${c.id}:${l.id}`);
+    if (cloudId) l.cloudId = cloudId;
+    else if (l.cloudId) cloudLessonIds.set(`${c.id}:${l.id}`, l.cloudId);
+  }));
+
+  const grades = [], attendance = [];
+  plan.cells.forEach((keys, lessonKey) => {
+    const [, l] = plan.lessons.get(lessonKey) || [];
+    if (!l?.cloudId) return;
+    const cells = lessonCellRows(l, l.cloudId, keys);
+    grades.push(...cells.grades);
+    attendance.push(...cells.attendance);
+  });
+  const results = await Promise.all([
+    upsertInBatches('columns', plan.columns.map(([c, col]) => columnRow(c, col, cloudLessonIds)), 'classroom_id,column_number'),
+    upsertInBatches('grades', grades, 'lesson_id,column_id,student_id'),
+    upsertInBatches('attendance', attendance, 'lesson_id,student_id')
+  ]);
+  failed += results.reduce((n, r) => n + r.failed, 0);
+  return failed;
+}
+
+async function saveUserDataToCloud(userId, classrooms = DB.classrooms) {
+  if (!cloudAdapter()) throw new Error('No cloud storage available');
+  let failed;
+  try { failed = await pushToCloud(userId, fullPushPlan(classrooms)); }
+  catch (e) {
+    if (schemaMismatch(e)) { reportSchemaMismatch(e); return; }
+    throw e;
+  }
+  await pushTombstones(userId);
+  if (failed) showErrorNotification(`⚠️ ${failed} batches failed to sync`);
+}
+
+// ============================================
+// CHANGE TRACKING (OUTBOX)
+// ============================================
+// DB.pendingChanges is a persisted, replayable outbox. Each entry names one
+// changed entity (classroom, student, lesson, column or a single lesson cell);
+// repeated edits to the same entity collapse into one entry. Entries are only
+// dropped once a push containing them has succeeded.
+function outboxKey(e) { return [e.entity, e.classroomId, e.id ?? '', e.key || ''].join('|'); }
+
+function markDirty(entity, classroomId, id, extra = {}) {
+  if (!DB.pendingChanges) DB.pendingChanges = [];
+  const key = outboxKey({ entity, classroomId, id, key: extra.key });
+  const idx = DB.pendingChanges.findIndex(e => outboxKey(e) === key);
+  if (idx !== -1) DB.pendingChanges.splice(idx, 1);
+  DB.outboxSeq = (DB.outboxSeq || 0) + 1;
+  DB.pendingChanges.push({ op: 'upsert', ...extra, entity, classroomId, id, seq: DB.outboxSeq, at: new Date().toISOString() });
+}
+
+function markCellDirty(classroomId, lessonId, key) { markDirty('cell', classroomId, lessonId, { key }); }
+
+function lessonCloudIdsOf(c) { return c.lessons.map(l => l.cloudId).filter(Boolean); }
+
+// Deletions drop any queued upserts for the removed entity and its children
+function markDeleted(entity, c, id) {
+  const owns = e => {
+    if (e.classroomId !== c.id) return false;
+    if (entity === 'classroom') return true;
+    if (entity === 'lesson') return (e.entity === 'lesson' || e.entity === 'cell') && e.id === id;
+    if (entity === 'student') return (e.entity === 'student' && e.id === id) || (e.entity === 'cell' && new RegExp(`_${id}$`).test(e.key));
+    if (entity === 'column') return (e.entity === 'column' && e.id === id) || (e.entity === 'cell' && e.key?.startsWith(`col_${id}_`));
+    return false;
+  };
+  DB.pendingChanges = (DB.pendingChanges || []).filter(e => !owns(e));
+  addTombstone(entity, c.id, id);
+  const extra = { op: 'delete', lessonCloudIds: lessonCloudIdsOf(c) };
+  if (entity === 'lesson') extra.cloudId = getLesson(c.id, id)?.cloudId || null;
+  markDirty(entity, c.id, id, extra);
+}
+
+function outboxPlan(entries) {
+  const plan = emptyPushPlan();
+  const addLesson = (c, l) => { if (l) plan.lessons.set(`${c.id}:${l.id}`, [c, l]); };
+  entries.forEach(e => {
+    if (e.op === 'delete') return;
+    const c = getC(e.classroomId);
+    if (!c) return;
+    plan.classrooms.set(c.id, c);
+    if (e.entity === 'student') { const s = getStudent(c.id, e.id); if (s) plan.students.push([c, s]); }
+    else if (e.entity === 'lesson') addLesson(c, getLesson(c.id, e.id));
+    else if (e.entity === 'column') {
+      const col = getColumn(c.id, e.id);
+      if (!col) return;
+      plan.columns.push([c, col]);
+      if (col.lessonId) addLesson(c, getLesson(c.id, col.lessonId));
+    } else if (e.entity === 'cell') {
+      const l = getLesson(c.id, e.id);
+      if (!l) return;
+      addLesson(c, l);
+      const lessonKey = `${c.id}:${l.id}`;
+      if (!plan.cells.has(lessonKey)) plan.cells.set(lessonKey, new Set());
+      plan.cells.get(lessonKey)?.add(e.key);
+    }
+  });
+  return plan;
+}
+
+function deleteOperations(e, adapter = cloudAdapter()) {
+  const deleteRows = (table, match, inFilters) => adapter.remove(table, match, inFilters);
+  const lessonIds = e.lessonCloudIds || [];
+  const ops = [];
+  if (e.entity === 'classroom') {
+    if (lessonIds.length) ops.push(() => deleteRows('grades', {}, { lesson_id: lessonIds }), () => deleteRows('attendance', {}, { lesson_id: lessonIds }));
+    ops.push(
+      () => deleteRows('columns', { classroom_id: e.classroomId }),
+      () => deleteRows('students', { classroom_id: e.classroomId }),
+      () => deleteRows('lessons', { classroom_id: e.classroomId }),
+      () => deleteRows('classrooms', { id: e.classroomId })
+    );
+  } else if (e.entity === 'student') {
+    if (lessonIds.length) ops.push(() => deleteRows('grades', { student_id: e.id }, { lesson_id: lessonIds }), () => deleteRows('attendance', { student_id: e.id }, { lesson_id: lessonIds }));
+    ops.push(() => deleteRows('students', { classroom_id: e.classroomId, student_number: e.id }));
+  } else if (e.entity === 'lesson') {
+    if (e.cloudId) ops.push(() => deleteRows('grades', { lesson_id: e.cloudId }), () => deleteRows('attendance', { lesson_id: e.cloudId }), () => deleteRows('columns', { lesson_id: e.cloudId }));
+    ops.push(() => deleteRows('lessons', { classroom_id: e.classroomId, lesson_number: e.id }));
+  } else if (e.entity === 'column') {
+    if (lessonIds.length) ops.push(() => deleteRows('grades', { column_id: e.id }, { lesson_id: lessonIds }));
+    ops.push(() => deleteRows('columns', { classroom_id: e.classroomId, column_number: e.id }));
+  }
+  return ops;
+}
+
+let _flushing = null;
+
+async function flushOutbox(userId = DB.user?.id) {
+  if (_flushing) return _flushing;
+  const entries = [...(DB.pendingChanges || [])];
+  if (!entries.length || !cloudAdapter() || !userId) return;
+  if (_schemaOutdated) throw new Error(_schemaOutdated);
+  _flushing = (async () => {
     try {
-      const { error } = await supabase.from('classrooms').upsert({ user_id: userId, id: c.id, name: c.name, subject: c.subject, teacher_name: c.teacher, next_student_id: c.nextSid, next_lesson_id: c.nextLid, next_column_id: c.nextCid, updated_at: new Date().toISOString() }).select().single();
-      if (error) {
-        if (error.message?.includes('does not exist')) { showErrorNotification('Database tables not set up.'); return; }
-        throw error;
+      const deletes = entries.filter(e => e.op === 'delete');
+      if (deletes.length) {
+        await runInOrder(deletes.flatMap(e => deleteOperations(e)));
+        await pushTombstones(userId);
       }
-    } catch (e) { errors.push(e); }
+      let failed;
+      try { failed = await pushToCloud(userId, outboxPlan(entries)); }
+      catch (e) { if (schemaMismatch(e)) reportSchemaMismatch(e); throw e; }
+      if (failed) throw new Error(`${failed} batches failed to sync`);
+      // Keep anything that was edited again while the push was in flight
+      const sent = new Map(entries.map(e => [outboxKey(e), e.seq]));
+      DB.pendingChanges = DB.pendingChanges.filter(e => sent.get(outboxKey(e)) !== e.seq);
+      DB.lastSync = new Date().toISOString();
+      persistDB();
+    } finally { _flushing = null; }
+  })();
+  return _flushing;
+}
+
+// Runs every operation even if some fail, then reports the failures together
+async function runInOrder(operations) {
+  const errors = [];
+  for (const op of operations) {
+    try { await op(); } catch (e) { errors.push(e); console.error('Cloud delete failed:', e); }
+  }
+  if (errors.length) throw new Error(`${errors.length} delete operation(s) failed`);
+}
+
+// Deletions only reach other devices through the tombstones table, so a missing
+// table stops the push; other failures are retried with the next one
+async function pushTombstones(userId) {
+  if (!DB.tombstones?.length || !cloudAdapter()) return;
+  try { await cloudAdapter().upsert('tombstones', DB.tombstones.map(t => tombstoneRow(t, userId)), 'user_id,entity,classroom_id,entity_id'); }
+  catch (e) {
+    if (schemaMismatch(e)) { reportSchemaMismatch(e); throw e; }
+    console.warn('Tombstone sync skipped:', e?.message || e);
+  }
+}
+
+// After a merge, anything the cloud does not hold yet goes back into the outbox
+function queueMergedDifferences(remote) {
+  const remoteRooms = new Map((remote?.classrooms || []).map(c => [c.id, c]));
+  const rowsDiffer = (a, b) => !sameValue({ ...a, updated_at: null }, { ...b, updated_at: null });
+  DB.classrooms.forEach(c => {
+    const rc = remoteRooms.get(c.id);
+    if (!rc || rowsDiffer(classroomRow(c, ''), classroomRow(rc, ''))) markDirty('classroom', c.id, null);
+    const rStudents = new Map((rc?.students || []).map(s => [s.id, s]));
+    c.students.forEach(s => { const rs = rStudents.get(s.id); if (!rs || rowsDiffer(studentRow(c, s), studentRow(c, rs))) markDirty('student', c.id, s.id); });
+    const rColumns = new Map((rc?.columns || []).map(col => [col.id, col]));
+    const noLessons = new Map();
+    c.columns.forEach(col => { const rcol = rColumns.get(col.id); if (!rcol || rcol.lessonId !== col.lessonId || rowsDiffer(columnRow(c, col, noLessons), columnRow(c, rcol, noLessons))) markDirty('column', c.id, col.id); });
+    const rLessons = new Map((rc?.lessons || []).map(l => [l.id, l]));
+    c.lessons.forEach(l => {
+      const rl = rLessons.get(l.id);
+      if (!rl || rowsDiffer(lessonRow(c, l), lessonRow(c, rl))) markDirty('lesson', c.id, l.id);
+      Object.entries(l.data || {}).forEach(([key, val]) => {
+        if (/^(col|att)_/.test(key) && !sameValue(val, rl?.data?.[key])) markCellDirty(c.id, l.id, key);
+      });
+    });
+  });
+}
+
+async function pushPendingChanges() {
+  if (!navigator.onLine || !cloudAdapter()) return;
+  try {
+    await flushOutbox(DB.user.id);
+    if (DB.syncStatus === 'error') DB.syncStatus = 'idle';
+  } catch (e) {
+    console.error('Cloud save failed:', e);
+    DB.syncStatus = 'error';
+  }
+  updateSyncUI();
+}
+
+// ============================================
+// REALTIME UPDATES
+// ============================================
+// While a classroom is open, row changes from other devices are patched into
+// DB in place. Cells or entities with unsent local edits keep the local value.
+let _realtimeChannels = [];
+let _realtimeClassroomId = null;
+
+function startRealtime(classroomId) {
+  stopRealtime();
+  const client = cloudAdapter();
+  if (!client?.realtime || !getC(classroomId)) return;
+  _realtimeClassroomId = classroomId;
+  const byClassroom = `classroom_id=eq.${classroomId}`;
+  _realtimeChannels = [
+    client.subscribe('students', applyRemoteStudent, byClassroom),
+    client.subscribe('lessons', applyRemoteLesson, byClassroom),
+    client.subscribe('grades', p => applyRemoteCell(p, 'grade')),
+    client.subscribe('attendance', p => applyRemoteCell(p, 'attendance'))
+  ];
+}
+
+function stopRealtime() {
+  _realtimeChannels.forEach(ch => supabaseAdapter.unsubscribe(ch));
+  _realtimeChannels = [];
+  _realtimeClassroomId = null;
+}
+
+function hasPendingChange(classroomId, entity, id, key) {
+  return (DB.pendingChanges || []).some(e => e.classroomId === classroomId && e.entity === entity && e.id === id && (!key || e.key === key));
+}
+
+function isScreenActive(id) { return !!safeGetElement(id)?.classList.contains('active'); }
+
+function applyRemoteCell(payload, kind) {
+  const c = getC(_realtimeClassroomId);
+  const row = payload.eventType === 'DELETE' ? payload.old : payload.new;
+  if (!c || !row?.lesson_id) return;
+  const l = c.lessons.find(x => x.cloudId === row.lesson_id);
+  if (!l) return;
+  const key = kind === 'grade' ? `col_${row.column_id}_${row.student_id}` : `att_${row.student_id}`;
+  if (hasPendingChange(c.id, 'cell', l.id, key)) return;
+  if (!l.data) l.data = {};
+  const value = payload.eventType === 'DELETE' ? undefined : (kind === 'grade' ? row.grade : row.status);
+  // Rubric breakdowns, comments and cell states ride along on the grade row, reasons and minutes late on the attendance row
+  const extras = kind === 'grade' ? { rub: row.rubric, cmt: row.comment, st: row.state } : { attn: row.reason, attm: row.minutes_late ? String(row.minutes_late) : null };
+  const extraVal = v => (payload.eventType === 'DELETE' ? undefined : v || undefined);
+  const extraKey = prefix => (kind === 'grade' ? `${prefix}_${row.column_id}_${row.student_id}` : `${prefix}_${row.student_id}`);
+  if (l.data[key] === value && Object.entries(extras).every(([p, v]) => l.data[extraKey(p)] === extraVal(v))) return;
+  if (value === undefined) delete l.data[key]; else l.data[key] = value;
+  Object.entries(extras).forEach(([p, v]) => { if (extraVal(v) === undefined) delete l.data[extraKey(p)]; else l.data[extraKey(p)] = extraVal(v); });
+  persistDB();
+  if (CID === c.id && LID === l.id && isScreenActive('s-lesson')) {
+    refreshGradebookRow(+row.student_id);
+    renderGradebookStats();
+  } else if (kind === 'attendance' && isScreenActive('s-classroom')) {
+    renderStudents(); renderLessons();
+  }
+}
+
+function applyRemoteStudent(payload) {
+  const c = getC(_realtimeClassroomId);
+  if (!c) return;
+  if (payload.eventType === 'DELETE') {
+    const sid = payload.old?.student_number;
+    if (sid == null || !getStudent(c.id, sid) || hasPendingChange(c.id, 'student', sid)) return;
+    c.students = c.students.filter(s => s.id !== sid);
+  } else {
+    const remote = studentFromRow(payload.new);
+    if (hasPendingChange(c.id, 'student', remote.id)) return;
+    const local = getStudent(c.id, remote.id);
+    if (local) {
+      if (new Date(remote.updatedAt || 0) <= new Date(local.updatedAt || 0)) return;
+      Object.assign(local, remote);
+    } else {
+      c.students.push(remote);
+      c.nextSid = Math.max(c.nextSid || 1, remote.id + 1);
+    }
   }
-  if (errors.length) showErrorNotification(`⚠️ ${errors.length} items failed to sync`);
+  rebuildIndex(); persistDB();
+  if (CID !== c.id) return;
+  if (isScreenActive('s-lesson')) renderGradebook();
+  if (isScreenActive('s-classroom')) renderStudents();
+}
+
+function applyRemoteLesson(payload) {
+  const c = getC(_realtimeClassroomId);
+  if (!c) return;
+  if (payload.eventType === 'DELETE') {
+    const l = c.lessons.find(x => x.cloudId === payload.old?.id);
+    if (!l || hasPendingChange(c.id, 'lesson', l.id)) return;
+    c.lessons = c.lessons.filter(x => x !== l);
+    c.columns = c.columns.filter(col => col.lessonId !== l.id);
+    if (LID === l.id) { LID = null; if (isScreenActive('s-lesson')) goBackToClass(); }
+  } else {
+    const remote = lessonFromRow(payload.new);
+    if (hasPendingChange(c.id, 'lesson', remote.id)) return;
+    const local = getLesson(c.id, remote.id);
+    if (local) {
+      if (new Date(remote.updatedAt || 0) <= new Date(local.updatedAt || 0)) return;
+      // Cell values arrive through the grades/attendance channels
+      const { data, num, ...fields } = remote;
+      Object.assign(local, fields);
+    } else {
+      c.lessons.push(remote);
+      c.nextLid = Math.max(c.nextLid || 1, remote.id + 1);
+    }
+  }
+  rebuildIndex(); persistDB();
+  if (CID !== c.id) return;
+  if (isScreenActive('s-lesson') && LID === (payload.new?.lesson_number)) { renderLessonHeader(); renderGradebook(); }
+  if (isScreenActive('s-classroom')) renderLessons();
 }
 
 // ============================================
 // SAVE DB
 // ============================================
-let _st;
+let _st, _pushTimer;
 let saveQueue = [];
 
+// Local writes happen right away; cloud pushes are debounced and only send the outbox
 async function saveDB(badge, immediate = false) {
   saveQueue.push({ badge, timestamp: Date.now() });
   const saveOperation = async () => {
     try {
-      saveToLocalStorage();
-      if (navigator.onLine && supabase && DB.user?.mode === 'supabase' && DB.user?.id) {
-        try { await saveUserDataToSupabase(DB.user.id); DB.pendingChanges = []; }
-        catch (e) { console.error('Cloud save failed:', e); queuePendingChanges(badge); }
-      }
+      persistDB();
+      takeDueSnapshots();
+      updateSyncUI();
+      clearTimeout(_pushTimer);
+      if (immediate) await pushPendingChanges();
+      else _pushTimer = setTimeout(pushPendingChanges, PUSH_DEBOUNCE);
       const lastBadge = saveQueue[saveQueue.length - 1]?.badge;
       if (lastBadge) showSave(lastBadge);
     } catch (e) { console.error('Save failed:', e); }
@@ -381,33 +1352,280 @@ function showSave(badge) {
 }
 
 // ============================================
-// IELTS MODE
+// EXAM MODES
 // ============================================
-const IELTS_SECTIONS = ['Listening', 'Reading', 'Writing', 'Speaking', 'Overall Band'];
+// An exam lesson gets one column per section of its exam. Section scores must
+// be one of the mode's values (min..max in steps of `step`); the total is
+// computed from them, never stored. `levels` (highest min first) label and
+// colour section scores, `totalLevels` the total when it is on another scale.
+// Modes without levels are coloured by how far along the range a score is.
+// Classrooms can add their own modes (c.examModes) next to the built-in ones.
+const BUILTIN_EXAM_MODES = {
+  ielts: {
+    id: 'ielts', name: 'IELTS', icon: '🎯', builtin: true,
+    sections: ['Listening', 'Reading', 'Writing', 'Speaking'],
+    min: 1, max: 9, step: 0.5, total: 'average', totalLabel: 'Overall Band',
+    levels: [
+      { min: 9, label: 'Expert', color: '#1565C0' }, { min: 8.5, label: 'Very Good', color: '#1565C0' },
+      { min: 8, label: 'Very Good', color: '#1976D2' }, { min: 7.5, label: 'Good', color: '#1976D2' },
+      { min: 7, label: 'Good', color: '#0288D1' }, { min: 6.5, label: 'Competent', color: '#00897B' },
+      { min: 6, label: 'Competent', color: '#43A047' }, { min: 5.5, label: 'Modest', color: '#7CB342' },
+      { min: 5, label: 'Modest', color: '#F9A825' }, { min: 4, label: 'Limited', color: '#FB8C00' },
+      { min: 3, label: 'Extremely Limited', color: '#E53935' }, { min: 0, label: 'Non-User', color: '#E53935' }
+    ]
+  },
+  toefl: {
+    id: 'toefl', name: 'TOEFL iBT', icon: '🗽', builtin: true,
+    sections: ['Reading', 'Listening', 'Speaking', 'Writing'],
+    min: 0, max: 30, step: 1, total: 'sum', totalLabel: 'Total',
+    // ETS performance levels for a section, and its CEFR mapping of the total
+    levels: [
+      { min: 24, label: 'Advanced', color: '#1565C0' }, { min: 18, label: 'High-Intermediate', color: '#43A047' },
+      { min: 4, label: 'Low-Intermediate', color: '#F9A825' }, { min: 0, label: 'Below Low-Intermediate', color: '#E53935' }
+    ],
+    totalLevels: [
+      { min: 95, label: 'C1', color: '#1565C0' }, { min: 72, label: 'B2', color: '#43A047' },
+      { min: 42, label: 'B1', color: '#F9A825' }, { min: 0, label: 'Below B1', color: '#E53935' }
+    ]
+  },
+  cambridge: {
+    id: 'cambridge', name: 'Cambridge English', icon: '🎓', builtin: true,
+    sections: ['Reading', 'Use of English', 'Writing', 'Listening', 'Speaking'],
+    min: 80, max: 230, step: 1, total: 'average', totalLabel: 'Overall',
+    // CEFR levels on the Cambridge English Scale (B2 First, C1 Advanced…)
+    levels: [
+      { min: 200, label: 'C2', color: '#1565C0' }, { min: 180, label: 'C1', color: '#0288D1' },
+      { min: 160, label: 'B2', color: '#43A047' }, { min: 140, label: 'B1', color: '#F9A825' },
+      { min: 120, label: 'A2', color: '#FB8C00' }, { min: 80, label: 'A1 or below', color: '#E53935' }
+    ]
+  },
+  sat: {
+    id: 'sat', name: 'SAT', icon: '📐', builtin: true,
+    sections: ['Reading and Writing', 'Math'],
+    min: 200, max: 800, step: 10, total: 'sum', totalLabel: 'Total'
+  }
+};
+const EXAM_TOTALS = { average: 'Average of the sections', sum: 'Sum of the sections' };
+const EXAM_RAMP = ['#E53935', '#FB8C00', '#F9A825', '#7CB342', '#43A047', '#0288D1', '#1565C0'];
+const MAX_PICKER_VALUES = 24;  // longer ranges get a number box instead of a grid
 let currentLessonMode = 'standard';
 
-function toggleLessonMode(mode) {
-  currentLessonMode = mode;
-  const standardBtn = safeGetElement('mode-standard');
-  const ieltsBtn = safeGetElement('mode-ielts');
-  if (standardBtn) standardBtn.classList.toggle('active', mode === 'standard');
-  if (ieltsBtn) {
-    ieltsBtn.classList.toggle('ielts-active', mode === 'ielts');
-    ieltsBtn.classList.toggle('active', mode === 'ielts');
-  }
+function isExamLesson(l) { return !!l?.mode && l.mode !== 'standard'; }
+
+function examModesFor(c) {
+  return { ...BUILTIN_EXAM_MODES, ...Object.fromEntries((c?.examModes || []).map(m => [m.id, m])) };
 }
 
-// ============================================
-// SCREEN NAVIGATION
-// ============================================
-function showScreen(id) {
-  document.querySelectorAll('.screen').forEach(s => s.classList.remove('active'));
-  const el = safeGetElement(id);
-  if (el) el.classList.add('active');
+// A lesson whose mode isn't known here (deleted, or not synced yet) still opens, unvalidated
+function examModeOf(c, l) {
+  if (!isExamLesson(l)) return null;
+  return examModesFor(c)[l.mode] || { id: l.mode, name: 'Exam', icon: '📝', sections: [], min: 0, max: 10000, step: 0.01, total: 'sum', totalLabel: 'Total' };
 }
-function showLanding() { showScreen('s-landing'); }
-function showAuth(mode) { showScreen('s-auth'); if (mode) authSwitchTab(mode); loadAuthLogo(); }
-function goHome() { showScreen('s-home'); renderClassrooms(); }
+
+function stepDecimals(step) { return (String(step).split('.')[1] || '').length; }
+
+function formatExamScore(def, n) { return Number(n).toFixed(stepDecimals(def.step)); }
+
+// Every allowed section score, highest first, or null when there are too many to list
+function examValues(def) {
+  const count = Math.floor((def.max - def.min) / def.step + 1e-9) + 1;
+  if (count > MAX_PICKER_VALUES) return null;
+  return Array.from({ length: count }, (_, i) => Number((def.max - i * def.step).toFixed(stepDecimals(def.step))));
+}
+
+function isValidExamScore(def, n) {
+  if (!Number.isFinite(n) || n < def.min - 1e-9 || n > def.max + 1e-9) return false;
+  const steps = (n - def.min) / def.step;
+  return Math.abs(steps - Math.round(steps)) < 1e-6;
+}
+
+// Averages go to the nearest step, halves rounding up; for IELTS that is the
+// official rule (.25 → .5, .75 → the next whole band)
+function roundToStep(x, step) {
+  return Number((Math.round(x / step + 1e-9) * step).toFixed(stepDecimals(step)));
+}
+
+function roundIeltsBand(avg) { return roundToStep(avg, 0.5); }
+
+// A sum needs every section; an average is shown as soon as one section is in
+function examTotal(def, scores) {
+  if (!scores.length) return null;
+  const sum = scores.reduce((a, b) => a + b, 0);
+  if (def.total === 'sum') return scores.length < def.sections.length ? null : sum;
+  return roundToStep(sum / scores.length, def.step);
+}
+
+function readableText(hex) {
+  const m = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex || '');
+  if (!m) return 'white';
+  const [r, g, b] = m.slice(1).map(h => parseInt(h, 16));
+  return (r * 299 + g * 587 + b * 114) / 1000 >= 165 ? '#333' : 'white';
+}
+
+function examLevel(def, n, isTotal = false) {
+  const levels = isTotal && def.totalLevels ? def.totalLevels : (!isTotal || def.total !== 'sum' ? def.levels : null);
+  return levels?.length ? levels.find(lv => n >= lv.min) || levels[levels.length - 1] : null;
+}
+
+function examScoreColors(def, score, isTotal = false) {
+  const n = parseFloat(score);
+  if (isNaN(n)) return { bg: '#eee', text: '#666' };
+  const lv = examLevel(def, n, isTotal);
+  if (lv) return { bg: lv.color, text: readableText(lv.color) };
+  const span = isTotal && def.total === 'sum' ? def.sections.length || 1 : 1;
+  const frac = Math.min(1, Math.max(0, (n - def.min * span) / ((def.max - def.min) * span || 1)));
+  const bg = EXAM_RAMP[Math.min(EXAM_RAMP.length - 1, Math.floor(frac * EXAM_RAMP.length))];
+  return { bg, text: readableText(bg) };
+}
+
+function examScoreLabel(def, score, isTotal = false) {
+  const n = parseFloat(score);
+  return isNaN(n) ? '' : examLevel(def, n, isTotal)?.label || '';
+}
+
+function examModeSummary(def) {
+  return `${def.sections.length} section${def.sections.length === 1 ? '' : 's'} + ${def.totalLabel}`;
+}
+
+function fillExamModeSelect(c, selected) {
+  const sel = safeGetElement('inp-lexam');
+  if (!sel) return;
+  const modes = Object.values(examModesFor(c));
+  if (!modes.some(m => m.id === selected)) selected = 'ielts';
+  sel.innerHTML = modes.map(m => `<option value="${esc(m.id)}" ${m.id === selected ? 'selected' : ''}>${m.icon || '📝'} ${esc(m.name)}${m.builtin ? '' : ' (custom)'}</option>`).join('');
+}
+
+// mode is 'standard', 'exam' (whatever the exam picker shows) or an exam id
+function toggleLessonMode(mode) {
+  const sel = safeGetElement('inp-lexam');
+  if (mode === 'exam') mode = sel?.value || 'ielts';
+  currentLessonMode = mode;
+  const exam = mode !== 'standard';
+  const standardBtn = safeGetElement('mode-standard');
+  const examBtn = safeGetElement('mode-exam');
+  if (standardBtn) standardBtn.classList.toggle('active', !exam);
+  if (examBtn) {
+    examBtn.classList.toggle('ielts-active', exam);
+    examBtn.classList.toggle('active', exam);
+  }
+  const fg = safeGetElement('lexam-fg');
+  if (fg) fg.style.display = exam ? '' : 'none';
+  const def = examModesFor(CC())[exam ? mode : sel?.value || 'ielts'];
+  safeSetText('mode-exam-desc', def ? examModeSummary(def) : '');
+}
+
+// Custom exam mode editor
+let examDraft = null;
+
+function openExamModes(id = '') {
+  const c = CC();
+  if (!c) return;
+  const sel = safeGetElement('inp-exam-pick');
+  if (sel) sel.innerHTML = `<option value="">＋ New exam mode</option>` + (c.examModes || []).map(m => `<option value="${esc(m.id)}" ${m.id === id ? 'selected' : ''}>${esc(m.name)}</option>`).join('');
+  pickExamDraft(id);
+  openOv('ov-exam');
+}
+
+function pickExamDraft(id) {
+  const existing = (CC()?.examModes || []).find(m => m.id === id);
+  examDraft = existing
+    ? { ...existing, sections: existing.sections.join(', '), levels: (existing.levels || []).map(lv => ({ ...lv })) }
+    : { id: '', name: '', sections: '', min: 0, max: 100, step: 1, total: 'average', totalLabel: 'Overall', levels: [] };
+  renderExamDraft();
+}
+
+function renderExamDraft() {
+  const d = examDraft;
+  const set = (id, v) => { const el = safeGetElement(id); if (el) el.value = v; };
+  set('inp-exam-name', d.name); set('inp-exam-sections', d.sections);
+  set('inp-exam-min', d.min); set('inp-exam-max', d.max); set('inp-exam-step', d.step);
+  set('inp-exam-totallabel', d.totalLabel);
+  const total = safeGetElement('inp-exam-total');
+  if (total) total.innerHTML = Object.entries(EXAM_TOTALS).map(([k, label]) => `<option value="${k}" ${k === d.total ? 'selected' : ''}>${label}</option>`).join('');
+  const del = safeGetElement('exam-del-btn');
+  if (del) del.style.display = d.id ? '' : 'none';
+  const box = safeGetElement('exam-levels');
+  if (!box) return;
+  box.innerHTML = d.levels.map((lv, i) => `
+    <div class="scale-edit-row">
+      <input class="finput" placeholder="Label" value="${esc(lv.label)}" oninput="examDraft.levels[${i}].label=this.value">
+      <div class="cat-weight"><span>from</span><input class="finput" type="number" step="any" value="${lv.min}" oninput="examDraft.levels[${i}].min=this.value"></div>
+      <input type="color" class="scale-color" value="${esc(lv.color || SCALE_GREEN)}" oninput="examDraft.levels[${i}].color=this.value">
+      <button class="template-del-btn" onclick="readExamDraft();examDraft.levels.splice(${i},1);renderExamDraft()" title="Remove level">×</button>
+    </div>`).join('') + `<button class="btn btn-ghost-app" onclick="readExamDraft();examDraft.levels.push({label:'',min:examDraft.min,color:'${SCALE_GREEN}'});renderExamDraft()">+ Add Level</button>`;
+}
+
+// Pulls the plain fields back into the draft before the level list is redrawn
+function readExamDraft() {
+  const val = id => safeGetElement(id)?.value ?? '';
+  Object.assign(examDraft, {
+    name: val('inp-exam-name'), sections: val('inp-exam-sections'), min: val('inp-exam-min'), max: val('inp-exam-max'),
+    step: val('inp-exam-step'), total: val('inp-exam-total') || 'average', totalLabel: val('inp-exam-totallabel')
+  });
+}
+
+function saveExamMode() {
+  const c = CC();
+  if (!c || !examDraft) return;
+  readExamDraft();
+  const d = examDraft;
+  const name = String(d.name).trim();
+  const sections = String(d.sections).split(',').map(x => x.trim()).filter(Boolean);
+  const min = Number(d.min), max = Number(d.max), step = Number(d.step);
+  const totalLabel = String(d.totalLabel).trim();
+  if (!name) { shake('inp-exam-name'); return; }
+  if (Object.values(examModesFor(c)).some(m => m.id !== d.id && m.name.toLowerCase() === name.toLowerCase())) { toast('An exam mode with this name already exists'); return; }
+  if (!sections.length) { shake('inp-exam-sections'); return; }
+  if (new Set(sections.map(x => x.toLowerCase())).size < sections.length) { toast('Section names must be unique'); return; }
+  if (![min, max, step].every(Number.isFinite) || min >= max) { toast('The lowest score must be below the highest'); return; }
+  if (!(step > 0) || !isValidExamScore({ min, max, step }, max)) { toast('The step must divide the score range evenly'); return; }
+  if (!totalLabel) { shake('inp-exam-totallabel'); return; }
+  const levels = d.levels.map(lv => ({ label: String(lv.label).trim(), min: Number(lv.min), color: lv.color || SCALE_GREEN }));
+  if (levels.some(lv => !lv.label)) { toast('Every level needs a label'); return; }
+  if (levels.some(lv => !(lv.min >= min && lv.min <= max))) { toast(`Levels must start between ${min} and ${max}`); return; }
+  if (new Set(levels.map(lv => lv.min)).size < levels.length) { toast('Two levels start at the same score'); return; }
+  const mode = {
+    id: d.id || `custom_${Date.now().toString(36)}`, name, icon: '📝', sections, min, max, step,
+    total: EXAM_TOTALS[d.total] ? d.total : 'average', totalLabel, levels: levels.sort((a, b) => b.min - a.min)
+  };
+  const list = (c.examModes || []).filter(m => m.id !== mode.id);
+  c.examModes = [...list, mode];
+  c.updatedAt = new Date().toISOString();
+  markDirty('classroom', c.id, null);
+  saveDB('class'); closeOv('ov-exam');
+  fillExamModeSelect(c, mode.id);
+  if (currentLessonMode !== 'standard') toggleLessonMode(mode.id);
+  if (isScreenActive('s-lesson')) renderGradebook();
+  toast(`${name} saved!`);
+}
+
+function deleteExamMode() {
+  const c = CC();
+  if (!c || !examDraft?.id) return;
+  const used = c.lessons.filter(l => l.mode === examDraft.id).length;
+  if (used) { toast(`${used} lesson${used === 1 ? ' uses' : 's use'} this exam mode`); return; }
+  confirm_('Delete Exam Mode', `Delete “${examDraft.name}”?`, () => {
+    c.examModes = (c.examModes || []).filter(m => m.id !== examDraft.id);
+    c.updatedAt = new Date().toISOString();
+    markDirty('classroom', c.id, null);
+    saveDB('class'); closeOv('ov-exam');
+    fillExamModeSelect(c, 'ielts');
+    if (currentLessonMode !== 'standard') toggleLessonMode('exam');
+    toast('Exam mode deleted');
+  });
+}
+
+// ============================================
+// SCREEN NAVIGATION
+// ============================================
+function showScreen(id) {
+  document.querySelectorAll('.screen').forEach(s => s.classList.remove('active'));
+  const el = safeGetElement(id);
+  if (el) el.classList.add('active');
+}
+function showLanding() { showScreen('s-landing'); }
+function showAuth(mode) { showScreen('s-auth'); if (mode) authSwitchTab(mode); loadAuthLogo(); }
+function goHome() { stopRealtime(); showScreen('s-home'); renderClassrooms(); }
 function goBackToClass() { showScreen('s-classroom'); switchTab('students', document.querySelector('[data-tab="students"]')); }
 function showContact() { showScreen('s-contact'); }
 
@@ -435,19 +1653,33 @@ function authSwitchTab(mode) {
   const authTagline = safeGetElement('auth-tagline');
   const errSignin = safeGetElement('err-signin');
   // FIX: properly reflect mode
-  if (tabSignin) tabSignin.classList.toggle('active', mode === 'signin');
+  if (tabSignin) {
+    tabSignin.classList.toggle('active', mode === 'signin');
+    tabSignin.textContent = mode === 'signin' ? 'Log In to GradeJournal →' : 'Create Account →';
+  }
   if (authTagline) authTagline.textContent = mode === 'signin' ? 'Welcome back — log in to continue' : 'Create your account';
   if (errSignin) errSignin.classList.remove('show');
+  updateSignupLink();
+}
+
+// Account creation is only offered by a self-hosted server that allows it
+function updateSignupLink() {
+  const el = document.getElementById('auth-switch');
+  if (!el) return;
+  el.style.display = _serverConfig.signup ? '' : 'none';
+  el.innerHTML = _authMode === 'signin'
+    ? `New here? <a onclick="authSwitchTab('signup')">Create an account</a>`
+    : `Already have an account? <a onclick="authSwitchTab('signin')">Log in</a>`;
 }
 
 function authErr(id, msg) { showAuthError(msg); }
 
-async function authSubmit(mode) {
-  if (mode === 'signin') {
+async function authSubmit(mode = _authMode) {
+  if (mode === 'signin' || mode === 'signup') {
     const email = safeGetElement('si-email')?.value.trim();
     const pass = safeGetElement('si-password')?.value;
     if (!email || !pass) { showAuthError('Please fill in all fields.'); return; }
-    if (pass.length < 6) { showAuthError('Password must be at least 6 characters.'); return; }
+    if (pass.length < (mode === 'signup' ? 8 : 6)) { showAuthError(`Password must be at least ${mode === 'signup' ? 8 : 6} characters.`); return; }
 
     // Show loading state immediately
     const btn = safeGetElement('tab-signin');
@@ -455,9 +1687,26 @@ async function authSubmit(mode) {
     if (btn) { btn.disabled = true; btn.textContent = '⏳ Logging in…'; btn.style.opacity = '0.8'; }
     const restoreBtn = () => { if (btn) { btn.disabled = false; btn.textContent = origText; btn.style.opacity = ''; } };
 
+    // A self-hosted server has its own accounts; Supabase Auth is never involved
+    if (_serverConfig.backend === 'server') {
+      try {
+        const { token, user } = await apiRequest('POST', `/api/auth/${mode === 'signup' ? 'register' : 'login'}`, { body: { email, password: pass } });
+        await setServerSession(token);
+        await adoptCloudAccount({ id: user.id, email: user.email, name: user.name || user.email.split('@')[0], mode: 'server' });
+      } catch (err) {
+        restoreBtn();
+        console.error('Auth error:', err);
+        showAuthError(err.status ? err.message : 'Could not reach the GradeJournal server.');
+        return;
+      }
+      restoreBtn();
+      enterApp();
+      return;
+    }
+    if (mode !== 'signin') { restoreBtn(); return; }
+
     if (supabase) {
       try {
-        const guestData = { ...DB };
         // 8-second timeout so login never hangs indefinitely
         let timedOut = false;
         const timeout = new Promise((_, reject) => setTimeout(() => { timedOut = true; reject(new Error('timeout')); }, 8000));
@@ -482,12 +1731,7 @@ async function authSubmit(mode) {
           return;
         }
         const user = data.user;
-        let cloudData = { classrooms: [] };
-        try { cloudData = await loadUserDataFromSupabase(user.id); } catch {}
-        DB = mergeData(guestData, cloudData);
-        DB.user = { id: user.id, email: user.email, name: user.user_metadata?.full_name || user.email.split('@')[0], mode: 'supabase' };
-        await saveDB('home', true);
-        startAutoSync();
+        await adoptCloudAccount({ id: user.id, email: user.email, name: user.user_metadata?.full_name || user.email.split('@')[0], mode: 'supabase' });
         restoreBtn();
         enterApp();
       } catch (err) { restoreBtn(); console.error('Auth error:', err); showAuthError('Authentication failed. Please try again.'); }
@@ -500,6 +1744,21 @@ async function authSubmit(mode) {
   }
 }
 
+// Whatever this device holds is merged with the account's cloud copy. The first
+// sign-in on a device uploads everything; later edits go through the outbox.
+async function adoptCloudAccount(profile) {
+  const guestData = { ...DB };
+  let cloudData = null;
+  try { cloudData = await loadUserDataFromCloud(profile.id, adapterFor(profile.mode)); } catch {}
+  DB = mergeData(guestData, cloudData, await loadSyncBase(profile.id));
+  DB.user = profile;
+  try {
+    await saveUserDataToCloud(profile.id);
+    if (cloudData) { saveSyncBase(DB.classrooms, profile.id); _lastPull = Date.now(); }
+  } catch (e) { console.error('Initial upload failed:', e); }
+  await saveDB('home', true);
+}
+
 function populateUserMenu() {
   const u = DB.user;
   if (!u) return;
@@ -548,6 +1807,7 @@ function enterApp() {
   showScreen('s-home');
   renderClassrooms();
   addSyncIndicator();
+  if (u.mode !== 'local') startAutoSync();
   checkOnboarding();
 }
 
@@ -564,11 +1824,16 @@ function addSyncIndicator() {
 
 async function signOut() {
   stopAutoSync();
+  stopRealtime();
   await saveDB('home', true);
   if (supabase && DB.user?.mode === 'supabase') await supabase.auth.signOut();
-  localStorage.setItem('gj_v6_pro_last_user', JSON.stringify({ ...DB }));
+  if (DB.user?.mode === 'server' && _serverSession) {
+    try { await apiRequest('POST', '/api/auth/logout'); } catch {}
+    await setServerSession(null);
+  }
+  writeMeta('lastUser', { ...DB });
   DB.user = null; DB.syncStatus = 'idle';
-  saveToLocalStorage();
+  persistDB();
   closeOv('ov-user');
   showLanding();
 }
@@ -650,6 +1915,7 @@ function renderClassrooms() {
   nc.onclick = () => openOv('ov-new-class');
   grid.appendChild(nc);
   maybeShowWelcomeCard();
+  renderCalendar();
 }
 
 // FIX: streak detection helper
@@ -658,10 +1924,20 @@ function checkAttendanceStreak(classroom, studentId) {
   if (sorted.length < 3) return false;
   return sorted.every(l => {
     if (l.studentIds && !l.studentIds.includes(studentId)) return true;
-    return ((l.data || {})[`att_${studentId}`] || 'present') !== 'absent';
+    return !attendanceCountsAgainst(classroom, attendanceOf(l, studentId));
   });
 }
 
+function newClassroom({ name, subject = '', teacher = '' }) {
+  return {
+    id: `class_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    name, subject, teacher,
+    students: [], columns: [], lessons: [], categories: [], examModes: [], attendanceStatuses: [], attendancePolicy: 'exclude',
+    nextSid: 1, nextLid: 1, nextCid: 1,
+    updatedAt: new Date().toISOString()
+  };
+}
+
 function createClassroom() {
   const nameInput = safeGetElement('inp-cname');
   if (!nameInput) return;
@@ -669,14 +1945,9 @@ function createClassroom() {
   if (!name) { shake('inp-cname'); return; }
   const subjectInput = safeGetElement('inp-csub');
   const teacherInput = safeGetElement('inp-cteacher');
-  const newClass = {
-    id: `class_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-    name, subject: subjectInput?.value.trim() || '', teacher: teacherInput?.value.trim() || '',
-    students: [], columns: [], lessons: [],
-    nextSid: 1, nextLid: 1, nextCid: 1,
-    updatedAt: new Date().toISOString()
-  };
+  const newClass = newClassroom({ name, subject: subjectInput?.value.trim() || '', teacher: teacherInput?.value.trim() || '' });
   DB.classrooms.push(newClass);
+  markDirty('classroom', newClass.id, null);
   rebuildIndex(); saveDB('home');
   closeOv('ov-new-class');
   clrInputs(['inp-cname', 'inp-csub', 'inp-cteacher']);
@@ -688,6 +1959,7 @@ function deleteClassConfirm(id) {
   const c = getC(id);
   if (!c) return;
   confirm_(`Delete "${c.name}"?`, 'All students, lessons, and grades will be permanently deleted.', () => {
+    markDeleted('classroom', c, null);
     // FIX: no variable shadowing
     DB.classrooms = DB.classrooms.filter(cls => cls.id !== id);
     rebuildIndex(); saveDB('home', true); renderClassrooms();
@@ -702,8 +1974,13 @@ function openClassroom(id) {
   safeSetText('class-crumb', c.name);
   safeSetText('lesson-back-label', c.name);
   showScreen('s-classroom');
+  if (c.timetable) {
+    const { created, updated } = applyTimetable(c, todayStr(), c.timetable.since);
+    if (created || updated) saveDB('class');
+  }
   switchTab('students', document.querySelector('[data-tab="students"]'));
   renderStudents();
+  if (_realtimeClassroomId !== id) startRealtime(id);
 }
 
 function switchTab(name, btn) {
@@ -775,10 +2052,12 @@ function saveStudent() {
   if (wasEditing) {
     const student = c.students.find(s => s.id === editedId);
     if (student) Object.assign(student, data);
+    markDirty('student', c.id, editedId);
     toast('Student updated!');
   } else {
     const newId = c.nextSid++;
     c.students.push({ id: newId, ...data });
+    markDirty('student', c.id, newId);
     toast('Student added!');
   }
   rebuildIndex(); saveDB('class'); closeOv('ov-student'); renderStudents();
@@ -790,18 +2069,13 @@ function saveStudent() {
   }
 }
 
+// attendanceTally over the student's lessons, plus their minutes late
 function studentStats(sid) {
   const c = CC();
-  if (!c) return { present: 0, late: 0, absent: 0, attended: 0, total: 0 };
-  let present = 0, late = 0, absent = 0;
-  c.lessons.forEach(l => {
-    if (l.studentIds && !l.studentIds.includes(sid)) return;
-    const val = (l.data || {})[`att_${sid}`] || 'present';
-    if (val === 'present') present++;
-    else if (val === 'late') late++;
-    else absent++;
-  });
-  return { present, late, absent, attended: present + late, total: c.lessons.filter(l => !l.studentIds || l.studentIds.includes(sid)).length };
+  const lessons = (c?.lessons || []).filter(l => !l.studentIds || l.studentIds.includes(sid));
+  const stats = attendanceTally(c, lessons.map(l => attendanceOf(l, sid)));
+  stats.minutesLate = lessons.reduce((n, l) => n + minutesLate(l, sid), 0);
+  return stats;
 }
 
 function renderStudents() {
@@ -828,7 +2102,7 @@ function renderStudents() {
   sorted.forEach((s, i) => {
     const st = studentStats(s.id);
     const initials = s.name.split(' ').map(w => w[0]).join('').toUpperCase().slice(0, 2);
-    const rate = st.total > 0 ? Math.round(st.attended / st.total * 100) : 100;
+    const rate = st.rate;
     const hasStreak = checkAttendanceStreak(c, s.id);
     const el = document.createElement('div');
     el.className = 'student-item fade-up';
@@ -836,7 +2110,7 @@ function renderStudents() {
     el.innerHTML = `<div class="s-avatar">${esc(initials)}</div>
       <div class="s-info"><div class="s-name">${esc(s.name)} ${hasStreak ? '<span title="Perfect attendance streak!">🔥</span>' : ''}</div>
         <div class="s-meta">${s.phone ? `<span class="s-meta-item">📱 ${esc(s.phone)}</span>` : ''}${s.note ? `<span class="s-meta-item">📝 ${esc(s.note)}</span>` : ''}</div></div>
-      <div class="s-att-pills">${st.total > 0 ? `<span class="pill pill-green">✓ ${st.present}</span>${st.late > 0 ? `<span class="pill pill-amber">⏰ ${st.late}</span>` : ''}${st.absent > 0 ? `<span class="pill pill-red">✗ ${st.absent}</span>` : ''}<span class="pill" style="background:var(--cream-2);color:var(--text-light)">${rate}%</span>` : '<span style="font-size:11px;color:var(--text-light)">No lessons</span>'}</div>
+      <div class="s-att-pills">${st.total > 0 ? `<span class="pill pill-green">✓ ${st.present}</span>${attendanceCountPills(c, st)}<span class="pill" style="background:var(--cream-2);color:var(--text-light)">${rate}%</span>` : '<span style="font-size:11px;color:var(--text-light)">No lessons</span>'}</div>
       <div class="s-actions">
         <button class="btn btn-xs btn-secondary" onclick="event.stopPropagation();openStudentSheet(${s.id})">View</button>
         <button class="btn btn-xs btn-secondary" onclick="event.stopPropagation();openEditStudent(${s.id})">Edit</button>
@@ -847,12 +2121,19 @@ function renderStudents() {
   });
 }
 
+// One pill per status other than Present that the student has had
+function attendanceCountPills(c, st) {
+  return attendanceStatuses(c).filter(x => x.id !== 'present' && st.byStatus[x.id])
+    .map(x => `<span class="pill" style="background:${x.color}1a;color:${x.color}" title="${esc(x.label)}">${esc(x.icon || x.code)} ${st.byStatus[x.id]}</span>`).join('');
+}
+
 function delStudentConfirm(sid) {
   const s = getStudent(CID, sid);
   if (!s) return;
   confirm_(`Remove "${s.name}"?`, 'All attendance and grades for this student will be removed.', () => {
     const c = CC();
     if (!c) return;
+    markDeleted('student', c, sid);
     // FIX: no variable shadowing
     c.students = c.students.filter(st => st.id !== sid);
     rebuildIndex(); saveDB('class', true); renderStudents();
@@ -864,13 +2145,13 @@ function openStudentSheet(sid) {
   const c = CC(), s = getStudent(CID, sid);
   if (!c || !s) return;
   const st = studentStats(sid);
-  const rate = st.total > 0 ? Math.round(st.attended / st.total * 100) : 100;
+  const rate = st.rate;
   const rateColor = rate >= 80 ? 'var(--success)' : rate >= 60 ? 'var(--warning)' : 'var(--error)';
   const initials = s.name.split(' ').map(w => w[0]).join('').toUpperCase().slice(0, 2);
   const hist = c.lessons.slice().reverse().map(l => {
-    const val = (l.data || {})[`att_${s.id}`] || 'present';
-    const lbl = { present: 'Present', late: 'Late', absent: 'Absent' };
-    return `<div class="history-row"><div class="history-date">${l.date}</div><div class="history-topic">${esc(l.topic || '(no topic)')}</div><span class="pill pill-${val === 'present' ? 'green' : val === 'late' ? 'amber' : 'red'}">${lbl[val]}</span></div>`;
+    const note = attendanceNote(l, s.id);
+    const grades = studentLessonGrades(c, l, s.id).map(g => `<div class="history-grade"><span class="history-grade-col">${esc(g.column)}</span><b>${esc(cellExportText(g.value, g.state) || '—')}</b>${g.comment ? `<span class="history-comment">💬 ${esc(g.comment)}</span>` : ''}</div>`).join('');
+    return `<div class="history-row"><div class="history-date">${l.date}</div><div class="history-topic">${esc(l.topic || '(no topic)')}</div>${attendancePillHtml(c, attendanceOf(l, s.id), note)}${note ? `<span class="history-att-note">${esc(note)}</span>` : ''}${grades ? `<div class="history-grades">${grades}</div>` : ''}</div>`;
   }).join('') || '<p style="font-size:13px;color:var(--text-light)">No lessons recorded yet.</p>';
   const sheetContent = safeGetElement('sheet-content');
   if (!sheetContent) return;
@@ -890,19 +2171,40 @@ function openStudentSheet(sid) {
       <div class="sheet-sec-title">Attendance Summary</div>
       <div class="info-grid">
         <div class="info-card no-edit" style="cursor:default"><div class="info-card-label">Total Lessons</div><div class="info-card-val">${st.total}</div></div>
-        <div class="info-card no-edit" style="cursor:default"><div class="info-card-label">Attendance Rate</div><div class="info-card-val" style="color:${rateColor}">${rate}%</div></div>
-        <div class="info-card no-edit" style="cursor:default"><div class="info-card-label">Present</div><div class="info-card-val" style="color:var(--success)">${st.present}</div></div>
-        <div class="info-card no-edit" style="cursor:default"><div class="info-card-label">Late (attended)</div><div class="info-card-val" style="color:var(--warning)">${st.late}</div></div>
-        <div class="info-card no-edit" style="cursor:default"><div class="info-card-label">Absent</div><div class="info-card-val" style="color:var(--error)">${st.absent}</div></div>
+        <div class="info-card no-edit" style="cursor:default" title="Excused absences: ${ATTENDANCE_POLICIES[attendancePolicy(c)].toLowerCase()}"><div class="info-card-label">Attendance Rate</div><div class="info-card-val" style="color:${rateColor}">${rate}%</div></div>
+        ${attendanceStatuses(c).filter(x => x.builtin || st.byStatus[x.id]).map(x => `<div class="info-card no-edit" style="cursor:default"><div class="info-card-label">${esc(x.label)}${x.id === 'late' ? ' (attended)' : ''}</div><div class="info-card-val" style="color:${x.color}">${st.byStatus[x.id] || 0}</div></div>`).join('')}
         <div class="info-card no-edit" style="cursor:default"><div class="info-card-label">Days Attended</div><div class="info-card-val">${st.attended}</div></div>
+        ${st.minutesLate ? `<div class="info-card no-edit" style="cursor:default"><div class="info-card-label">Minutes Late</div><div class="info-card-val" style="color:var(--warning)">${st.minutesLate}</div></div>` : ''}
       </div>
     </div>
+    ${courseGradeSectionHtml(c, sid)}
+    ${ieltsProgressSectionHtml(c, s)}
     <div class="sheet-sec"><div class="sheet-sec-title">Lesson History</div>${hist}</div>
+    <button class="btn btn-secondary" style="width:100%;justify-content:center;margin-bottom:8px" onclick="exportStudent(${sid})">📥 Export Report</button>
     <button class="btn btn-danger" style="width:100%;justify-content:center" onclick="delStudentConfirm(${sid});closeSheet()">Remove Student</button>`;
   const sheetOv = safeGetElement('sheet-ov');
   if (sheetOv) sheetOv.classList.add('open');
 }
 
+function courseGradeSectionHtml(c, sid) {
+  const avg = courseAverage(c, sid);
+  const cats = avg.categories.map(cat => `
+    <div class="cat-bar-row">
+      <div class="cat-bar-label">${esc(cat.name)} <span>${cat.weight}%</span></div>
+      <div class="cat-bar"><div class="cat-bar-fill" style="width:${Math.min(100, Math.max(0, cat.percent || 0))}%;background:${percentColor(cat.percent)}"></div></div>
+      <div class="cat-bar-val" style="color:${percentColor(cat.percent)}">${formatPercent(cat.percent)}</div>
+    </div>`).join('');
+  return `
+    <div class="sheet-sec">
+      <div class="sheet-sec-title">Course Grade</div>
+      <div class="info-grid">
+        <div class="info-card no-edit" style="cursor:default"><div class="info-card-label">Course Average</div><div class="info-card-val" style="color:${percentColor(avg.percent)}">${formatCourseGrade(c, avg.percent)}</div></div>
+        <div class="info-card no-edit" style="cursor:default"><div class="info-card-label">Grading Scale</div><div class="info-card-val">${esc(scaleOf(c).name)}</div></div>
+      </div>
+      ${cats}
+    </div>`;
+}
+
 function icard(sid, field, label, val) {
   const display = val ? esc(val) : `<span class="empty">—</span>`;
   return `<div class="info-card" onclick="editField(this,${sid},'${field}')">
@@ -925,6 +2227,7 @@ function editField(card, sid, field) {
     const nv = inp.value.trim();
     s[field] = nv;
     s.updatedAt = new Date().toISOString();
+    markDirty('student', CID, sid);
     saveDB('class');
     card.classList.remove('editing');
     valDiv.innerHTML = nv ? esc(nv) : '<span class="empty">—</span>';
@@ -946,11 +2249,558 @@ function editField(card, sid, field) {
 function closeSheet() { safeGetElement('sheet-ov')?.classList.remove('open'); }
 function closeSheetIfBg(e) { if (e.target === safeGetElement('sheet-ov')) closeSheet(); }
 
+// ============================================
+// ROSTER IMPORT
+// ============================================
+// A CSV or XLSX roster is read on the server; here its columns are mapped onto
+// student fields, duplicates of students already in the class are set aside,
+// and the rest are added in one go that a single Undo takes back.
+const ROSTER_FIELDS = [
+  { key: 'name', label: 'Name', required: true, match: h => /name|student|pupil/.test(h) && !/parent|guardian|last|sur|family/.test(h) },
+  { key: 'lastName', label: 'Surname (added after the name)', match: h => /last\s*name|surname|family\s*name/.test(h) },
+  { key: 'phone', label: 'Phone', match: h => /phone|tel|mobile|cell/.test(h) && !/parent|guardian/.test(h) },
+  { key: 'email', label: 'Email', match: h => /e-?mail/.test(h) && !/parent|guardian/.test(h) },
+  { key: 'parentName', label: 'Parent name', match: h => /parent|guardian|mother|father/.test(h) && !/phone|tel|mobile|cell|mail/.test(h) },
+  { key: 'parentPhone', label: 'Parent phone', match: h => /parent|guardian|mother|father/.test(h) && /phone|tel|mobile|cell/.test(h) },
+  { key: 'note', label: 'Note', match: h => /note|comment|remark/.test(h) }
+];
+const MAX_ROSTER_FILE = 3 * 1024 * 1024;
+
+let rosterImport = null;
+
+function openRosterImport() {
+  if (!requireServerAccount('Roster import')) return;
+  const input = document.createElement('input');
+  input.type = 'file'; input.accept = '.csv,.xlsx,text/csv';
+  input.onchange = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    if (file.size > MAX_ROSTER_FILE) { toast('❌ That file is too large (max 3 MB)'); return; }
+    const reader = new FileReader();
+    reader.onload = async (event) => {
+      try {
+        const sheet = await apiRequest('POST', '/api/import/roster', { body: { fileName: file.name, data: String(event.target.result).split(',')[1] || '' } });
+        if (!sheet.rows.length) { toast('No students found in that file'); return; }
+        rosterImport = { fileName: file.name, ...sheet, mapping: guessRosterMapping(sheet.headers), picked: {} };
+        renderRosterImport();
+        openOv('ov-roster-import');
+      } catch (err) { toast('❌ ' + err.message); }
+    };
+    reader.readAsDataURL(file);
+  };
+  input.click();
+}
+
+// Each field takes the first unclaimed column whose header looks like it
+function guessRosterMapping(headers) {
+  const taken = new Set();
+  const mapping = {};
+  ROSTER_FIELDS.forEach(f => {
+    const i = headers.findIndex((h, idx) => !taken.has(idx) && f.match(h.toLowerCase().trim()));
+    mapping[f.key] = i;
+    if (i >= 0) taken.add(i);
+  });
+  return mapping;
+}
+
+function rosterStudent(row, mapping) {
+  const cell = key => (mapping[key] >= 0 ? String(row[mapping[key]] || '').trim() : '');
+  return {
+    name: [cell('name'), cell('lastName')].filter(Boolean).join(' '),
+    phone: cell('phone'), email: cell('email'), parentName: cell('parentName'), parentPhone: cell('parentPhone'), note: cell('note')
+  };
+}
+
+const rosterKey = s => s.trim().toLowerCase().replace(/\s+/g, ' ');
+
+// Rows with their student and why they would be left out: no name, already in the class, or repeated in the file
+function rosterPreview(c) {
+  const names = new Map(c.students.map(s => [rosterKey(s.name), s]));
+  const emails = new Map(c.students.filter(s => s.email).map(s => [rosterKey(s.email), s]));
+  const seen = new Set();
+  return rosterImport.rows.map((row, i) => {
+    const student = rosterStudent(row, rosterImport.mapping);
+    const existing = student.name && (names.get(rosterKey(student.name)) || (student.email && emails.get(rosterKey(student.email))));
+    const issue = !student.name ? 'No name'
+      : existing ? `Already in class as ${existing.name}`
+      : seen.has(rosterKey(student.name)) ? 'Repeated in the file' : '';
+    if (student.name) seen.add(rosterKey(student.name));
+    const include = issue === 'No name' ? false : rosterImport.picked[i] ?? !issue;
+    return { student, issue, include };
+  });
+}
+
+function renderRosterImport() {
+  const c = CC();
+  if (!c || !rosterImport) return;
+  const map = safeGetElement('roster-map');
+  if (map) map.innerHTML = ROSTER_FIELDS.map(f => `
+    <div class="roster-map-row">
+      <label class="flabel">${f.label}${f.required ? ' *' : ''}</label>
+      <select class="fselect" onchange="rosterImport.mapping.${f.key}=+this.value;rosterImport.picked={};renderRosterImport()">
+        <option value="-1">— Not imported —</option>
+        ${rosterImport.headers.map((h, i) => `<option value="${i}" ${rosterImport.mapping[f.key] === i ? 'selected' : ''}>${esc(h || `Column ${i + 1}`)}</option>`).join('')}
+      </select>
+    </div>`).join('');
+  const preview = rosterPreview(c);
+  const count = preview.filter(p => p.include).length;
+  const duplicates = preview.filter(p => p.issue && p.issue !== 'No name').length;
+  safeSetText('roster-import-sub', `${rosterImport.fileName}${rosterImport.sheetName ? ` · ${rosterImport.sheetName}` : ''} · ${preview.length} rows${duplicates ? ` · ${duplicates} possible duplicate${duplicates === 1 ? '' : 's'}` : ''}`);
+  safeSetText('roster-import-btn', `Add ${count} Student${count === 1 ? '' : 's'}`);
+  const list = safeGetElement('roster-preview');
+  if (list) list.innerHTML = `<table class="roster-preview-table"><thead><tr><th></th><th>Name</th><th>Phone</th><th>Email</th><th>Parent</th><th>Parent phone</th></tr></thead><tbody>
+    ${preview.map(({ student: s, issue, include }, i) => `<tr class="${issue ? 'flagged' : ''}" title="${esc(issue)}">
+      <td><input type="checkbox" ${include ? 'checked' : ''} ${issue === 'No name' ? 'disabled' : ''} onchange="rosterImport.picked[${i}]=this.checked;renderRosterImport()"></td>
+      <td>${esc(s.name) || '<span class="roster-missing">—</span>'}${issue ? `<div class="roster-issue">${esc(issue)}</div>` : ''}</td>
+      <td>${esc(s.phone)}</td><td>${esc(s.email)}</td><td>${esc(s.parentName)}</td><td>${esc(s.parentPhone)}</td>
+    </tr>`).join('')}</tbody></table>`;
+}
+
+function confirmRosterImport() {
+  const c = CC();
+  if (!c || !rosterImport) return;
+  if (rosterImport.mapping.name < 0) { toast('Choose the column with the student names'); return; }
+  const picked = rosterPreview(c).filter(p => p.include);
+  if (!picked.length) { toast('No students selected'); return; }
+  const stamp = new Date().toISOString();
+  const ids = picked.map(({ student }) => {
+    const id = c.nextSid++;
+    c.students.push({ id, ...student, updatedAt: stamp });
+    markDirty('student', c.id, id);
+    return id;
+  });
+  rosterImport = null;
+  rebuildIndex(); saveDB('class'); closeOv('ov-roster-import'); renderStudents();
+  pushUndo(`👥 ${ids.length} student${ids.length === 1 ? '' : 's'} imported`, () => ({ cid: c.id, ids }), ({ cid, ids }) => {
+    const room = getC(cid);
+    if (!room) return;
+    ids.forEach(id => markDeleted('student', room, id));
+    room.students = room.students.filter(s => !ids.includes(s.id));
+  });
+}
+
+// ============================================
+// GRADEBOOK IMPORT
+// ============================================
+// A whole workbook is read on the server, one sheet per class with students in
+// rows. Each sheet goes into a new or existing classroom and each column becomes
+// grades, attendance or a student detail, either with a lesson per column (dated
+// from its header) or all in one lesson. GradeJournal's own exports come back in
+// as they went out: titles name the class and lesson, "Date:" lines date it, and
+// attendance codes, cell states and notes are read back.
+const GJ_SHEETS = ['Class Roster', 'Attendance Log', 'Lesson', 'Lesson Results', 'Student Report'];
+const ISO_DATE = /\b(\d{4}-\d{2}-\d{2})\b/;
+// Figures worked out from other columns, in exports and teachers' own workbooks
+const STAT_HEADER = /average|\brate\b|total|^grade$|^(present|late|excused|absent)$|\(\d+(\.\d+)?%\)$/i;
+const SUMMARY_ROW = /^(class\s+)?(average|avg|mean|median|total|sum|max(imum)?|min(imum)?)\b/i;
+// "Quiz 1 /20", "Essay (out of 40)", "Test (50 pts)"
+const MAX_POINTS_HEADER = /\s*(?:\/\s*(\d+(?:\.\d+)?)|\((?:out of\s*(\d+(?:\.\d+)?)|(\d+(?:\.\d+)?)\s*(?:pts|points))\))\s*$/i;
+const STUDENT_DETAILS = ROSTER_FIELDS.map(f => f.key).filter(k => k !== 'name' && k !== 'lastName');
+
+let gradebookImport = null;
+
+function openGradebookImport() {
+  if (!requireServerAccount('Gradebook import')) return;
+  const input = document.createElement('input');
+  input.type = 'file'; input.accept = '.xlsx,.csv';
+  input.onchange = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    if (file.size > MAX_ROSTER_FILE) { toast('❌ That file is too large (max 3 MB)'); return; }
+    const reader = new FileReader();
+    reader.onload = async (event) => {
+      try {
+        const { sheets } = await apiRequest('POST', '/api/import/gradebook', { body: { fileName: file.name, data: String(event.target.result).split(',')[1] || '' } });
+        const metas = sheets.map(sheetMeta);
+        const workbookClass = metas.find(m => m.className)?.className || '';
+        gradebookImport = { fileName: file.name, sheets: sheets.map((sheet, i) => prepareGradebookSheet(sheet, metas[i], workbookClass)) };
+        renderGradebookImport();
+        openOv('ov-gradebook-import');
+      } catch (err) { toast('❌ ' + err.message); }
+    };
+    reader.readAsDataURL(file);
+  };
+  input.click();
+}
+
+// GradeJournal titles its sheets "Class — Lesson", "Class  ·  Class Roster" and so
+// on; the server's student report leads with the student instead
+function sheetMeta(sheet) {
+  const [title = '', sub = ''] = sheet.preamble;
+  const parts = /^(.*?)\s+[—·]\s+(.*)$/s.exec(title);
+  const [className, second] = !parts ? ['', ''] : /^Student Report\b/.test(sub) ? [parts[2], parts[1]] : [parts[1], parts[2]];
+  const field = label => new RegExp(`${label}:\\s*(.+?)(?:\\s{2,}|$)`).exec(sub)?.[1].trim() || '';
+  return { className: className.trim(), second: second.trim(), date: ISO_DATE.exec(field('Date'))?.[1] || '', teacher: field('Teacher'), subject: field('Subject') };
+}
+
+function prepareGradebookSheet(sheet, meta, workbookClass) {
+  const className = meta.className || (GJ_SHEETS.includes(sheet.name) && workbookClass) || sheet.name;
+  const existing = DB.classrooms.find(c => rosterKey(c.name) === rosterKey(className));
+  const headers = sheet.headers.map(h => h.toLowerCase());
+  const report = ['date', 'lesson', 'attendance', 'grade', 'score'].every(h => headers.includes(h));
+  const mapping = guessRosterMapping(sheet.headers);
+  if (mapping.name < 0) mapping.name = 0;
+  const statuses = [...attendanceStatuses(existing), ...keyedStatuses(sheet, existing)];
+  const roles = sheet.headers.map((h, i) => {
+    // Lesson exports add "Quiz – Comment" and, for rubrics, "Quiz – <criterion>" after the grades
+    if (sheetColumnBase(sheet, i) >= 0) return /– Comment$/.test(h) ? 'comment' : 'ignore';
+    const field = ROSTER_FIELDS.find(f => mapping[f.key] === i);
+    if (field) return field.key;
+    const cells = sheet.rows.map(r => r[i]).filter(Boolean);
+    if (!cells.length) return 'ignore';
+    const marks = cells.filter(v => attendanceMark(statuses, v)).length;
+    if (/^attendance$/i.test(h.trim()) || (ISO_DATE.test(h) && marks >= cells.length * 0.8)) return 'attendance';
+    return STAT_HEADER.test(h.trim()) ? 'ignore' : 'grade';
+  });
+  // A lesson per column only when the headers are dated; "Quiz 1, Quiz 2, Midterm" is one lesson's grades
+  const dated = roles.some((role, i) => (role === 'grade' || role === 'attendance') && ISO_DATE.test(sheet.headers[i]));
+  return {
+    ...sheet, meta, report, roles,
+    layout: dated && !headers.includes('attendance') ? 'each' : 'one',
+    target: existing ? existing.id : 'new', newName: className
+  };
+}
+
+// The grade column a "Quiz – …" column belongs to, or -1
+function sheetColumnBase(sheet, i) {
+  const m = /^(.+?) – .+$/.exec(sheet.headers[i]);
+  return m ? sheet.headers.indexOf(m[1]) : -1;
+}
+
+// Statuses in an Attendance Log's key ("S = Sick") that the classroom doesn't have yet.
+// They count as excused absences, as a status GradeJournal doesn't know does.
+function keyedStatuses(sheet, c) {
+  const known = attendanceStatuses(c);
+  const stamp = Date.now().toString(36);
+  const base = (c?.attendanceStatuses || []).length;
+  return [...(sheet.footer || []).join('  ').matchAll(/(\S{1,3}) = (.+?)(?=\s{2,}\S{1,3} = |\s*$)/g)]
+    .filter(([, code, label]) => !known.some(st => st.code === code.toUpperCase() || st.label.toLowerCase() === label.toLowerCase()))
+    .map(([, code, label], i) => ({ id: `custom_${stamp}${base + i}`, label, code: code.toUpperCase(), counts: 'excused', minutes: false, color: '#6A1B9A' }));
+}
+
+// A code (P, L…), label or icon, with the details GradeJournal writes after it in
+// brackets or in the cell's note: "Late (12 min late · Bus)". N/A: not in the lesson.
+function attendanceMark(statuses, text, note = '') {
+  const m = /^([^(]*?)\s*(?:\((.*)\))?$/s.exec(String(text).trim());
+  const mark = m ? m[1].toLowerCase() : '';
+  if (mark === 'n/a') return { off: true };
+  const st = mark && statuses.find(s => [s.code, s.label, s.icon].some(v => v && String(v).toLowerCase() === mark));
+  if (!st) return null;
+  const details = (note || m[2] || '').split(' · ').map(p => p.trim()).filter(Boolean);
+  const late = details.map(p => /^(\d+)\s*min late$/.exec(p)).find(Boolean);
+  return { status: st.id, minutes: late ? +late[1] : 0, reason: details.filter(p => !/^\d+\s*min late$/.test(p)).join(' · ') };
+}
+
+// Undoes cellExportText ("Missing", "85 (late)") and the server's state notes; any other note is the cell's comment
+function importedGrade(text, note = '') {
+  const stateOf = label => Object.keys(CELL_STATES).find(k => CELL_STATES[k].label.toLowerCase() === String(label).trim().toLowerCase()) || '';
+  let value = String(text).trim();
+  let state = stateOf(note);
+  const comment = state ? '' : note;
+  if (!state && stateOf(value)) { state = stateOf(value); value = ''; }
+  const m = !state && /^(.*\S)\s+\(([a-z]+)\)$/i.exec(value);
+  if (m && stateOf(m[2])) { state = stateOf(m[2]); value = m[1]; }
+  if (state && (CELL_STATES[state].replacesGrade || value.toLowerCase() === CELL_STATES[state].label.toLowerCase())) value = '';
+  return { value, state, comment };
+}
+
+// The lesson and grade column a sheet column lands in
+function gradebookTarget(sheet, i) {
+  const header = sheet.headers[i] || `Column ${i + 1}`;
+  const points = MAX_POINTS_HEADER.exec(header);
+  const maxPoints = points ? Number(points[1] || points[2] || points[3]) : null;
+  const name = header.replace(MAX_POINTS_HEADER, '').trim() || header;
+  if (sheet.layout === 'one') return { date: sheet.meta.date || todayStr(), topic: gradebookLessonTopic(sheet), column: name, maxPoints };
+  const date = ISO_DATE.exec(name)?.[1];
+  const topic = name.replace(ISO_DATE, '').replace(/\s+/g, ' ').trim();
+  return { date: date || todayStr(), topic: topic || 'Lesson', column: topic || 'Grade', maxPoints };
+}
+
+function gradebookLessonTopic(sheet) {
+  return sheet.meta.second && sheet.meta.second !== 'Class Roster' ? sheet.meta.second : sheet.name;
+}
+
+// What a sheet brings to classroom c (null for a new one): students by name, and
+// per lesson its grade and attendance marks. Values that don't fit are counted.
+function gradebookSheetPlan(sheet, c) {
+  const plan = { students: new Map(), lessons: new Map(), rejected: 0 };
+  const statuses = [...attendanceStatuses(c), ...keyedStatuses(sheet, c)];
+  const lessonFor = (date, topic) => {
+    const key = `${date}|${topic.toLowerCase()}`;
+    if (!plan.lessons.has(key)) plan.lessons.set(key, { date, topic, marks: [] });
+    return plan.lessons.get(key);
+  };
+  const addGrade = (lesson, name, column, maxPoints, text, note, comment = '') => {
+    const grade = importedGrade(text, note);
+    const norm = normalizeGrade(c, grade.value);
+    if (!norm.ok) { plan.rejected++; return; }
+    lesson.marks.push({ name, kind: 'grade', column, maxPoints, ...grade, value: norm.value, comment: comment || grade.comment });
+  };
+  const addAttendance = (lesson, name, text, note) => {
+    const mark = attendanceMark(statuses, text, note);
+    if (mark) lesson.marks.push({ name, kind: 'attendance', ...mark });
+    else plan.rejected++;
+  };
+
+  if (sheet.report) {
+    const name = sheet.meta.second;
+    if (!name) return plan;
+    plan.students.set(rosterKey(name), { name, details: {} });
+    const at = h => sheet.headers.findIndex(x => x.toLowerCase() === h);
+    sheet.rows.forEach((row, r) => {
+      const date = ISO_DATE.exec(row[at('date')])?.[1];
+      if (!date) return;
+      const lesson = lessonFor(date, row[at('lesson')] || 'Lesson');
+      const att = at('attendance');
+      if (row[att] && !lesson.marks.some(m => m.kind === 'attendance')) addAttendance(lesson, name, row[att], sheet.notes[`${r},${att}`]);
+      const score = at('score');
+      const comment = row[at('comment')] || '';
+      if (row[at('grade')] && (row[score] || comment)) addGrade(lesson, name, row[at('grade')], null, row[score], sheet.notes[`${r},${score}`], comment);
+    });
+    return plan;
+  }
+
+  const nameCol = sheet.roles.indexOf('name');
+  const lastCol = sheet.roles.indexOf('lastName');
+  sheet.rows.forEach((row, r) => {
+    const name = [row[nameCol], row[lastCol]].filter(Boolean).join(' ').trim();
+    if (!name || SUMMARY_ROW.test(name)) return;
+    const student = plan.students.get(rosterKey(name)) || { name, details: {} };
+    plan.students.set(rosterKey(name), student);
+    const comments = {};
+    sheet.roles.forEach((role, i) => { if (role === 'comment' && row[i]) comments[sheetColumnBase(sheet, i)] = row[i]; });
+    sheet.roles.forEach((role, i) => {
+      const text = row[i];
+      const note = sheet.notes[`${r},${i}`] || '';
+      if (STUDENT_DETAILS.includes(role)) { if (text) student.details[role] = text; return; }
+      if ((role !== 'grade' && role !== 'attendance') || (!text && !note && !comments[i])) return;
+      const target = gradebookTarget(sheet, i);
+      const lesson = lessonFor(target.date, target.topic);
+      if (role === 'attendance') addAttendance(lesson, name, text, note);
+      else addGrade(lesson, name, target.column, target.maxPoints, text, note, comments[i]);
+    });
+  });
+  return plan;
+}
+
+// The same lesson is the one on that date with that topic; the Attendance Log
+// shortens topics to 12 characters, so one topic starting with the other counts
+function findImportedLesson(c, date, topic) {
+  const sameDay = c.lessons.filter(l => l.date === date);
+  const t = topic.toLowerCase();
+  return sameDay.find(l => l.topic.toLowerCase() === t)
+    || sameDay.find(l => { const lt = l.topic.toLowerCase(); return lt && (lt.startsWith(t) || t.startsWith(lt)); }) || null;
+}
+
+// A grade column of that name in the lesson, or a new one for it; formula columns work their values out themselves
+function importedColumn(c, l, name, maxPoints, log) {
+  const same = c.columns.find(col => (!col.lessonId || col.lessonId === l.id) && col.name.toLowerCase() === name.toLowerCase());
+  if (same) return same.formula ? null : same;
+  const col = { id: c.nextCid++, name, lessonId: l.id, categoryId: null, maxPoints, updatedAt: new Date().toISOString() };
+  c.columns.push(col);
+  markDirty('column', c.id, col.id);
+  log.columns.push(col.id);
+  return col;
+}
+
+// Lessons that were already there keep a copy of their records so Undo can put them back
+function applyGradebookPlan(c, plan, log) {
+  const stamp = new Date().toISOString();
+  const byName = new Map(c.students.map(s => [rosterKey(s.name), s]));
+  plan.students.forEach((p, key) => {
+    if (byName.has(key)) return;
+    const s = { id: c.nextSid++, name: p.name, phone: '', email: '', parentName: '', parentPhone: '', note: '', ...p.details, updatedAt: stamp };
+    c.students.push(s);
+    byName.set(key, s);
+    markDirty('student', c.id, s.id);
+    log.students.push(s.id);
+  });
+  plan.lessons.forEach(pl => {
+    const off = new Set(pl.marks.filter(m => m.off).map(m => byName.get(rosterKey(m.name))?.id));
+    let l = findImportedLesson(c, pl.date, pl.topic);
+    if (!l) {
+      l = {
+        id: c.nextLid++, topic: pl.topic.slice(0, MAX_IMPORT_TOPIC), date: pl.date, num: c.lessons.length + 1,
+        data: {}, mode: 'standard', studentIds: c.students.map(s => s.id).filter(id => !off.has(id)), updatedAt: stamp
+      };
+      c.lessons.push(l);
+      log.lessons.push(l.id);
+    } else if (!log.lessons.includes(l.id) && !log.before[l.id]) {
+      log.before[l.id] = { data: { ...l.data }, studentIds: l.studentIds ? [...l.studentIds] : null };
+    }
+    if (!l.data) l.data = {};
+    markDirty('lesson', c.id, l.id);
+    pl.marks.forEach(m => {
+      const s = byName.get(rosterKey(m.name));
+      if (!s || m.off) return;
+      if (l.studentIds && !l.studentIds.includes(s.id)) l.studentIds.push(s.id);
+      if (m.kind === 'attendance') { setAttendance(c, l, s.id, m.status, m); return; }
+      const col = importedColumn(c, l, m.column, m.maxPoints, log);
+      if (!col) return;
+      l.data[`col_${col.id}_${s.id}`] = m.value;
+      if (m.value) clearReplacedState(l, col.id, s.id);
+      setCellState(c, l, col.id, s.id, m.state);
+      if (m.comment) setCellComment(c, l, col.id, s.id, m.comment);
+      markCellDirty(c.id, l.id, `col_${col.id}_${s.id}`);
+    });
+    l.updatedAt = stamp;
+  });
+}
+
+// Puts a lesson's records back as they were, marking every grade and attendance row that changed
+function restoreLessonRecords(c, l, before) {
+  const changed = new Set();
+  new Set([...Object.keys(l.data || {}), ...Object.keys(before.data)]).forEach(key => {
+    if (l.data[key] === before.data[key]) return;
+    const cell = /^(?:col|rub|cmt|st)_(\d+_\d+)$/.exec(key);
+    const att = /^att[nm]?_(\d+)$/.exec(key);
+    const row = cell ? `col_${cell[1]}` : att ? `att_${att[1]}` : key;
+    if (key in before.data) l.data[key] = before.data[key];
+    else if (key === row && (cell || att)) l.data[key] = att ? 'present' : '';
+    else delete l.data[key];
+    changed.add(row);
+  });
+  l.studentIds = before.studentIds;
+  l.updatedAt = new Date().toISOString();
+  changed.forEach(key => { if (/^(col|att)_/.test(key)) markCellDirty(c.id, l.id, key); });
+  markDirty('lesson', c.id, l.id);
+}
+
+function gradebookSheetSummary(sheet) {
+  const c = sheet.target === 'new' ? null : getC(sheet.target);
+  if (sheet.report && !sheet.meta.second) return 'No student name in the sheet title';
+  if (!sheet.report && !sheet.roles.includes('name')) return 'Choose the column with the student names';
+  const plan = gradebookSheetPlan(sheet, c);
+  const known = new Set((c?.students || []).map(s => rosterKey(s.name)));
+  const lessons = [...plan.lessons.values()];
+  const marks = lessons.flatMap(pl => pl.marks);
+  const count = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+  const fresh = [...plan.students.keys()].filter(k => !known.has(k)).length;
+  const freshLessons = lessons.filter(pl => !c || !findImportedLesson(c, pl.date, pl.topic)).length;
+  return [
+    `${count(plan.students.size, 'student')}${c ? ` (${fresh} new)` : ''}`,
+    `${count(lessons.length, 'lesson')}${c ? ` (${freshLessons} new)` : ''}`,
+    count(marks.filter(m => m.kind === 'grade').length, 'grade'),
+    count(marks.filter(m => m.kind === 'attendance' && !m.off).length, 'attendance mark'),
+    plan.rejected ? `${plan.rejected} skipped (not on the grading scale or not an attendance status)` : ''
+  ].filter(Boolean).join(' · ');
+}
+
+function setGradebookTarget(i, value) {
+  gradebookImport.sheets[i].target = value;
+  renderGradebookImport();
+}
+
+function renderGradebookImport() {
+  if (!gradebookImport) return;
+  const { sheets } = gradebookImport;
+  const picked = sheets.filter(s => s.target !== 'skip').length;
+  safeSetText('gradebook-import-sub', `${gradebookImport.fileName} · ${sheets.length} sheet${sheets.length === 1 ? '' : 's'}`);
+  safeSetText('gradebook-import-btn', `Import ${picked} Sheet${picked === 1 ? '' : 's'}`);
+  const roleOptions = (role, commented) => `
+    <option value="grade" ${role === 'grade' ? 'selected' : ''}>Grades</option>
+    <option value="attendance" ${role === 'attendance' ? 'selected' : ''}>Attendance</option>
+    ${commented ? `<option value="comment" ${role === 'comment' ? 'selected' : ''}>Comments on its grade column</option>` : ''}
+    <optgroup label="Student">${ROSTER_FIELDS.map(f => `<option value="${f.key}" ${role === f.key ? 'selected' : ''}>${f.label}</option>`).join('')}</optgroup>
+    <option value="ignore" ${role === 'ignore' ? 'selected' : ''}>— Not imported —</option>`;
+  const list = safeGetElement('gradebook-sheets');
+  if (list) list.innerHTML = sheets.map((sheet, si) => {
+    const skipped = sheet.target === 'skip';
+    const one = `one lesson, “${gradebookLessonTopic(sheet)}” on ${formatDateDisplay(sheet.meta.date || todayStr())}`;
+    return `<div class="gbi-sheet ${skipped ? 'skipped' : ''}">
+      <div class="gbi-sheet-hdr">
+        <div><div class="gbi-sheet-name">${esc(sheet.name)}</div><div class="gbi-sheet-sub">${sheet.report ? 'Student report' : `${sheet.rows.length} rows · ${sheet.headers.length} columns`}</div></div>
+        <div class="gbi-target">
+          <select class="fselect" onchange="setGradebookTarget(${si},this.value)">
+            <option value="skip" ${skipped ? 'selected' : ''}>— Don't import —</option>
+            <option value="new" ${sheet.target === 'new' ? 'selected' : ''}>New classroom</option>
+            ${DB.classrooms.map(c => `<option value="${esc(c.id)}" ${sheet.target === c.id ? 'selected' : ''}>${esc(c.name)}</option>`).join('')}
+          </select>
+          ${sheet.target === 'new' ? `<input class="finput" value="${esc(sheet.newName)}" placeholder="Classroom name" onchange="gradebookImport.sheets[${si}].newName=this.value.trim()">` : ''}
+        </div>
+      </div>
+      ${skipped ? '' : `${sheet.report ? '' : `
+      <div class="gbi-layout"><label class="flabel">Columns become</label>
+        <select class="fselect" onchange="gradebookImport.sheets[${si}].layout=this.value;renderGradebookImport()">
+          <option value="each" ${sheet.layout === 'each' ? 'selected' : ''}>a lesson each, dated from the header</option>
+          <option value="one" ${sheet.layout === 'one' ? 'selected' : ''}>${esc(one)}</option>
+        </select>
+      </div>
+      <div class="gbi-cols">${sheet.headers.map((h, i) => `<div class="gbi-col">
+        <span title="${esc(h)}">${esc(h || `Column ${i + 1}`)}</span>
+        <select class="fselect" onchange="gradebookImport.sheets[${si}].roles[${i}]=this.value;renderGradebookImport()">${roleOptions(sheet.roles[i], sheetColumnBase(sheet, i) >= 0)}</select>
+      </div>`).join('')}</div>`}
+      <div class="gbi-summary">${esc(gradebookSheetSummary(sheet))}</div>`}
+    </div>`;
+  }).join('');
+}
+
+function confirmGradebookImport() {
+  if (!gradebookImport) return;
+  const sheets = gradebookImport.sheets.filter(s => s.target !== 'skip');
+  if (!sheets.length) { toast('Choose at least one sheet to import'); return; }
+  const unnamed = sheets.find(s => s.target === 'new' && !s.newName);
+  if (unnamed) { toast(`Name the new classroom for ${unnamed.name}`); return; }
+  const unmapped = sheets.find(s => s.report ? !s.meta.second : !s.roles.includes('name'));
+  if (unmapped) { toast(`${unmapped.name}: ${gradebookSheetSummary(unmapped)}`); return; }
+
+  const log = { created: [], rooms: {} };
+  const made = new Map();
+  sheets.forEach(sheet => {
+    let c = sheet.target === 'new' ? made.get(rosterKey(sheet.newName)) : getC(sheet.target);
+    if (!c && sheet.target === 'new') {
+      c = newClassroom({ name: sheet.newName, subject: sheet.meta.subject, teacher: sheet.meta.teacher });
+      DB.classrooms.push(c);
+      markDirty('classroom', c.id, null);
+      made.set(rosterKey(sheet.newName), c);
+      log.created.push(c.id);
+    }
+    if (!c) return;
+    if (!log.rooms[c.id]) log.rooms[c.id] = { students: [], lessons: [], columns: [], statuses: [], before: {} };
+    const keyed = keyedStatuses(sheet, c);
+    if (keyed.length) {
+      c.attendanceStatuses = [...(c.attendanceStatuses || []), ...keyed];
+      c.updatedAt = new Date().toISOString();
+      markDirty('classroom', c.id, null);
+      log.rooms[c.id].statuses.push(...keyed.map(st => st.id));
+    }
+    applyGradebookPlan(c, gradebookSheetPlan(sheet, c), log.rooms[c.id]);
+  });
+  rebuildIndex();
+  Object.keys(log.rooms).forEach(cid => recomputeAllFormulas(getC(cid)));
+  saveDB('home', true); closeOv('ov-gradebook-import');
+  renderClassrooms();
+  if (log.rooms[CID] && isScreenActive('s-classroom')) { renderStudents(); renderLessons(); }
+  gradebookImport = null;
+  const rooms = Object.keys(log.rooms).length;
+  pushUndo(`📒 Gradebook imported into ${rooms} classroom${rooms === 1 ? '' : 's'}`, () => log, ({ created, rooms }) => {
+    Object.entries(rooms).forEach(([cid, room]) => {
+      const c = getC(cid);
+      if (!c || created.includes(cid)) return;
+      Object.entries(room.before).forEach(([lid, before]) => { const l = getLesson(cid, +lid); if (l) restoreLessonRecords(c, l, before); });
+      room.lessons.forEach(id => markDeleted('lesson', c, id));
+      room.columns.forEach(id => markDeleted('column', c, id));
+      room.students.forEach(id => markDeleted('student', c, id));
+      c.lessons = c.lessons.filter(l => !room.lessons.includes(l.id));
+      c.columns = c.columns.filter(col => !room.columns.includes(col.id));
+      c.students = c.students.filter(s => !room.students.includes(s.id));
+      c.lessons.forEach(l => { if (l.studentIds) l.studentIds = l.studentIds.filter(id => !room.students.includes(id)); });
+      if (room.statuses.length) {
+        c.attendanceStatuses = (c.attendanceStatuses || []).filter(st => !room.statuses.includes(st.id));
+        c.updatedAt = new Date().toISOString();
+        markDirty('classroom', c.id, null);
+      }
+    });
+    created.forEach(cid => { const c = getC(cid); if (c) markDeleted('classroom', c, null); });
+    DB.classrooms = DB.classrooms.filter(c => !created.includes(c.id));
+  });
+}
+
 // ============================================
 // LESSONS
 // ============================================
 function openAddLesson() {
-  currentLessonMode = 'standard';
+  fillExamModeSelect(CC(), 'ielts');
   toggleLessonMode('standard');
   const dateInput = safeGetElement('inp-ldate');
   if (dateInput) dateInput.value = todayStr();
@@ -976,20 +2826,22 @@ function saveLesson() {
   // FIX: capture mode before reset
   const mode = currentLessonMode;
   const lesson = { id: c.nextLid++, topic, date, num, data: {}, mode, studentIds: c.students.map(s => s.id), updatedAt: new Date().toISOString() };
-  if (mode === 'ielts') {
-    IELTS_SECTIONS.forEach(sec => {
-      if (sec !== 'Overall Band') {
-        c.columns.push({ id: c.nextCid++, name: sec, ielts: true, lessonId: lesson.id, updatedAt: new Date().toISOString() });
-      }
+  const exam = examModeOf(c, lesson);
+  if (exam) {
+    exam.sections.forEach(sec => {
+      const col = { id: c.nextCid++, name: sec, exam: true, lessonId: lesson.id, updatedAt: new Date().toISOString() };
+      c.columns.push(col);
+      markDirty('column', c.id, col.id);
     });
   }
   c.lessons.push(lesson);
+  markDirty('lesson', c.id, lesson.id);
   LID = lesson.id;
   rebuildIndex(); saveDB('class'); closeOv('ov-lesson'); renderLessons();
   const tbadge = safeGetElement('tbadge-lessons');
   if (tbadge) tbadge.textContent = c.lessons.length;
   // FIX: use captured mode
-  toast(mode === 'ielts' ? '🎯 IELTS lesson created!' : 'Lesson created!');
+  toast(exam ? `${exam.icon || '📝'} ${exam.name} lesson created!` : 'Lesson created!');
 }
 
 let editLid = null;
@@ -1003,7 +2855,13 @@ function openEditLesson(lid) {
   const numInput = safeGetElement('inp-el-num');
   if (topicInput) topicInput.value = l.topic;
   if (dateInput) dateInput.value = l.date;
-  if (numInput) numInput.value = l.num || '';
+  if (numInput) {
+    numInput.value = l.num || '';
+    numInput.disabled = !!(l.sessionKey && CC()?.timetable);
+    numInput.title = numInput.disabled ? 'Numbered by the timetable' : '';
+  }
+  sv('inp-el-start', l.start || '');
+  sv('inp-el-end', l.end || '');
   openOv('ov-edit-lesson');
 }
 
@@ -1019,7 +2877,14 @@ function confirmEditLesson() {
   if (dateInput?.value) l.date = dateInput.value;
   const numInput = safeGetElement('inp-el-num');
   if (numInput?.value) l.num = parseInt(numInput.value) || l.num;
+  const start = safeGetElement('inp-el-start')?.value || '';
+  const end = safeGetElement('inp-el-end')?.value || '';
+  if (start && end && end <= start) { shake('inp-el-end'); return; }
+  l.start = start;
+  l.end = end;
   l.updatedAt = new Date().toISOString();
+  markDirty('lesson', CID, l.id);
+  followLessonMove(CC(), l);
   saveDB('class'); closeOv('ov-edit-lesson'); renderLessons();
   if (LID === editLid) renderLessonHeader();
 }
@@ -1046,33 +2911,24 @@ function renderLessons() {
     return;
   }
   sorted.forEach((l, i) => {
-    let p = 0, la = 0, ab = 0;
-    c.students.forEach(s => {
-      if (l.studentIds && !l.studentIds.includes(s.id)) return;
-      const val = (l.data || {})[`att_${s.id}`] || 'present';
-      if (val === 'present') p++;
-      else if (val === 'late') la++;
-      else ab++;
-    });
     const total = l.studentIds ? l.studentIds.length : c.students.length;
-    const rate = total > 0 ? Math.round((p + la) / total * 100) : 100;
+    const att = lessonAttendanceTally(c, l);
+    const rate = att.rate;
     const el = document.createElement('div');
-    el.className = 'lesson-item fade-up' + (l.mode === 'ielts' ? ' ielts-lesson' : '');
+    const exam = examModeOf(c, l);
+    el.className = 'lesson-item fade-up' + (exam ? ' ielts-lesson' : '');
     el.style.animationDelay = (i * .04) + 's';
-    const status = lessonCompletionStatus(l, c);
-    const statusDot = status === 'complete' ? '<span class="lesson-status-dot complete" title="All grades filled">●</span>'
-      : status === 'partial' ? '<span class="lesson-status-dot partial" title="Some grades missing">◑</span>'
-      : status === 'att-only' ? '<span class="lesson-status-dot att-only" title="Attendance only">○</span>' : '';
+    const statusDot = lessonStatusDot(lessonCompletionStatus(l, c));
     // NEW: lesson notes preview
     const notesPreview = l.notes ? `<div class="lesson-notes-preview">📝 ${esc(l.notes.substring(0, 60))}${l.notes.length > 60 ? '…' : ''}</div>` : '';
     el.innerHTML = `<div class="lesson-number">${l.num || i + 1}</div>
       <div class="lesson-info">
-        <div class="lesson-name">${esc(l.topic)}${l.mode === 'ielts' ? '<span class="ielts-badge" style="margin-left:8px">🎯 IELTS</span>' : ''}${statusDot}</div>
+        <div class="lesson-name">${esc(l.topic)}${exam ? `<span class="ielts-badge" style="margin-left:8px">${exam.icon || '📝'} ${esc(exam.name)}</span>` : ''}${statusDot}</div>
         <div class="lesson-date-row"><svg width="11" height="11" fill="none" stroke="currentColor" stroke-width="2" viewBox="0 0 24 24"><rect x="3" y="4" width="18" height="18" rx="2" ry="2"/><line x1="16" y1="2" x2="16" y2="6"/><line x1="8" y1="2" x2="8" y2="6"/><line x1="3" y1="10" x2="21" y2="10"/></svg>
-        <span>${l.date}</span><span style="color:var(--border)">·</span><span>${total} students</span><span style="color:var(--border)">·</span><span style="font-weight:700;color:${rate >= 80 ? 'var(--success)' : rate >= 60 ? 'var(--warning)' : 'var(--error)'}">${rate}% att.</span></div>
+        <span>${l.date}${l.start ? ` · ${sessionTimeText(l)}` : ''}</span><span style="color:var(--border)">·</span><span>${total} students</span><span style="color:var(--border)">·</span><span style="font-weight:700;color:${rate >= 80 ? 'var(--success)' : rate >= 60 ? 'var(--warning)' : 'var(--error)'}">${rate}% att.</span></div>
         ${notesPreview}
       </div>
-      ${c.students.length > 0 ? `<div class="lesson-att-mini"><div class="att-dot p">${p}</div>${la > 0 ? `<div class="att-dot l">${la}</div>` : ''}${ab > 0 ? `<div class="att-dot a">${ab}</div>` : ''}</div>` : ''}
+      ${c.students.length > 0 ? `<div class="lesson-att-mini">${attendanceStatuses(c).filter(st => st.id === 'present' || att.byStatus[st.id]).map(st => `<div class="att-dot" style="background:${st.color}1a;color:${st.color};border-color:${st.color}55" title="${esc(st.label)}">${att.byStatus[st.id] || 0}</div>`).join('')}</div>` : ''}
       <button style="background:none;border:none;cursor:pointer;padding:4px 7px;color:var(--text-light);border-radius:6px" onclick="event.stopPropagation();openEditLesson(${l.id})"><svg width="13" height="13" fill="none" stroke="currentColor" stroke-width="2" viewBox="0 0 24 24"><path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"/><path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"/></svg></button>
       <button class="lesson-del" onclick="event.stopPropagation();delLessonConfirm(${l.id})">×</button>
       <span class="lesson-arrow">→</span>`;
@@ -1081,15 +2937,27 @@ function renderLessons() {
   });
 }
 
+function lessonStatusDot(status) {
+  return status === 'complete' ? '<span class="lesson-status-dot complete" title="All grades filled">●</span>'
+    : status === 'partial' ? '<span class="lesson-status-dot partial" title="Some grades missing">◑</span>'
+    : status === 'att-only' ? '<span class="lesson-status-dot att-only" title="Attendance only">○</span>' : '';
+}
+
 function delLessonConfirm(lid) {
   const l = getLesson(CID, lid);
   if (!l) return;
-  confirm_(`Delete lesson "${l.topic}"?`, 'All attendance and grade data will be lost.', () => {
+  const scheduled = l.sessionKey && CC()?.timetable;
+  confirm_(`Delete lesson "${l.topic}"?`, `All attendance and grade data will be lost.${scheduled ? ' The session is cancelled on the timetable.' : ''}`, () => {
     const c = CC();
     if (!c) return;
-    c.columns = c.columns.filter(col => col.lessonId !== lid);
-    c.lessons = c.lessons.filter(ls => ls.id !== lid);
-    if (LID === lid) LID = null;
+    removeLesson(c, lid);
+    // Without a cancellation the timetable would create the lesson again
+    if (scheduled && c.timetable) {
+      setSessionChange(c.timetable, l.sessionKey, { cancelled: true });
+      c.updatedAt = new Date().toISOString();
+      markDirty('classroom', c.id, null);
+      applyTimetable(c);
+    }
     rebuildIndex(); saveDB('class', true); renderLessons();
     toast('Lesson deleted.');
   });
@@ -1103,7 +2971,7 @@ function openLesson(lid) {
   const l = CL();
   if (!l) return;
   const addColBtn = safeGetElement('add-col-btn');
-  if (addColBtn) addColBtn.style.display = l.mode === 'ielts' ? 'none' : 'inline-flex';
+  if (addColBtn) addColBtn.style.display = isExamLesson(l) ? 'none' : 'inline-flex';
   // FIX: Reset scroll position when switching lessons
   const gbScroll = document.querySelector('.gradebook-scroll');
   if (gbScroll) gbScroll.scrollTop = 0;
@@ -1116,120 +2984,178 @@ function renderLessonHeader() {
   const l = CL();
   if (!l) return;
   safeSetText('lgb-name', l.topic);
-  safeSetText('lgb-date', l.date + (l.num ? ` · Lesson ${l.num}` : '') + (l.mode === 'ielts' ? ' · IELTS Mode' : ''));
+  safeSetText('lgb-date', l.date + (l.start ? ` · ${sessionTimeText(l)}` : '') + (l.num ? ` · Lesson ${l.num}` : '') + (isExamLesson(l) ? ` · ${examModeOf(CC(), l).name}` : ''));
   safeSetText('lesson-crumb', l.topic);
 }
 
-function getBandClass(score) {
-  if (!score || score === '-' || score === '—') return '';
-  const n = parseFloat(score);
-  if (isNaN(n)) return '';
-  if (n >= 8.5) return 'band-9';  // top tier
-  if (n >= 7.5) return 'band-8';
-  if (n >= 6.5) return 'band-7';
-  if (n >= 5.5) return 'band-6';
-  if (n >= 4.5) return 'band-5';
-  return 'band-low';
+// Older versions could store a computed column; the total is always worked out instead
+function examSectionColumns(c, l) {
+  return c.columns.filter(col => col.exam && col.lessonId === l.id && col.name !== 'Overall Band');
 }
 
-function calculateOverallBand(sid) {
-  const c = CC(), l = CL();
-  if (!l || l.mode !== 'ielts') return '-';
+function calculateExamTotal(sid, c = CC(), l = CL()) {
+  const def = c && examModeOf(c, l);
+  if (!def) return '-';
   if (l.studentIds && !l.studentIds.includes(sid)) return '-';
-  const cols = c.columns.filter(col => col.ielts && col.lessonId === l.id && col.name !== 'Overall Band');
-  let sum = 0, count = 0;
-  cols.forEach(col => {
+  const scores = [];
+  examSectionColumns(c, l).forEach(col => {
+    const state = cellState(l, col.id, sid);
+    if (state === 'missing') { scores.push(0); return; }
+    if (state === 'excused') return;
     const val = (l.data || {})[`col_${col.id}_${sid}`];
-    if (val?.trim()) { const n = parseFloat(val); if (!isNaN(n)) { sum += n; count++; } }
+    if (val?.trim()) { const n = parseFloat(val); if (!isNaN(n)) scores.push(n); }
   });
-  if (count === 0) return '-';
-  return (sum / count).toFixed(1);
+  const total = examTotal({ ...def, sections: examSectionColumns(c, l) }, scores);
+  return total === null ? '-' : formatExamScore(def, total);
 }
 
-function renderGradebook() {
-  const c = CC(), l = CL();
-  if (!l || !c) return;
-  const sorted = [...c.students]
+function gradebookStudents(c, l) {
+  return [...c.students]
     .filter(s => l.studentIds ? l.studentIds.includes(s.id) : true)
     .sort((a, b) => a.name.localeCompare(b.name));
-  let p = 0, la = 0, ab = 0;
-  sorted.forEach(s => {
-    const val = (l.data || {})[`att_${s.id}`] || 'present';
-    if (val === 'present') p++;
-    else if (val === 'late') la++;
-    else ab++;
-  });
+}
+
+// Standard columns belong to one lesson, or to every lesson when lessonId is empty
+function standardColumnsFor(c, l) {
+  return c.columns.filter(col => !col.exam && (!col.lessonId || col.lessonId === l.id));
+}
+
+// Exam lessons end with their total as a computed, read-only column
+function gradebookColumns(c, l) {
+  const def = examModeOf(c, l);
+  return def ? [...examSectionColumns(c, l), { id: 0, name: def.totalLabel, exam: true, virtual: true }] : standardColumnsFor(c, l);
+}
+
+function renderGradebookStats() {
+  const c = CC(), l = CL();
   const strip = safeGetElement('stats-strip');
-  const total = sorted.length;
-  const attended = p + la;
-  const rate = total > 0 ? Math.round(attended / total * 100) : 100;
-  if (strip) {
-    strip.innerHTML = `
-      <div class="stat-chip"><div class="stat-chip-dot" style="background:var(--success)"></div>Present: ${p}</div>
-      <div class="stat-chip"><div class="stat-chip-dot" style="background:var(--warning)"></div>Late: ${la}</div>
-      <div class="stat-chip"><div class="stat-chip-dot" style="background:var(--error)"></div>Absent: ${ab}</div>
-      <div class="stat-chip"><div class="stat-chip-dot" style="background:var(--accent)"></div>Attendance: ${rate}%</div>
-      <div class="stat-chip">Total: ${total}</div>
+  if (!l || !c || !strip) return;
+  const t = attendanceTally(c, gradebookStudents(c, l).map(s => attendanceOf(l, s.id)));
+  // Built-in statuses always get a chip, the classroom's own once they're used
+  strip.innerHTML = `
+      ${attendanceStatuses(c).filter(st => st.builtin || t.byStatus[st.id]).map(st => `<div class="stat-chip"><div class="stat-chip-dot" style="background:${st.color}"></div>${esc(st.label)}: ${t.byStatus[st.id] || 0}</div>`).join('')}
+      <div class="stat-chip" title="Excused absences: ${ATTENDANCE_POLICIES[attendancePolicy(c)].toLowerCase()}"><div class="stat-chip-dot" style="background:var(--accent)"></div>Attendance: ${t.rate}%</div>
+      <div class="stat-chip">Total: ${t.total}</div>
       <div class="stat-chip bulk-actions-chip">
-        <button class="bulk-btn bulk-present" onclick="bulkSetAttendance('present')" title="Mark all Present">✓ All Present</button>
-        <button class="bulk-btn bulk-late" onclick="bulkSetAttendance('late')" title="Mark all Late">⏰ All Late</button>
-        <button class="bulk-btn bulk-absent" onclick="bulkSetAttendance('absent')" title="Mark all Absent">✗ All Absent</button>
+        ${ATTENDANCE_STATUSES.map(st => `<button class="bulk-btn" style="--att:${st.color}" onclick="bulkSetAttendance('${st.id}')" title="Mark all ${st.label}">${st.icon} All ${st.label}</button>`).join('')}
       </div>`;
-  }
-  const lessonCols = l.mode === 'ielts' ? c.columns.filter(col => col.ielts && col.lessonId === l.id) : c.columns.filter(col => !col.ielts);
+}
+
+function gradebookRowHtml(c, l, s, lessonCols) {
+  const initials = s.name.split(' ').map(w => w[0]).join('').toUpperCase().slice(0, 2);
+  const attVal = attendanceOf(l, s.id);
+  const attNote = attendanceNote(l, s.id);
+  // Custom statuses are set from the details popup, whose button then shows their code
+  const custom = attendanceStatuses(c).find(st => !st.builtin && st.id === attVal);
+  const absent = attendanceStatusOf(c, attVal).counts !== 'attended';
+  const exam = examModeOf(c, l);
+  return `
+      <td class="td-student"><div class="td-student-inner"><div class="td-mini-av">${esc(initials)}</div><div class="td-name-text">${esc(s.name)}</div></div></td>
+      <td class="td-att-cell" oncontextmenu="openAttendanceDetails(${s.id},this);return false">
+        <div class="att-toggle" role="group" aria-label="Attendance">
+          ${ATTENDANCE_STATUSES.map(st => `<button class="att-opt${attVal === st.id ? ' active' : ''}" style="--att:${st.color}" onclick="setAtt(${s.id},'${st.id}')" title="${st.label}">${st.icon}</button>`).join('')}
+          <button class="att-more${custom ? ' active' : ''}" ${custom ? `style="--att:${custom.color}"` : ''} onclick="openAttendanceDetails(${s.id},this)" title="${esc(custom ? custom.label : 'Reason, minutes late and other statuses')}">${custom ? esc(custom.code) : '⋯'}</button>
+        </div>
+        ${attNote ? `<div class="att-note" title="${esc(attNote)}">${esc(attNote)}</div>` : ''}
+      </td>
+      ${lessonCols.map(col => {
+        if (col.virtual) {
+          const total = calculateExamTotal(s.id, c, l);
+          const label = examScoreLabel(exam, total, true);
+          return `<td class="overall-band-cell"${label ? ` title="${esc(label)}"` : ''}>${total}</td>`;
+        }
+        const val = esc((l.data || {})[`col_${col.id}_${s.id}`] || '');
+        const state = cellState(l, col.id, s.id);
+        // Missing/Excused show their name where the grade would be
+        const standIn = CELL_STATES[state]?.replacesGrade ? CELL_STATES[state].label : '';
+        if (exam && col.exam) {
+          const displayVal = val || standIn || '—';
+          return `<td ${gradeCellAttrs(l, col.id, s.id, 'band-score-cell')}>
+            <button class="band-pill" onclick="openBandPicker(${col.id},${s.id},this)" ${examScoreStyle(exam, val)} ${absent ? 'disabled' : ''}>${displayVal}</button>${cellStateTagHtml(state)}${commentMarkerHtml(l, col.id, s.id)}
+          </td>`;
+        }
+        if (col.rubricId) {
+          const raw = (l.data || {})[`col_${col.id}_${s.id}`] || '';
+          const tip = rubricSummary(rubricOf(c, col), rubricBreakdown(l, col.id, s.id));
+          return `<td ${gradeCellAttrs(l, col.id, s.id, 'rubric-cell')}><button class="rubric-pill${raw ? ' filled' : ''}" onclick="openRubricPicker(${col.id},${s.id},this)" title="${esc(tip || 'Grade with the rubric')}" ${absent ? 'disabled' : ''}>${raw ? val : standIn || '📋'}</button>${cellStateTagHtml(state)}${commentMarkerHtml(l, col.id, s.id)}</td>`;
+        }
+        if (col.formula) {
+          const raw = (l.data || {})[`col_${col.id}_${s.id}`] || '';
+          return `<td ${gradeCellAttrs(l, col.id, s.id, 'formula-cell')} title="${esc(col.formula)}" ${gradeCellStyle(c, raw)}>${raw ? val : '—'}${commentMarkerHtml(l, col.id, s.id)}</td>`;
+        }
+        return `<td ${gradeCellAttrs(l, col.id, s.id)}><input class="grade-inp" type="text" placeholder="${standIn || '—'}" value="${val}" data-key="col_${col.id}_${s.id}" onchange="saveGrade(${col.id},${s.id},this.value)" ${gradeCellStyle(c, (l.data || {})[`col_${col.id}_${s.id}`])} ${absent ? 'disabled' : ''}>${cellStateTagHtml(state)}${commentMarkerHtml(l, col.id, s.id)}</td>`;
+      }).join('')}
+      ${!exam ? courseAvgCellHtml(c, s.id) : ''}`;
+}
+
+function examScoreStyle(def, score) {
+  if (isNaN(parseFloat(score))) return '';
+  const { bg, text } = examScoreColors(def, score);
+  const label = examScoreLabel(def, score);
+  return `style="background:${bg};color:${text}"${label ? ` title="${esc(label)}"` : ''}`;
+}
+
+function courseAvgCellHtml(c, sid) {
+  const { percent } = courseAverage(c, sid);
+  const scale = scaleOf(c);
+  const color = percent !== null && scale.kind !== 'free' ? levelForPercent(scale, percent)?.color : percentColor(percent);
+  return `<td class="course-avg-cell" data-avg="${sid}" style="color:${color}">${formatCourseGrade(c, percent)}</td>`;
+}
+
+function columnScoringLabel(c, col) {
+  const parts = [col.formula ? 'ƒx' : '', col.rubricId ? `📋 ${rubricOf(c, col)?.name || 'rubric'}` : '', categoryName(c, col.categoryId), col.maxPoints ? `/ ${col.maxPoints}` : '', col.lessonId ? '' : 'all lessons'].filter(Boolean);
+  return parts.length ? `<span class="th-col-meta">${esc(parts.join(' · '))}</span>` : '';
+}
+
+function renderGradebook() {
+  const c = CC(), l = CL();
+  if (!l || !c) return;
+  const sorted = gradebookStudents(c, l);
+  renderGradebookStats();
+  const lessonCols = gradebookColumns(c, l);
   const head = safeGetElement('gb-head');
   if (head) {
     head.innerHTML = `<tr>
       <th class="th-student">Student</th>
-      <th style="width:160px">Attendance</th>
+      <th style="width:200px"><div class="th-inner-flex"><span>Attendance</span><div class="th-col-actions"><button class="th-col-btn" onclick="openAttendanceSettings()" title="Attendance statuses and policy">⚙</button></div></div></th>
       ${lessonCols.map(col => {
-        if (col.name === 'Overall Band') return `<th class="overall-band-col" style="min-width:120px"><div class="th-inner-flex"><span>⭐ Overall Band</span></div></th>`;
-        return `<th><div class="th-inner-flex"><span>${esc(col.name)}</span>${!col.ielts ? `<div class="th-col-actions"><button class="th-col-btn" onclick="openRenameColumn(${col.id})" title="Rename">✎</button><button class="th-col-btn" onclick="delColumnConfirm(${col.id})" title="Delete">×</button></div>` : ''}</div></th>`;
+        if (col.virtual) return `<th class="overall-band-col" style="min-width:120px"><div class="th-inner-flex"><span>⭐ ${esc(col.name)}</span></div></th>`;
+        return `<th><div class="th-inner-flex"><span>${esc(col.name)}${!col.exam ? columnScoringLabel(c, col) : ''}</span>${!col.exam ? `<div class="th-col-actions"><button class="th-col-btn" onclick="openRenameColumn(${col.id})" title="Edit">✎</button><button class="th-col-btn" onclick="delColumnConfirm(${col.id})" title="Delete">×</button></div>` : ''}</div></th>`;
       }).join('')}
+      ${!isExamLesson(l) ? `<th class="course-avg-col" title="Running course average across all lessons"><div class="th-inner-flex"><span>Course Avg</span><div class="th-col-actions"><button class="th-col-btn" onclick="openGradingScale()" title="Grading scale">≡</button><button class="th-col-btn" onclick="openCategories()" title="Grade categories">⚖</button></div></div></th>` : ''}
     </tr>`;
   }
   const body = safeGetElement('gb-body');
   if (!body) return;
   body.innerHTML = '';
   sorted.forEach(s => {
-    const initials = s.name.split(' ').map(w => w[0]).join('').toUpperCase().slice(0, 2);
-    const attVal = (l.data || {})[`att_${s.id}`] || 'present';
-    const absent = attVal === 'absent';
     const tr = document.createElement('tr');
-    tr.innerHTML = `
-      <td class="td-student"><div class="td-student-inner"><div class="td-mini-av">${esc(initials)}</div><div class="td-name-text">${esc(s.name)}</div></div></td>
-      <td class="td-att-cell">
-        <div class="att-toggle" role="group" aria-label="Attendance">
-          <button class="att-opt ${attVal === 'present' ? 'active-p' : ''}" onclick="setAtt(${s.id},'present')" title="Present">✓</button>
-          <button class="att-opt ${attVal === 'late' ? 'active-l' : ''}" onclick="setAtt(${s.id},'late')" title="Late">⏰</button>
-          <button class="att-opt ${attVal === 'absent' ? 'active-a' : ''}" onclick="setAtt(${s.id},'absent')" title="Absent">✕</button>
-        </div>
-      </td>
-      ${lessonCols.map(col => {
-        if (col.name === 'Overall Band') {
-          const overall = calculateOverallBand(s.id);
-          const bc = getBandClass(overall);
-          return `<td class="overall-band-cell ${bc}">${overall}</td>`;
-        }
-        const val = esc((l.data || {})[`col_${col.id}_${s.id}`] || '');
-        if (l.mode === 'ielts' && col.ielts) {
-          const bc = getBandClass(val);
-          const displayVal = val || '—';
-          return `<td class="band-score-cell">
-            <button class="band-pill ${bc}" onclick="openBandPicker(${col.id},${s.id},this)" ${absent ? 'disabled' : ''}>${displayVal}</button>
-          </td>`;
-        }
-        return `<td><input class="grade-inp" type="text" placeholder="—" value="${val}" onchange="saveGrade(${col.id},${s.id},this.value)" ${absent ? 'disabled' : ''}></td>`;
-      }).join('')}`;
+    tr.dataset.sid = s.id;
+    tr.innerHTML = gradebookRowHtml(c, l, s, lessonCols);
     body.appendChild(tr);
   });
   const addTr = document.createElement('tr');
   addTr.className = 'add-student-row';
-  addTr.innerHTML = `<td class="td-student" colspan="${2 + lessonCols.length}"><input class="add-row-inp" placeholder="+ Type student name and press Enter to add to THIS lesson..." onkeydown="if(event.key==='Enter')quickAddStudentToLesson(this.value,this)"></td>`;
+  addTr.innerHTML = `<td class="td-student" colspan="${2 + lessonCols.length + (!isExamLesson(l) ? 1 : 0)}"><input class="add-row-inp" placeholder="+ Type student name and press Enter to add to THIS lesson..." onkeydown="if(event.key==='Enter')quickAddStudentToLesson(this.value,this)"></td>`;
   body.appendChild(addTr);
   setupGradebookKeyNav();
 }
 
+// Re-render one student's row, keeping any half-typed value in the focused cell
+function refreshGradebookRow(sid) {
+  const c = CC(), l = CL(), s = getStudent(CID, sid);
+  const tr = document.querySelector(`#gb-body tr[data-sid="${sid}"]`);
+  if (!c || !l || !s || !tr) return;
+  const active = tr.contains(document.activeElement) ? document.activeElement : null;
+  const activeKey = active?.dataset?.key, activeVal = active?.value;
+  tr.innerHTML = gradebookRowHtml(c, l, s, gradebookColumns(c, l));
+  if (activeKey) {
+    const inp = tr.querySelector(`[data-key="${activeKey}"]`);
+    if (inp) { inp.value = activeVal; inp.focus(); }
+  }
+  setupGradebookKeyNav();
+}
+
 // NEW: Bulk attendance
 function bulkSetAttendance(status) {
   const l = CL();
@@ -1238,21 +3164,17 @@ function bulkSetAttendance(status) {
   const c = CC();
   if (!c) return;
   const students = c.students.filter(s => l.studentIds ? l.studentIds.includes(s.id) : true);
-  students.forEach(s => { l.data[`att_${s.id}`] = status; });
-  l.updatedAt = new Date().toISOString();
+  students.forEach(s => setAttendance(c, l, s.id, status));
   saveDB('lesson');
   renderGradebook();
   renderStudents();
-  const labels = { present: '✓ All marked present', late: '⏰ All marked late', absent: '✗ All marked absent' };
-  toast(labels[status] || 'Attendance updated');
+  const st = attendanceStatusOf(c, status);
+  toast(`${st.icon || st.code} All marked ${st.label.toLowerCase()}`);
 }
 
 function setAtt(sid, status) {
-  const l = CL();
-  if (!l) return;
-  if (!l.data) l.data = {};
-  l.data[`att_${sid}`] = status;
-  l.updatedAt = new Date().toISOString();
+  const c = CC(), l = CL();
+  if (!c || !l || !setAttendance(c, l, sid, status)) return;
   saveDB('lesson');
   renderGradebook();
   renderStudents();
@@ -1262,10 +3184,23 @@ function saveGrade(cid, sid, val) {
   const l = CL();
   if (!l) return;
   if (!l.data) l.data = {};
+  if (!isExamLesson(l)) {
+    const norm = normalizeGrade(CC(), val);
+    if (!norm.ok) {
+      const inp = document.querySelector(`#gb-body [data-key="col_${cid}_${sid}"]`);
+      if (inp) { inp.value = l.data[`col_${cid}_${sid}`] || ''; inp.style.animation = 'shake .3s'; setTimeout(() => inp.style.animation = '', 300); }
+      toast(`⚠️ ${norm.error}`);
+      return;
+    }
+    val = norm.value;
+  }
   l.data[`col_${cid}_${sid}`] = val.trim();
+  if (val.trim()) clearReplacedState(l, cid, sid);
   l.updatedAt = new Date().toISOString();
+  markCellDirty(CID, l.id, `col_${cid}_${sid}`);
   saveDB('lesson');
-  if (l.mode === 'ielts') renderGradebook();
+  if (isExamLesson(l)) renderGradebook();
+  else { recomputeFormulas(CC(), l, sid); refreshGradebookRow(sid); }
 }
 
 function quickAddStudentToLesson(name, inputEl) {
@@ -1277,6 +3212,8 @@ function quickAddStudentToLesson(name, inputEl) {
   c.students.push(newStudent);
   if (l.studentIds) l.studentIds.push(newStudent.id);
   l.updatedAt = new Date().toISOString();
+  markDirty('student', c.id, newStudent.id);
+  markDirty('lesson', c.id, l.id);
   rebuildIndex(); saveDB('class');
   // FIX: clear the input
   if (inputEl) inputEl.value = '';
@@ -1290,19 +3227,62 @@ function quickAddStudentToLesson(name, inputEl) {
 function openAddColumn() {
   const colInput = safeGetElement('inp-colname');
   if (colInput) colInput.value = '';
+  const maxInput = safeGetElement('inp-colmax');
+  if (maxInput) maxInput.value = '';
+  const wideInput = safeGetElement('inp-colwide');
+  if (wideInput) wideInput.checked = false;
+  const typeInput = safeGetElement('add-coltype');
+  if (typeInput) typeInput.value = 'grade';
+  const formulaInput = safeGetElement('add-colformula');
+  if (formulaInput) formulaInput.value = '';
+  fillRubricSelect('inp-colrubric', CC()?.rubrics?.[0]?.id);
+  toggleColumnType('add');
+  fillCategorySelect('inp-colcat', null);
   renderTemplateSelector();
   openOv('ov-column');
 }
 
+// New columns belong to the open lesson unless "every lesson" is ticked
+function newColumnLessonId() {
+  return safeGetElement('inp-colwide')?.checked ? null : (CL()?.id ?? null);
+}
+
+// Reads the category/max-points fields shared by the add and edit column modals
+function readColumnScoring(catId, maxId) {
+  const catVal = safeGetElement(catId)?.value || '';
+  const maxVal = (safeGetElement(maxId)?.value || '').trim();
+  const maxPoints = maxVal === '' ? null : Number(maxVal);
+  if (maxPoints !== null && !(maxPoints > 0)) { shake(maxId); return null; }
+  return { categoryId: catVal ? Number(catVal) : null, maxPoints };
+}
+
 function saveColumn() {
   const colInput = safeGetElement('inp-colname');
   if (!colInput) return;
   const name = colInput.value.trim();
   if (!name) { shake('inp-colname'); return; }
+  const scoring = readColumnScoring('inp-colcat', 'inp-colmax');
+  if (!scoring) return;
   const c = CC();
   if (!c) return;
-  c.columns.push({ id: c.nextCid++, name, updatedAt: new Date().toISOString() });
-  rebuildIndex(); saveDB('class'); closeOv('ov-column'); renderGradebook();
+  const type = safeGetElement('add-coltype')?.value;
+  const formula = type === 'formula' ? (safeGetElement('add-colformula')?.value || '').trim() : '';
+  if (type === 'formula') {
+    const err = formulaError(c, formula, name);
+    if (err) { shake('add-colformula'); toast(`⚠️ ${err}`); return; }
+  }
+  const rubric = type === 'rubric' ? getRubric(c, safeGetElement('inp-colrubric')?.value) : null;
+  if (type === 'rubric') {
+    if (!rubric) { shake('inp-colrubric'); toast('Choose a rubric, or create one with 📋 Rubrics'); return; }
+    // Percentages come out right without the teacher typing the rubric's maximum
+    if (scoring.maxPoints === null) scoring.maxPoints = rubricMaxScore(rubric);
+  }
+  const col = { id: c.nextCid++, name, lessonId: newColumnLessonId(), ...scoring, ...(formula ? { formula } : {}), ...(rubric ? { rubricId: rubric.id } : {}), updatedAt: new Date().toISOString() };
+  c.columns.push(col);
+  markDirty('column', c.id, col.id);
+  rebuildIndex();
+  if (formula) recomputeAllFormulas(c);
+  saveDB('class'); closeOv('ov-column'); renderGradebook();
   toast('Column added!');
 }
 
@@ -1314,6 +3294,17 @@ function openRenameColumn(cid) {
   if (!col) return;
   const renameInput = safeGetElement('inp-rename-col');
   if (renameInput) renameInput.value = col.name;
+  const maxInput = safeGetElement('inp-rename-colmax');
+  if (maxInput) maxInput.value = col.maxPoints ?? '';
+  fillCategorySelect('inp-rename-colcat', col.categoryId);
+  const wideInput = safeGetElement('inp-rename-colwide');
+  if (wideInput) wideInput.checked = !col.lessonId;
+  const typeInput = safeGetElement('edit-coltype');
+  if (typeInput) typeInput.value = col.formula ? 'formula' : col.rubricId ? 'rubric' : 'grade';
+  const formulaInput = safeGetElement('edit-colformula');
+  if (formulaInput) formulaInput.value = col.formula || '';
+  fillRubricSelect('inp-rename-colrubric', col.rubricId);
+  toggleColumnType('edit');
   openOv('ov-rename-col');
 }
 
@@ -1322,11 +3313,41 @@ function confirmRenameCol() {
   if (!renameInput) return;
   const name = renameInput.value.trim();
   if (!name) { shake('inp-rename-col'); return; }
+  const scoring = readColumnScoring('inp-rename-colcat', 'inp-rename-colmax');
+  if (!scoring) return;
   const col = getColumn(CID, renameColId);
   if (!col) return;
-  col.name = name; col.updatedAt = new Date().toISOString();
+  const lessonId = safeGetElement('inp-rename-colwide')?.checked ? null : (col.lessonId || CL()?.id || null);
+  if (lessonId && !col.lessonId) {
+    // Narrowing to one lesson would hide grades entered on the others
+    const elsewhere = CC().lessons.filter(l => l.id !== lessonId && Object.entries(l.data || {}).some(([k, v]) => k.startsWith(`col_${col.id}_`) && String(v ?? '').trim()));
+    if (elsewhere.length) { toast(`"${col.name}" has grades in ${elsewhere.length} other lesson${elsewhere.length === 1 ? '' : 's'} — keep it on every lesson`); return; }
+  }
+  const c = CC();
+  if (col.formula) {
+    const formula = (safeGetElement('edit-colformula')?.value || '').trim();
+    const err = formulaError(c, formula, name);
+    if (err) { shake('edit-colformula'); toast(`⚠️ ${err}`); return; }
+    col.formula = formula;
+  }
+  if (col.rubricId) {
+    const rubricId = safeGetElement('inp-rename-colrubric')?.value || col.rubricId;
+    const graded = rubricId !== col.rubricId && c.lessons.some(l => Object.keys(l.data || {}).some(k => k.startsWith(`rub_${col.id}_`)));
+    if (graded) { toast(`"${col.name}" already has rubric grades — add a new column for another rubric`); return; }
+    const next = rubricId !== col.rubricId ? getRubric(c, rubricId) : null;
+    if (next) {
+      const old = rubricOf(c, col);
+      if (scoring.maxPoints === null || (old && scoring.maxPoints === rubricMaxScore(old))) scoring.maxPoints = rubricMaxScore(next);
+      col.rubricId = next.id;
+    }
+  }
+  const oldName = col.name;
+  Object.assign(col, { name, lessonId, ...scoring, updatedAt: new Date().toISOString() });
+  markDirty('column', CID, col.id);
+  renameFormulaRefs(c, oldName, name);
+  recomputeAllFormulas(c);
   saveDB('class'); closeOv('ov-rename-col'); renderGradebook();
-  toast('Column renamed!');
+  toast('Column updated!');
 }
 
 function delColumnConfirm(cid) {
@@ -1335,13 +3356,564 @@ function delColumnConfirm(cid) {
   confirm_(`Delete column "${col.name}"?`, 'All grades in this column will be permanently deleted.', () => {
     const c = CC();
     if (!c) return;
+    markDeleted('column', c, cid);
     // FIX: no variable shadowing
     c.columns = c.columns.filter(col => col.id !== cid);
-    rebuildIndex(); saveDB('class', true); renderGradebook();
+    rebuildIndex();
+    recomputeAllFormulas(c);
+    saveDB('class', true); renderGradebook();
     toast('Column deleted.');
   });
 }
 
+// ============================================
+// GRADING SCALES
+// ============================================
+// Each classroom grades its standard columns on one scale. 'free' keeps the
+// old behaviour (any text; numbers are points out of the column maximum).
+// Every other scale maps to percent through its levels: a level covers
+// percentages from its `min` up to the next level, and a typed label counts
+// as the middle of that range. That is what averages and exports convert with.
+const SCALE_GREEN = '#2E7D32', SCALE_LIME = '#689F38', SCALE_AMBER = '#E65100', SCALE_RED = '#C62828';
+const GRADING_SCALES = {
+  free: { name: 'Free text / points', kind: 'free' },
+  percent: { name: 'Percent (0–100)', kind: 'number', levels: [
+    { label: '90–100', min: 90, color: SCALE_GREEN }, { label: '75–89', min: 75, color: SCALE_LIME },
+    { label: '60–74', min: 60, color: SCALE_AMBER }, { label: '0–59', min: 0, color: SCALE_RED }] },
+  letter: { name: 'Letter (A–F)', kind: 'labels', levels: [
+    { label: 'A', min: 90, color: SCALE_GREEN }, { label: 'B', min: 80, color: SCALE_LIME }, { label: 'C', min: 70, color: SCALE_AMBER },
+    { label: 'D', min: 60, color: SCALE_AMBER }, { label: 'F', min: 0, color: SCALE_RED }] },
+  five: { name: '1–5 scale', kind: 'labels', levels: [
+    { label: '5', min: 85, color: SCALE_GREEN }, { label: '4', min: 70, color: SCALE_LIME }, { label: '3', min: 50, color: SCALE_AMBER },
+    { label: '2', min: 25, color: SCALE_RED }, { label: '1', min: 0, color: SCALE_RED }] },
+  ten: { name: '1–10 scale', kind: 'labels', levels: [
+    { label: '10', min: 95, color: SCALE_GREEN }, { label: '9', min: 85, color: SCALE_GREEN }, { label: '8', min: 75, color: SCALE_LIME },
+    { label: '7', min: 65, color: SCALE_LIME }, { label: '6', min: 55, color: SCALE_AMBER }, { label: '5', min: 45, color: SCALE_AMBER },
+    { label: '4', min: 35, color: SCALE_RED }, { label: '3', min: 25, color: SCALE_RED }, { label: '2', min: 15, color: SCALE_RED },
+    { label: '1', min: 0, color: SCALE_RED }] },
+  passfail: { name: 'Pass / Fail', kind: 'labels', levels: [
+    { label: 'Pass', min: 50, color: SCALE_GREEN }, { label: 'Fail', min: 0, color: SCALE_RED }] },
+  custom: { name: 'Custom', kind: 'labels', levels: [] },
+};
+
+// The classroom's scale with its levels sorted from the top down
+function scaleOf(c) {
+  const id = GRADING_SCALES[c?.gradingScale?.id] ? c.gradingScale.id : 'free';
+  const base = GRADING_SCALES[id];
+  const levels = (id === 'custom' ? c.gradingScale.levels || [] : base.levels || []).slice().sort((a, b) => b.min - a.min);
+  return { id, name: base.name, kind: id === 'custom' && !levels.length ? 'free' : base.kind, levels };
+}
+
+function levelForPercent(scale, pct) { return scale.levels.find(lv => pct >= lv.min) || scale.levels[scale.levels.length - 1] || null; }
+
+function levelPercent(scale, level) {
+  const above = scale.levels[scale.levels.indexOf(level) - 1];
+  return (level.min + (above ? above.min : 100)) / 2;
+}
+
+function parseNumber(val) {
+  const m = String(val ?? '').trim().match(/^(-?\d+(?:[.,]\d+)?)\s*(%?)$/);
+  return m ? { n: parseFloat(m[1].replace(',', '.')), percent: !!m[2] } : null;
+}
+
+// Checks a typed grade against the scale: { ok, value } with the canonical
+// spelling, or { ok: false, error } for the toast
+function normalizeGrade(c, val) {
+  const v = String(val ?? '').trim();
+  const scale = scaleOf(c);
+  if (!v || scale.kind === 'free') return { ok: true, value: v };
+  if (scale.kind === 'number') {
+    const num = parseNumber(v);
+    if (!num || num.n < 0 || num.n > 100) return { ok: false, error: 'Enter a percentage from 0 to 100' };
+    return { ok: true, value: String(num.n) };
+  }
+  const level = scale.levels.find(lv => lv.label.toLowerCase() === v.toLowerCase());
+  if (!level) return { ok: false, error: `Use one of: ${scale.levels.map(lv => lv.label).join(', ')}` };
+  return { ok: true, value: level.label };
+}
+
+// Share of the column maximum one cell is worth (0–1), or null if it can't be read
+function gradeFraction(c, col, val) {
+  if (col?.formula || col?.rubricId) { const num = parseNumber(val); return num ? num.n / columnMax(col) : null; }
+  const scale = scaleOf(c);
+  if (scale.kind === 'labels') {
+    const level = scale.levels.find(lv => lv.label.toLowerCase() === String(val ?? '').trim().toLowerCase());
+    return level ? levelPercent(scale, level) / 100 : null;
+  }
+  const num = parseNumber(val);
+  if (!num) return null;
+  return scale.kind === 'number' || num.percent ? num.n / 100 : num.n / columnMax(col);
+}
+
+function gradeColor(c, val) {
+  const scale = scaleOf(c);
+  if (scale.kind === 'free' || val === '' || val === undefined) return null;
+  const frac = gradeFraction(c, null, val);
+  return frac === null ? null : levelForPercent(scale, frac * 100)?.color || null;
+}
+
+// The scale label a percentage converts to; '' on free and percent scales
+function scaleLabelFor(c, pct) {
+  const scale = scaleOf(c);
+  return pct !== null && pct !== undefined && scale.kind === 'labels' ? levelForPercent(scale, pct).label : '';
+}
+
+// "86% · B" on label scales, "86%" otherwise
+function formatCourseGrade(c, pct) {
+  const label = scaleLabelFor(c, pct);
+  return label ? `${formatPercent(pct)} · ${label}` : formatPercent(pct);
+}
+
+function gradeCellStyle(c, val) {
+  const color = gradeColor(c, val);
+  return color ? `style="color:${color};background:${color}1A;font-weight:700"` : '';
+}
+
+// Editing happens on a draft so Cancel leaves the classroom untouched
+let scaleDraft = null;
+
+function openGradingScale() {
+  const c = CC();
+  if (!c) return;
+  const scale = scaleOf(c);
+  scaleDraft = { id: scale.id, levels: (c.gradingScale?.levels || []).map(lv => ({ ...lv })) };
+  const sel = safeGetElement('inp-scale');
+  if (sel) sel.innerHTML = Object.entries(GRADING_SCALES).map(([id, sc]) => `<option value="${id}" ${id === scale.id ? 'selected' : ''}>${esc(sc.name)}</option>`).join('');
+  renderScaleDraft();
+  openOv('ov-scale');
+}
+
+function pickScale(id) {
+  scaleDraft.id = id;
+  if (id === 'custom' && !scaleDraft.levels.length) {
+    scaleDraft.levels = GRADING_SCALES.letter.levels.map(lv => ({ ...lv }));
+  }
+  renderScaleDraft();
+}
+
+function renderScaleDraft() {
+  const box = safeGetElement('scale-levels');
+  if (!box) return;
+  const def = GRADING_SCALES[scaleDraft.id];
+  if (scaleDraft.id === 'free') {
+    box.innerHTML = '<div class="cat-empty">Any text is accepted. Numbers count as points out of each column\'s max points (or a percentage when typed with %).</div>';
+    return;
+  }
+  if (scaleDraft.id !== 'custom') {
+    box.innerHTML = def.levels.map(lv => `
+      <div class="scale-level-row"><span class="scale-chip" style="color:${lv.color};background:${lv.color}1A">${esc(lv.label)}</span><span class="scale-range">from ${lv.min}%</span></div>`).join('');
+    return;
+  }
+  box.innerHTML = scaleDraft.levels.map((lv, i) => `
+    <div class="scale-edit-row">
+      <input class="finput" placeholder="Label" value="${esc(lv.label)}" oninput="scaleDraft.levels[${i}].label=this.value">
+      <div class="cat-weight"><span>from</span><input class="finput" type="number" min="0" max="100" step="any" value="${lv.min}" oninput="scaleDraft.levels[${i}].min=this.value"><span>%</span></div>
+      <input type="color" class="scale-color" value="${esc(lv.color || SCALE_GREEN)}" oninput="scaleDraft.levels[${i}].color=this.value">
+      <button class="template-del-btn" onclick="scaleDraft.levels.splice(${i},1);renderScaleDraft()" title="Remove level">×</button>
+    </div>`).join('') + `<button class="btn btn-ghost-app" onclick="scaleDraft.levels.push({label:'',min:0,color:'${SCALE_RED}'});renderScaleDraft()">+ Add Level</button>`;
+}
+
+function saveGradingScale() {
+  const c = CC();
+  if (!c || !scaleDraft) return;
+  const next = { id: scaleDraft.id };
+  if (scaleDraft.id === 'custom') {
+    const levels = scaleDraft.levels.map(lv => ({ label: String(lv.label).trim(), min: Number(lv.min), color: lv.color || SCALE_GREEN }));
+    if (!levels.length) { toast('Add at least one level'); return; }
+    if (levels.some(lv => !lv.label)) { toast('Every level needs a label'); return; }
+    if (levels.some(lv => !(lv.min >= 0 && lv.min <= 100))) { toast('Levels must start between 0% and 100%'); return; }
+    if (new Set(levels.map(lv => lv.label.toLowerCase())).size < levels.length) { toast('Level labels must be unique'); return; }
+    if (new Set(levels.map(lv => lv.min)).size < levels.length) { toast('Two levels start at the same percentage'); return; }
+    if (!levels.some(lv => lv.min === 0)) { toast('The lowest level must start at 0%'); return; }
+    next.levels = levels.sort((a, b) => b.min - a.min);
+  }
+  c.gradingScale = next; c.updatedAt = new Date().toISOString();
+  markDirty('classroom', c.id, null);
+  recomputeAllFormulas(c);
+  saveDB('class'); closeOv('ov-scale');
+  if (isScreenActive('s-lesson')) renderGradebook();
+  const unreadable = countUnreadableGrades(c);
+  toast(unreadable ? `Scale saved — ${unreadable} existing grade${unreadable === 1 ? ' doesn\'t' : 's don\'t'} fit it and won't count` : 'Grading scale saved!');
+}
+
+function countUnreadableGrades(c) {
+  if (scaleOf(c).kind === 'free') return 0;
+  let n = 0;
+  c.lessons.forEach(l => {
+    if (isExamLesson(l)) return;
+    standardColumnsFor(c, l).forEach(col => Object.entries(l.data || {}).forEach(([k, v]) => {
+      if (k.startsWith(`col_${col.id}_`) && v !== '' && !normalizeGrade(c, v).ok) n++;
+    }));
+  });
+  return n;
+}
+
+// ============================================
+// GRADE CATEGORIES & COURSE AVERAGE
+// ============================================
+// Standard columns can belong to a weighted category (Homework 20%, Exams 50%)
+// and have a maximum score (100 when unset). Every grade the classroom's scale
+// can read (see gradeFraction) in every standard lesson counts.
+// Categories without grades yet are left out and the other weights rescaled.
+// Once a classroom has categories, uncategorised columns no longer count.
+// Formula columns only count when put in a category, so totals aren't doubled.
+function columnMax(col) { return col.maxPoints > 0 ? col.maxPoints : 100; }
+
+function courseAverage(c, sid) {
+  const cats = c.categories || [];
+  const buckets = new Map((cats.length ? cats : [{ id: null, name: 'All grades', weight: 100 }])
+    .map(cat => [cat.id, { ...cat, earned: 0, possible: 0, count: 0 }]));
+  const bucketOf = col => buckets.get(cats.length ? col.categoryId : null);
+  c.lessons.forEach(l => {
+    if (isExamLesson(l) || (l.studentIds && !l.studentIds.includes(sid))) return;
+    standardColumnsFor(c, l).filter(col => bucketOf(col) && (cats.length || !col.formula)).forEach(col => {
+      const frac = cellFraction(c, l, col, sid);
+      if (frac === null) return;
+      const b = bucketOf(col);
+      b.earned += frac * columnMax(col); b.possible += columnMax(col); b.count++;
+    });
+  });
+  const categories = [...buckets.values()].map(b => ({ ...b, percent: b.possible ? b.earned / b.possible * 100 : null }));
+  const graded = categories.filter(b => b.percent !== null && b.weight > 0);
+  const weight = graded.reduce((n, b) => n + b.weight, 0);
+  const percent = weight ? graded.reduce((n, b) => n + b.percent * b.weight, 0) / weight : null;
+  return { percent, categories: cats.length ? categories : [] };
+}
+
+function formatPercent(p) { return p === null || p === undefined ? '—' : `${Math.round(p * 10) / 10}%`; }
+function percentColor(p) { return p === null ? 'var(--text-light)' : p >= 80 ? 'var(--success)' : p >= 60 ? 'var(--warning)' : 'var(--error)'; }
+
+function categoryName(c, id) { return (c.categories || []).find(cat => cat.id === id)?.name || ''; }
+
+function fillCategorySelect(id, selected) {
+  const sel = safeGetElement(id), c = CC();
+  if (!sel || !c) return;
+  sel.innerHTML = `<option value="">No category</option>` +
+    (c.categories || []).map(cat => `<option value="${cat.id}" ${cat.id === selected ? 'selected' : ''}>${esc(cat.name)} (${cat.weight}%)</option>`).join('');
+}
+
+// Editing happens on a draft so Cancel leaves the classroom untouched
+let categoryDraft = [];
+
+function openCategories() {
+  const c = CC();
+  if (!c) return;
+  categoryDraft = (c.categories || []).map(cat => ({ ...cat }));
+  if (!categoryDraft.length) categoryDraft.push({ id: 1, name: '', weight: 100 });
+  renderCategoryDraft();
+  openOv('ov-categories');
+}
+
+function renderCategoryDraft() {
+  const list = safeGetElement('category-list');
+  if (!list) return;
+  list.innerHTML = categoryDraft.map((cat, i) => `
+    <div class="cat-row">
+      <input class="finput" placeholder="e.g. Homework" value="${esc(cat.name)}" oninput="categoryDraft[${i}].name=this.value">
+      <div class="cat-weight"><input class="finput" type="number" min="0" step="any" value="${cat.weight}" oninput="categoryDraft[${i}].weight=this.value;updateCategoryTotal()"><span>%</span></div>
+      <button class="template-del-btn" onclick="categoryDraft.splice(${i},1);renderCategoryDraft()" title="Remove category">×</button>
+    </div>`).join('') || '<div class="cat-empty">No categories — every numeric grade counts equally by points.</div>';
+  updateCategoryTotal();
+}
+
+function updateCategoryTotal() {
+  const total = categoryDraft.reduce((n, cat) => n + (Number(cat.weight) || 0), 0);
+  const el = safeGetElement('category-total');
+  if (!el) return;
+  el.textContent = `Total weight: ${Math.round(total * 100) / 100}%`;
+  el.style.color = !categoryDraft.length || Math.abs(total - 100) < 0.01 ? 'var(--text-light)' : 'var(--warning)';
+}
+
+function addCategoryRow() {
+  categoryDraft.push({ id: Math.max(0, ...categoryDraft.map(cat => cat.id)) + 1, name: '', weight: 0 });
+  renderCategoryDraft();
+}
+
+function saveCategories() {
+  const c = CC();
+  if (!c) return;
+  const cats = categoryDraft.map(cat => ({ id: cat.id, name: String(cat.name).trim(), weight: Number(cat.weight) }));
+  if (cats.some(cat => !cat.name)) { toast('Every category needs a name'); return; }
+  if (cats.some(cat => !(cat.weight >= 0))) { toast('Weights must be zero or more'); return; }
+  if (cats.length && !cats.some(cat => cat.weight > 0)) { toast('At least one category needs a weight'); return; }
+  // Existing category ids never get reused for a different category
+  const used = Math.max(0, ...(c.categories || []).map(cat => cat.id));
+  cats.forEach((cat, i) => { if (!(c.categories || []).some(old => old.id === cat.id)) cat.id = used + i + 1; });
+  const now = new Date().toISOString();
+  const ids = new Set(cats.map(cat => cat.id));
+  c.columns.forEach(col => {
+    if (col.categoryId != null && !ids.has(col.categoryId)) { col.categoryId = null; col.updatedAt = now; markDirty('column', c.id, col.id); }
+  });
+  c.categories = cats; c.updatedAt = now;
+  markDirty('classroom', c.id, null);
+  saveDB('class'); closeOv('ov-categories');
+  fillCategorySelect('inp-colcat', null);
+  if (isScreenActive('s-lesson')) renderGradebook();
+  toast('Categories saved!');
+}
+
+// ============================================
+// FORMULA COLUMNS
+// ============================================
+// A column with a `formula` is computed from the other columns of the same
+// lesson, e.g. ROUND(AVG([Quiz 1], [Quiz 2]) * 0.4 + [Exam] * 0.6, 1).
+// Columns are referenced by name in brackets. Results are stored in
+// lesson.data like typed grades, so sync, completion and exports see them;
+// they are recomputed whenever a grade or a formula changes.
+const FORMULA_FUNCTIONS = {
+  SUM:   { min: 1, help: 'SUM(a, b, …)' },
+  AVG:   { min: 1, help: 'AVG(a, b, …)' },
+  MAX:   { min: 1, help: 'MAX(a, b, …)' },
+  MIN:   { min: 1, help: 'MIN(a, b, …)' },
+  ROUND: { min: 1, max: 2, help: 'ROUND(x, digits)' },
+  IF:    { min: 2, max: 3, help: 'IF(condition, then, else)' },
+  WSUM:  { min: 2, even: true, help: 'WSUM(value, weight, value, weight, …)' },
+};
+const FORMULA_ALIASES = { AVERAGE: 'AVG' };
+
+function tokenizeFormula(text) {
+  const tokens = [];
+  const re = /\s*(?:(\d+(?:\.\d+)?)|\[([^\]]+)\]|([A-Za-z_]+)|(<=|>=|<>|[-+*/(),<>=]))/y;
+  let pos = 0;
+  const src = String(text || '').trim();
+  while (pos < src.length) {
+    re.lastIndex = pos;
+    const m = re.exec(src);
+    if (!m) throw new Error(`Unexpected "${src.slice(pos).trim()[0]}"`);
+    if (m[1] !== undefined) tokens.push({ t: 'num', v: parseFloat(m[1]) });
+    else if (m[2] !== undefined) tokens.push({ t: 'ref', v: m[2].trim() });
+    else if (m[3] !== undefined) tokens.push({ t: 'name', v: m[3].toUpperCase() });
+    else tokens.push({ t: 'op', v: m[4] });
+    pos = re.lastIndex;
+  }
+  return tokens;
+}
+
+// Recursive descent: comparison > + - > * / > unary minus > atoms and calls
+function parseFormula(text) {
+  const tokens = tokenizeFormula(text);
+  if (!tokens.length) throw new Error('The formula is empty');
+  let i = 0;
+  const peek = v => tokens[i]?.t === 'op' && tokens[i].v === v;
+  const expect = v => { if (!peek(v)) throw new Error(`Expected "${v}"`); i++; };
+  const binary = (next, ops) => () => {
+    let node = next();
+    while (tokens[i]?.t === 'op' && ops.includes(tokens[i].v)) { const op = tokens[i++].v; node = { t: 'bin', op, a: node, b: next() }; }
+    return node;
+  };
+  const atom = () => {
+    const tok = tokens[i++];
+    if (!tok) throw new Error('The formula ends too early');
+    if (tok.t === 'num') return { t: 'num', v: tok.v };
+    if (tok.t === 'ref') return { t: 'ref', name: tok.v };
+    if (tok.t === 'op' && tok.v === '-') return { t: 'neg', a: atom() };
+    if (tok.t === 'op' && tok.v === '(') { const node = comparison(); expect(')'); return node; }
+    if (tok.t === 'name') {
+      const name = FORMULA_ALIASES[tok.v] || tok.v;
+      const fn = FORMULA_FUNCTIONS[name];
+      if (!fn) throw new Error(`Unknown function ${tok.v} — column names go in [brackets]`);
+      expect('(');
+      const args = [];
+      if (!peek(')')) { args.push(comparison()); while (peek(',')) { i++; args.push(comparison()); } }
+      expect(')');
+      if (args.length < fn.min || (fn.max && args.length > fn.max) || (fn.even && args.length % 2)) throw new Error(`Use ${fn.help}`);
+      return { t: 'fn', name, args };
+    }
+    throw new Error(`Unexpected "${tok.v}"`);
+  };
+  const term = binary(atom, ['*', '/']);
+  const additive = binary(term, ['+', '-']);
+  const comparison = binary(additive, ['<', '>', '<=', '>=', '=', '<>']);
+  const ast = comparison();
+  if (i < tokens.length) throw new Error(`Unexpected "${tokens[i].v}"`);
+  return ast;
+}
+
+function formulaRefs(ast, out = new Set()) {
+  if (ast.t === 'ref') out.add(ast.name);
+  [ast.a, ast.b, ...(ast.args || [])].forEach(n => n && formulaRefs(n, out));
+  return out;
+}
+
+// Blank cells are null: aggregates skip them, anything else stays blank
+function evalFormula(ast, get) {
+  const ev = n => evalFormula(n, get);
+  switch (ast.t) {
+    case 'num': return ast.v;
+    case 'ref': return get(ast.name);
+    case 'neg': { const v = ev(ast.a); return v === null ? null : -v; }
+    case 'bin': {
+      const a = ev(ast.a), b = ev(ast.b);
+      if (a === null || b === null) return null;
+      switch (ast.op) {
+        case '+': return a + b;
+        case '-': return a - b;
+        case '*': return a * b;
+        case '/': if (b === 0) throw new Error('#DIV/0!'); return a / b;
+        case '<': return +(a < b);
+        case '>': return +(a > b);
+        case '<=': return +(a <= b);
+        case '>=': return +(a >= b);
+        case '=': return +(a === b);
+        default: return +(a !== b);
+      }
+    }
+    default: {
+      if (ast.name === 'IF') { const cond = ev(ast.args[0]); return cond === null ? null : cond ? ev(ast.args[1]) : (ast.args[2] ? ev(ast.args[2]) : null); }
+      const vals = ast.args.map(ev);
+      if (ast.name === 'ROUND') { const f = 10 ** (vals[1] || 0); return vals[0] === null ? null : Math.round(vals[0] * f) / f; }
+      if (ast.name === 'WSUM') {
+        let total = null;
+        for (let k = 0; k < vals.length; k += 2) if (vals[k] !== null && vals[k + 1] !== null) total = (total || 0) + vals[k] * vals[k + 1];
+        return total;
+      }
+      const present = vals.filter(v => v !== null);
+      if (!present.length) return null;
+      if (ast.name === 'SUM') return present.reduce((x, y) => x + y, 0);
+      if (ast.name === 'AVG') return present.reduce((x, y) => x + y, 0) / present.length;
+      return ast.name === 'MAX' ? Math.max(...present) : Math.min(...present);
+    }
+  }
+}
+
+// Number a typed cell stands for: plain numbers, or the percent of a scale label
+function cellNumber(c, val) {
+  const num = parseNumber(val);
+  if (num) return num.n;
+  const scale = scaleOf(c);
+  if (scale.kind !== 'labels') return null;
+  const level = scale.levels.find(lv => lv.label.toLowerCase() === String(val ?? '').trim().toLowerCase());
+  return level ? levelPercent(scale, level) : null;
+}
+
+// The value one formula cell should hold ('' when blank, '#…!' on errors)
+function computeFormulaCell(c, l, col, sid) {
+  const cols = standardColumnsFor(c, l);
+  const visiting = new Set();
+  const valueOf = column => {
+    if (!column.formula) {
+      const state = cellState(l, column.id, sid);
+      return state === 'missing' ? 0 : state === 'excused' ? null : cellNumber(c, (l.data || {})[`col_${column.id}_${sid}`]);
+    }
+    if (visiting.has(column.id)) throw new Error('#CYCLE!');
+    visiting.add(column.id);
+    let ast;
+    try { ast = parseFormula(column.formula); } catch { throw new Error('#ERROR!'); }
+    const v = evalFormula(ast, name => {
+      const ref = cols.find(x => x.name.toLowerCase() === name.toLowerCase());
+      return ref ? valueOf(ref) : null;
+    });
+    visiting.delete(column.id);
+    return v;
+  };
+  try {
+    const v = valueOf(col);
+    return v === null || !Number.isFinite(v) ? '' : String(Math.round(v * 100) / 100);
+  } catch (e) { return e.message.startsWith('#') ? e.message : '#ERROR!'; }
+}
+
+// Recomputes the formula cells of one lesson (optionally one student);
+// returns true when any stored value changed
+function recomputeFormulas(c, l, sid = null) {
+  if (isExamLesson(l)) return false;
+  const formulaCols = standardColumnsFor(c, l).filter(col => col.formula);
+  if (!formulaCols.length) return false;
+  if (!l.data) l.data = {};
+  let changed = false;
+  gradebookStudents(c, l).filter(s => sid === null || s.id === sid).forEach(s => {
+    formulaCols.forEach(col => {
+      const key = `col_${col.id}_${s.id}`;
+      const value = computeFormulaCell(c, l, col, s.id);
+      if ((l.data[key] ?? '') === value) return;
+      l.data[key] = value;
+      markCellDirty(c.id, l.id, key);
+      changed = true;
+    });
+  });
+  if (changed) l.updatedAt = new Date().toISOString();
+  return changed;
+}
+
+function recomputeAllFormulas(c) {
+  return c.lessons.reduce((changed, l) => recomputeFormulas(c, l) || changed, false);
+}
+
+// Checks a formula before it is saved; returns an error message or null
+function formulaError(c, text, selfName) {
+  let ast;
+  try { ast = parseFormula(text); } catch (e) { return e.message; }
+  const names = new Set(c.columns.filter(col => !col.exam).map(col => col.name.toLowerCase()));
+  const refs = [...formulaRefs(ast)];
+  if (!refs.length) return 'Reference at least one column, e.g. [Quiz 1]';
+  if (selfName && refs.some(r => r.toLowerCase() === selfName.toLowerCase())) return 'A formula can\'t use its own column';
+  const missing = refs.find(r => !names.has(r.toLowerCase()));
+  return missing ? `No column named [${missing}]` : null;
+}
+
+// Keeps [Old Name] references working after a column is renamed
+function renameFormulaRefs(c, oldName, newName) {
+  if (oldName === newName) return;
+  const re = new RegExp(`\\[\\s*${oldName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\s*\\]`, 'gi');
+  const now = new Date().toISOString();
+  c.columns.forEach(col => {
+    const formula = col.formula?.replace(re, `[${newName}]`);
+    if (!col.formula || formula === col.formula) return;
+    Object.assign(col, { formula, updatedAt: now });
+    markDirty('column', c.id, col.id);
+  });
+}
+
+// Excel version of a formula for the server export, with {i} standing for
+// the i-th exported column; null when a reference isn't exported
+function formulaToExcel(text, exportedNames) {
+  let ast;
+  try { ast = parseFormula(text); } catch { return null; }
+  const names = exportedNames.map(n => n.toLowerCase());
+  const out = node => {
+    switch (node.t) {
+      case 'num': return String(node.v);
+      case 'ref': { const idx = names.indexOf(node.name.toLowerCase()); if (idx === -1) throw new Error('missing'); return `{${idx}}`; }
+      case 'neg': return `-(${out(node.a)})`;
+      case 'bin': return `(${out(node.a)}${node.op}${out(node.b)})`;
+      default: {
+        const args = node.args.map(out);
+        if (node.name === 'WSUM') return `(${args.filter((_, k) => k % 2 === 0).map((a, k) => `${a}*${args[k * 2 + 1]}`).join('+')})`;
+        if (node.name === 'ROUND' && args.length === 1) args.push('0');
+        if (node.name === 'IF' && args.length === 2) args.push('""');
+        return `${node.name === 'AVG' ? 'AVERAGE' : node.name}(${args.join(',')})`;
+      }
+    }
+  };
+  try { return out(ast); } catch { return null; }
+}
+
+function toggleColumnType(prefix) {
+  const type = safeGetElement(`${prefix}-coltype`)?.value;
+  const fg = safeGetElement(`${prefix}-formula-fg`);
+  if (fg) fg.style.display = type === 'formula' ? 'block' : 'none';
+  if (type === 'formula') renderFormulaHelp(`${prefix}-formula-help`, `${prefix}-colformula`);
+  const rubricFg = safeGetElement(`${prefix}-rubric-fg`);
+  if (rubricFg) rubricFg.style.display = type === 'rubric' ? 'block' : 'none';
+}
+
+function renderFormulaHelp(helpId, inputId) {
+  const box = safeGetElement(helpId), c = CC(), l = CL();
+  if (!box || !c) return;
+  const cols = (l ? standardColumnsFor(c, l) : c.columns.filter(col => !col.exam));
+  box.innerHTML = `
+    <div class="formula-chips">${cols.map(col => `<button type="button" class="formula-chip" onclick="insertFormulaRef('${inputId}', this.dataset.name)" data-name="${esc(col.name)}">${esc(col.name)}</button>`).join('') || '<span class="cat-empty">No other columns in this lesson yet</span>'}</div>
+    <div class="formula-fns">${Object.values(FORMULA_FUNCTIONS).map(fn => `<code>${esc(fn.help)}</code>`).join(' ')} · + − × ÷ and &lt; &gt; = &lt;&gt; for IF</div>`;
+}
+
+function insertFormulaRef(inputId, name) {
+  const inp = safeGetElement(inputId);
+  if (!inp) return;
+  const at = inp.selectionStart ?? inp.value.length;
+  inp.value = `${inp.value.slice(0, at)}[${name}]${inp.value.slice(inp.selectionEnd ?? at)}`;
+  inp.focus();
+  inp.selectionStart = inp.selectionEnd = at + name.length + 2;
+}
+
 // ============================================
 // GRADE TEMPLATES (NEW FEATURE)
 // ============================================
@@ -1371,8 +3943,11 @@ function applyGradeTemplate(idx) {
   if (!t) return;
   const c = CC();
   if (!c) return;
+  const lessonId = newColumnLessonId();
   t.columns.forEach(name => {
-    c.columns.push({ id: c.nextCid++, name, updatedAt: new Date().toISOString() });
+    const col = { id: c.nextCid++, name, lessonId, updatedAt: new Date().toISOString() };
+    c.columns.push(col);
+    markDirty('column', c.id, col.id);
   });
   rebuildIndex(); saveDB('class'); closeOv('ov-column'); renderGradebook();
   toast(`✅ Template "${t.name}" applied!`);
@@ -1381,7 +3956,8 @@ function applyGradeTemplate(idx) {
 function saveCurrentColumnsAsTemplate() {
   const c = CC();
   if (!c) return;
-  const standardCols = c.columns.filter(col => !col.ielts).map(col => col.name);
+  const l = CL();
+  const standardCols = (l ? standardColumnsFor(c, l) : c.columns.filter(col => !col.exam)).map(col => col.name);
   if (!standardCols.length) { toast('No standard columns to save as template'); return; }
   const name = prompt('Template name (e.g. "Quiz Set"):');
   if (!name?.trim()) return;
@@ -1415,6 +3991,7 @@ function saveLessonNotes() {
   const notesArea = safeGetElement('lesson-notes-area');
   l.notes = notesArea ? notesArea.value.trim() : '';
   l.updatedAt = new Date().toISOString();
+  markDirty('lesson', CID, l.id);
   saveDB('lesson'); closeOv('ov-lesson-notes'); renderLessons();
   toast('📝 Notes saved!');
 }
@@ -1432,23 +4009,24 @@ function renderAnalytics() {
   }
   const lessonCount = c.lessons.length;
   const studentCount = c.students.length;
-  let totalP = 0, totalL = 0, totalA = 0, totalLessons = 0;
+  const statuses = attendanceStatuses(c);
+  const values = [];
   const rows = c.students.map(s => {
+    c.lessons.forEach(l => { if (!l.studentIds || l.studentIds.includes(s.id)) values.push(attendanceOf(l, s.id)); });
     const st = studentStats(s.id);
-    totalP += st.present; totalL += st.late; totalA += st.absent; totalLessons += st.total;
-    const rate = st.total > 0 ? Math.round(st.attended / st.total * 100) : 100;
+    const rate = st.rate;
     const rateColor = rate >= 80 ? 'var(--success)' : rate >= 60 ? 'var(--warning)' : 'var(--error)';
-    return { name: s.name, rate, attended: st.attended, total: st.total, rateColor, present: st.present, late: st.late, absent: st.absent };
+    return { name: s.name, rate, attended: st.attended, total: st.total, rateColor, byStatus: st.byStatus };
   }).sort((a, b) => b.rate - a.rate);
-  const avgRate = totalLessons > 0 ? Math.round((totalP + totalL) / totalLessons * 100) : 100;
+  const all = attendanceTally(c, values);
+  const avgRate = all.rate;
+  const shown = statuses.filter(st => st.builtin || all.byStatus[st.id]);
   scroll.innerHTML = `
     <div class="analytics-grid">
       <div class="astat-card"><div class="astat-val">${lessonCount}</div><div class="astat-lbl">Total Lessons</div></div>
       <div class="astat-card"><div class="astat-val">${studentCount}</div><div class="astat-lbl">Total Students</div></div>
-      <div class="astat-card"><div class="astat-val">${avgRate}%</div><div class="astat-lbl">Avg Attendance</div></div>
-      <div class="astat-card"><div class="astat-val">${totalP}</div><div class="astat-lbl">Total Present</div></div>
-      <div class="astat-card"><div class="astat-val">${totalL}</div><div class="astat-lbl">Total Late</div></div>
-      <div class="astat-card"><div class="astat-val">${totalA}</div><div class="astat-lbl">Total Absent</div></div>
+      <div class="astat-card" title="Excused absences: ${ATTENDANCE_POLICIES[attendancePolicy(c)].toLowerCase()}"><div class="astat-val">${avgRate}%</div><div class="astat-lbl">Avg Attendance</div></div>
+      ${shown.map(st => `<div class="astat-card"><div class="astat-val">${all.byStatus[st.id] || 0}</div><div class="astat-lbl">Total ${esc(st.label)}</div></div>`).join('')}
     </div>
     <div class="analytics-chart-wrap">
       <div class="analytics-chart-title">Attendance Rate by Student</div>
@@ -1458,14 +4036,12 @@ function renderAnalytics() {
       <button class="btn btn-secondary btn-sm" onclick="saveCurrentColumnsAsTemplate()">💾 Save Columns as Template</button>
     </div>
     <table class="att-table">
-      <thead><tr><th>Student</th><th>Rate</th><th>Attended</th><th>Present</th><th>Late</th><th>Absent</th></tr></thead>
+      <thead><tr><th>Student</th><th>Rate</th><th>Attended</th>${shown.map(st => `<th>${esc(st.label)}</th>`).join('')}</tr></thead>
       <tbody>${rows.map(r => `<tr>
         <td style="font-weight:600">${esc(r.name)}</td>
         <td><div class="rate-bar-wrap"><div class="rate-bar"><div class="rate-bar-fill" style="width:${r.rate}%;background:${r.rateColor}"></div></div><span style="font-weight:700;color:${r.rateColor}">${r.rate}%</span></div></td>
         <td>${r.attended}/${r.total}</td>
-        <td style="color:var(--success)">${r.present}</td>
-        <td style="color:var(--warning)">${r.late}</td>
-        <td style="color:var(--error)">${r.absent}</td>
+        ${shown.map(st => `<td style="color:${st.color}">${r.byStatus[st.id] || 0}</td>`).join('')}
       </tr>`).join('')}</tbody>
     </table>`;
   requestAnimationFrame(() => {
@@ -1495,6 +4071,7 @@ let currentExportContext = null;
 
 function exportClass() { currentExportContext = { type: 'class', id: CID }; openOv('ov-export'); }
 function exportLesson() { currentExportContext = { type: 'lesson', id: LID }; openOv('ov-export'); }
+function exportStudent(sid) { closeSheet(); currentExportContext = { type: 'student', id: sid }; openOv('ov-export'); }
 
 function buildExportPayload(context) {
   const settings = DB.exportSettings || { color: { h: 30, s: 60, l: 50, a: 100 } };
@@ -1503,31 +4080,84 @@ function buildExportPayload(context) {
   const accentColor = `hsl(${col.h}, ${col.s}%, ${col.l}%)`;
   const accentColorDark = `hsl(${col.h}, ${col.s}%, ${Math.max(0, col.l - 15)}%)`;
   const accentColorLight = `hsl(${col.h}, ${col.s}%, ${Math.min(100, col.l + 40)}%)`;
+  // Every export names and colours attendance by the classroom's statuses
+  const attendanceInfo = c => ({
+    attendanceStatuses: attendanceStatuses(c).map(({ id, label, code, color }) => ({ id, label, code, color })),
+    attendancePolicy: ATTENDANCE_POLICIES[attendancePolicy(c)]
+  });
 
   if (context.type === 'lesson') {
     const lesson = CL();
     const classroom = CC();
-    const cols = lesson.mode === 'ielts'
-      ? classroom.columns.filter(c => c.ielts && c.lessonId === lesson.id)
-      : classroom.columns.filter(c => !c.ielts);
+    const cols = gradebookColumns(classroom, lesson);
     const students = [...classroom.students]
       .filter(s => lesson.studentIds ? lesson.studentIds.includes(s.id) : true)
       .sort((a, b) => a.name.localeCompare(b.name));
     // FIX: no parent phone/email in export
     const rows = students.map(s => ({
       studentName: s.name,
-      attendance: (lesson.data || {})[`att_${s.id}`] || 'present',
-      grades: cols.map(c => c.name === 'Overall Band' ? calculateOverallBand(s.id) : (lesson.data || {})[`col_${c.id}_${s.id}`] || '')
+      attendance: attendanceOf(lesson, s.id),
+      attendanceNote: attendanceNote(lesson, s.id),
+      grades: cols.map(c => c.virtual ? calculateExamTotal(s.id, classroom, lesson) : (lesson.data || {})[`col_${c.id}_${s.id}`] || '')
     }));
+    // Live formulas only make sense when every referenced cell is a plain number
+    const numericCells = scaleOf(classroom).kind !== 'labels';
+    const formulas = cols.map((c, ci) => (c.formula && numericCells && !rows.some(r => r.grades[ci] === '#CYCLE!') ? formulaToExcel(c.formula, cols.map(x => x.name)) : null));
+    const columns = cols.map(c => c.name);
+    // Exam totals with labelled levels (CEFR, band descriptors) get the label alongside
+    const exam = examModeOf(classroom, lesson);
+    if (exam && examLevel(exam, exam.max, true)) {
+      columns.push('Level'); formulas.push(null);
+      rows.forEach(r => r.grades.push(examScoreLabel(exam, r.grades[r.grades.length - 1], true)));
+    }
+    // Rubric breakdowns go after every other column so formula references keep their positions
+    cols.filter(c => c.rubricId).forEach(col => {
+      const rubric = rubricOf(classroom, col);
+      if (!rubric) return;
+      const details = students.map(s => rubricBreakdown(lesson, col.id, s.id));
+      rubric.criteria.forEach(cr => {
+        columns.push(`${col.name} – ${cr.name}`); formulas.push(null);
+        rows.forEach((r, i) => r.grades.push(String(details[i]?.levels?.[cr.id] ?? '')));
+      });
+    });
+    cols.filter(c => !c.virtual && students.some(s => cellComment(lesson, c.id, s.id))).forEach(col => {
+      columns.push(`${col.name} – Comment`); formulas.push(null);
+      rows.forEach((r, i) => r.grades.push(cellComment(lesson, col.id, students[i].id)));
+    });
+    // Missing/Excused/Incomplete/Late per grade, '' for computed and appended columns
+    rows.forEach((r, i) => { r.states = r.grades.map((_, gi) => (cols[gi] && !cols[gi].virtual ? cellState(lesson, cols[gi].id, students[i].id) : '')); });
     return {
       type: 'lesson', className: classroom.name, lessonName: lesson.topic,
       lessonDate: lesson.date, lessonNum: lesson.num,
-      columns: cols.map(c => c.name), rows,
+      columns, rows, formulas,
+      attendanceRate: attendanceTally(classroom, rows.map(r => r.attendance)).rate, ...attendanceInfo(classroom),
       logoData: settings.logo ? settings.logo.substring(0, 500000) : null,
       accentColor, accentColorDark, accentColorLight,
       teacherName: classroom.teacher || DB.user?.name || '',
       institutionName: DB.user?.school || DB.user?.name || 'GradeJournal',
     };
+  } else if (context.type === 'student') {
+    const classroom = CC();
+    const student = getStudent(classroom.id, context.id);
+    const stats = studentStats(student.id);
+    const avg = courseAverage(classroom, student.id);
+    const lessons = classroom.lessons
+      .filter(l => !l.studentIds || l.studentIds.includes(student.id))
+      .sort((a, b) => a.date.localeCompare(b.date))
+      .map(l => ({ date: l.date, topic: l.topic || '', attendance: attendanceOf(l, student.id), attendanceNote: attendanceNote(l, student.id), grades: studentLessonGrades(classroom, l, student.id) }));
+    return {
+      type: 'student', className: classroom.name, studentName: student.name,
+      teacherName: classroom.teacher || DB.user?.name || 'Teacher',
+      subject: classroom.subject || 'Class',
+      attendanceRate: stats.rate, attendanceCounts: stats.byStatus, minutesLate: stats.minutesLate,
+      present: stats.present, late: stats.late, excused: stats.excused, absent: stats.absent, total: stats.total,
+      ...attendanceInfo(classroom),
+      courseAverage: avg.percent === null ? null : Math.round(avg.percent * 10) / 10,
+      courseGrade: scaleLabelFor(classroom, avg.percent),
+      lessons, logoData: settings.logo ? settings.logo.substring(0, 500000) : null,
+      accentColor, accentColorDark, accentColorLight,
+      institutionName: DB.user?.school || DB.user?.name || 'GradeJournal',
+    };
   } else {
     const classroom = getC(context.id);
     // FIX: only name and attendance rate — no parent phone/email
@@ -1535,13 +4165,20 @@ function buildExportPayload(context) {
       .sort((a, b) => a.name.localeCompare(b.name))
       .map(s => {
         const stats = studentStats(s.id);
-        const rate = stats.total > 0 ? Math.round(stats.attended / stats.total * 100) : 100;
-        return { name: s.name, phone: s.phone || '', attendanceRate: rate, present: stats.present, late: stats.late, absent: stats.absent, total: stats.total };
+        const avg = courseAverage(classroom, s.id);
+        return {
+          name: s.name, phone: s.phone || '', attendanceRate: stats.rate, present: stats.present, late: stats.late, excused: stats.excused, absent: stats.absent, total: stats.total,
+          courseAverage: avg.percent === null ? null : Math.round(avg.percent * 10) / 10,
+          courseGrade: scaleLabelFor(classroom, avg.percent),
+          categoryAverages: avg.categories.map(cat => (cat.percent === null ? null : Math.round(cat.percent * 10) / 10))
+        };
       });
     return {
       type: 'class', className: classroom.name,
       teacherName: classroom.teacher || DB.user?.name || 'Teacher',
       subject: classroom.subject || 'Class', totalLessons: classroom.lessons.length,
+      categories: (classroom.categories || []).map(cat => ({ name: cat.name, weight: cat.weight })),
+      scaleName: scaleOf(classroom).name, ...attendanceInfo(classroom),
       rows, logoData: settings.logo ? settings.logo.substring(0, 500000) : null,
       accentColor, accentColorDark, accentColorLight,
       institutionName: DB.user?.school || DB.user?.name || 'GradeJournal',
@@ -1549,6 +4186,12 @@ function buildExportPayload(context) {
   }
 }
 
+// One line per graded cell; a lesson without grades still gets a line for its attendance
+function studentReportRows(payload) {
+  return payload.lessons.flatMap(l => (l.grades.length ? l.grades : [{ column: '', value: '', comment: '', state: '' }])
+    .map((g, i) => ({ ...g, first: i === 0, date: l.date, topic: l.topic, attendance: l.attendance, attendanceNote: l.attendanceNote || '' })));
+}
+
 // ============================================
 // PDF EXPORT - REDESIGNED
 // ============================================
@@ -1595,6 +4238,8 @@ async function exportPDF() {
     doc.setFontSize(9);
     if (payload.type === 'lesson') {
       doc.text(`${payload.lessonName}  ·  ${formatDateDisplay(payload.lessonDate)}  ·  Lesson ${payload.lessonNum || ''}`, logoX, 19);
+    } else if (payload.type === 'student') {
+      doc.text(`Student Report  ·  ${payload.studentName}  ·  ${payload.teacherName}`, logoX, 19);
     } else {
       doc.text(`Class Roster  ·  ${payload.teacherName}  ·  ${payload.subject}`, logoX, 19);
     }
@@ -1604,19 +4249,18 @@ async function exportPDF() {
 
     let yPos = 36;
 
-    // === STATS ROW (lesson only) ===
-    if (payload.type === 'lesson') {
-      const present = payload.rows.filter(r => r.attendance === 'present').length;
-      const late = payload.rows.filter(r => r.attendance === 'late').length;
-      const absent = payload.rows.filter(r => r.attendance === 'absent').length;
-      const total = payload.rows.length;
-      const rate = total > 0 ? Math.round((present + late) / total * 100) : 100;
+    // === STATS ROW (lesson and student report) ===
+    if (payload.type !== 'class') {
+      const isStudent = payload.type === 'student';
+      const counts = isStudent ? payload.attendanceCounts : payload.rows.reduce((n, r) => ({ ...n, [r.attendance]: (n[r.attendance] || 0) + 1 }), {});
+      const total = isStudent ? payload.total : payload.rows.length;
+      const rate = payload.attendanceRate;
       const stats = [
-        { label: 'Students', val: String(total), color: accentRGB },
+        isStudent
+          ? { label: 'Course Avg', val: formatPercent(payload.courseAverage) + (payload.courseGrade ? ` ${payload.courseGrade}` : ''), color: accentRGB }
+          : { label: 'Students', val: String(total), color: accentRGB },
         { label: 'Attendance', val: `${rate}%`, color: rate >= 80 ? [46,125,50] : rate >= 60 ? [230,81,0] : [198,40,40] },
-        { label: 'Present', val: String(present), color: [46,125,50] },
-        { label: 'Late', val: String(late), color: [230,81,0] },
-        { label: 'Absent', val: String(absent), color: [198,40,40] },
+        ...ATTENDANCE_STATUSES.map(st => ({ label: st.label, val: String(counts[st.id] || 0), color: hexToRgbArr(st.color) })),
       ];
       const sw = (W - 20) / stats.length;
       stats.forEach((s, i) => {
@@ -1641,7 +4285,10 @@ async function exportPDF() {
     // === TABLE ===
     const colNames = payload.type === 'lesson'
       ? ['Student', 'Attendance', ...payload.columns]
-      : ['Student', 'Phone', 'Attendance Rate', 'Present', 'Late', 'Absent'];
+      : payload.type === 'student'
+        ? ['Date', 'Lesson', 'Attendance', 'Grade', 'Score', 'Comment']
+        : ['Student', 'Phone', 'Attendance Rate', 'Course Avg', 'Present', 'Late', 'Excused', 'Absent'];
+    const tableRows = payload.type === 'student' ? studentReportRows(payload) : payload.rows;
 
     // FIX: Use full available width for table
     const margin = 10;
@@ -1654,14 +4301,17 @@ async function exportPDF() {
           const gradeW = payload.columns.length > 0 ? remaining / payload.columns.length : remaining;
           return [nameW, attW, ...payload.columns.map(() => Math.max(16, gradeW))];
         })()
-      : (() => {
-          // Class roster: name(wide), phone, rate, P, L, A
-          const nameW = availW * 0.38;
-          const phoneW = availW * 0.22;
-          const rateW = availW * 0.18;
-          const statW = (availW - nameW - phoneW - rateW) / 3;
-          return [nameW, phoneW, rateW, statW, statW, statW];
-        })();
+      : payload.type === 'student'
+        ? [24, 40, 24, 30, 24, availW - 142]
+        : (() => {
+            // Class roster: name(wide), phone, rate, course avg, P, L, E, A
+            const nameW = availW * 0.30;
+            const phoneW = availW * 0.16;
+            const rateW = availW * 0.14;
+            const avgW = availW * 0.14;
+            const statW = (availW - nameW - phoneW - rateW - avgW) / 4;
+            return [nameW, phoneW, rateW, avgW, statW, statW, statW, statW];
+          })();
 
     const tableW = colWidths.reduce((a, b) => a + b, 0);
     const startX = margin;
@@ -1680,11 +4330,25 @@ async function exportPDF() {
     });
     yPos += 10;
 
-    const attColors = { present: [46,125,50], late: [230,81,0], absent: [198,40,40] };
-    const attSymbols = { present: '● Present', late: '◑ Late', absent: '✕ Absent' };
+    const attStyle = id => {
+      const st = (payload.attendanceStatuses || []).find(x => x.id === id);
+      return st ? { label: st.label, rgb: hexToRgbArr(st.color) } : { label: id, rgb: [0, 0, 0] };
+    };
+    // Minutes late and the reason go in small type under the status
+    const attNote = (text, x, y, w) => {
+      doc.setFont('helvetica', 'italic');
+      doc.setFontSize(6);
+      doc.text(doc.splitTextToSize(text, w - 6)[0], x + 3, y + 9.5);
+      doc.setFontSize(8);
+    };
 
-    payload.rows.forEach((row, ri) => {
-      if (yPos + rowH > H - 14) {
+    tableRows.forEach((row, ri) => {
+      // Comments in a student report wrap onto up to four lines
+      doc.setFontSize(8);
+      const commentLines = payload.type === 'student' && row.comment ? doc.splitTextToSize(row.comment, colWidths[5] - 6).slice(0, 4) : [];
+      const noted = row.attendanceNote && (payload.type === 'lesson' || row.first);
+      const h = Math.max(rowH, commentLines.length * 3.6 + 3.5, noted ? 12 : 0);
+      if (yPos + h > H - 14) {
         doc.addPage();
         yPos = 14;
         doc.setFillColor(...accentRGB);
@@ -1698,10 +4362,10 @@ async function exportPDF() {
       }
       // Alternating rows
       doc.setFillColor(ri % 2 === 0 ? 250 : 255, ri % 2 === 0 ? 247 : 255, ri % 2 === 0 ? 242 : 255);
-      doc.rect(startX, yPos, tableW, rowH, 'F');
+      doc.rect(startX, yPos, tableW, h, 'F');
       doc.setDrawColor(220, 210, 195);
       doc.setLineWidth(0.1);
-      doc.line(startX, yPos + rowH, startX + tableW, yPos + rowH);
+      doc.line(startX, yPos + h, startX + tableW, yPos + h);
 
       doc.setFont('helvetica', 'normal');
       doc.setFontSize(8);
@@ -1711,18 +4375,42 @@ async function exportPDF() {
       if (payload.type === 'lesson') {
         doc.text(String(row.studentName || '').substring(0, 28), cx + 3, yPos + 5.5);
         cx += colWidths[0];
-        const att = row.attendance || 'present';
-        const attRgb = attColors[att] || [0,0,0];
-        doc.setTextColor(...attRgb);
+        const att = attStyle(row.attendance || 'present');
+        doc.setTextColor(...att.rgb);
         doc.setFont('helvetica', 'bold');
-        doc.text(attSymbols[att] || att, cx + 3, yPos + 5.5);
+        doc.text(att.label, cx + 3, yPos + 5.5);
+        if (noted) attNote(row.attendanceNote, cx, yPos, colWidths[1]);
         cx += colWidths[1];
         doc.setTextColor(44, 36, 22);
         doc.setFont('helvetica', 'normal');
         (row.grades || []).forEach((g, gi) => {
-          doc.text(String(g || '—'), cx + colWidths[gi + 2] / 2, yPos + 5.5, { align: 'center' });
+          const state = CELL_STATES[row.states?.[gi]];
+          doc.setTextColor(...(state ? hexToRgbArr(state.color) : [44, 36, 22]));
+          doc.text(String(cellExportText(g, row.states?.[gi]) || '—'), cx + colWidths[gi + 2] / 2, yPos + 5.5, { align: 'center' });
           cx += colWidths[gi + 2];
         });
+      } else if (payload.type === 'student') {
+        if (row.first) {
+          doc.text(String(row.date || ''), cx + 3, yPos + 5.5);
+          doc.text(String(row.topic || '—').substring(0, 24), cx + colWidths[0] + 3, yPos + 5.5);
+          const att = attStyle(row.attendance || 'present');
+          doc.setTextColor(...att.rgb);
+          doc.setFont('helvetica', 'bold');
+          doc.text(att.label, cx + colWidths[0] + colWidths[1] + 3, yPos + 5.5);
+          if (noted) attNote(row.attendanceNote, cx + colWidths[0] + colWidths[1], yPos, colWidths[2]);
+          doc.setTextColor(44, 36, 22);
+          doc.setFont('helvetica', 'normal');
+        }
+        cx += colWidths[0] + colWidths[1] + colWidths[2];
+        doc.text(String(row.column || '').substring(0, 18), cx + 3, yPos + 5.5);
+        cx += colWidths[3];
+        doc.setFont('helvetica', 'bold');
+        if (CELL_STATES[row.state]) doc.setTextColor(...hexToRgbArr(CELL_STATES[row.state].color));
+        doc.text(String(cellExportText(row.value, row.state) || (row.column ? '—' : '')), cx + colWidths[4] / 2, yPos + 5.5, { align: 'center' });
+        cx += colWidths[4];
+        doc.setFont('helvetica', 'italic');
+        doc.setTextColor(92, 74, 42);
+        if (commentLines.length) doc.text(commentLines, cx + 3, yPos + 5.5, { lineHeightFactor: 1.25 });
       } else {
         doc.text(String(row.name || '—').substring(0, 28), cx + 3, yPos + 5.5);
         cx += colWidths[0];
@@ -1735,17 +4423,22 @@ async function exportPDF() {
         doc.text(`${rate}%`, cx + colWidths[2] / 2, yPos + 5.5, { align: 'center' });
         cx += colWidths[2];
         doc.setTextColor(44, 36, 22);
+        doc.text(formatPercent(row.courseAverage) + (row.courseGrade ? ` · ${row.courseGrade}` : ''), cx + colWidths[3] / 2, yPos + 5.5, { align: 'center' });
+        cx += colWidths[3];
         doc.setFont('helvetica', 'normal');
         doc.setTextColor(46, 125, 50);
-        doc.text(String(row.present ?? ''), cx + colWidths[3] / 2, yPos + 5.5, { align: 'center' });
-        cx += colWidths[3];
-        doc.setTextColor(230, 81, 0);
-        doc.text(String(row.late ?? ''), cx + colWidths[4] / 2, yPos + 5.5, { align: 'center' });
+        doc.text(String(row.present ?? ''), cx + colWidths[4] / 2, yPos + 5.5, { align: 'center' });
         cx += colWidths[4];
+        doc.setTextColor(230, 81, 0);
+        doc.text(String(row.late ?? ''), cx + colWidths[5] / 2, yPos + 5.5, { align: 'center' });
+        cx += colWidths[5];
+        doc.setTextColor(...attStyle('excused').rgb);
+        doc.text(String(row.excused ?? ''), cx + colWidths[6] / 2, yPos + 5.5, { align: 'center' });
+        cx += colWidths[6];
         doc.setTextColor(198, 40, 40);
-        doc.text(String(row.absent ?? ''), cx + colWidths[5] / 2, yPos + 5.5, { align: 'center' });
+        doc.text(String(row.absent ?? ''), cx + colWidths[7] / 2, yPos + 5.5, { align: 'center' });
       }
-      yPos += rowH;
+      yPos += h;
     });
 
     // Footer
@@ -1763,7 +4456,9 @@ async function exportPDF() {
 
     const filename = payload.type === 'lesson'
       ? `GJ-${payload.className}-${payload.lessonName}-${payload.lessonDate}.pdf`
-      : `GJ-${payload.className}-Roster.pdf`;
+      : payload.type === 'student'
+        ? `GJ-${payload.className}-${payload.studentName}-Report.pdf`
+        : `GJ-${payload.className}-Roster.pdf`;
     doc.save(filename.replace(/[^a-zA-Z0-9\-_.]/g, '_'));
     toast('✅ PDF downloaded!');
   } catch (err) {
@@ -1790,30 +4485,64 @@ function hslToRgbArr(h, s, l) {
   return [Math.round((r + m) * 255), Math.round((g + m) * 255), Math.round((b + m) * 255)];
 }
 
+function hexToRgbArr(hex) {
+  const m = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex || '');
+  return m ? m.slice(1).map(h => parseInt(h, 16)) : [0, 0, 0];
+}
+
 function formatDateDisplay(dateStr) {
   if (!dateStr) return '';
   try { return new Date(dateStr + 'T00:00:00').toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' }); }
   catch { return dateStr; }
 }
 
+// Signed in to a GradeJournal server, the workbook is built there with ExcelJS
+// (styled, with live formulas). Returns false so the caller can fall back to
+// building it in the browser.
+async function exportExcelViaServer(payload) {
+  if (DB.user?.mode !== 'server' || !_serverSession) return false;
+  try {
+    const res = await fetch(new URL('/api/export/excel', API_BASE), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...(_serverSession ? { Authorization: `Bearer ${_serverSession}` } : {}) },
+      body: JSON.stringify(payload)
+    });
+    if (!res.ok) return false;
+    const url = URL.createObjectURL(await res.blob());
+    const a = document.createElement('a');
+    a.href = url;
+    const name = payload.type === 'lesson' ? payload.lessonName : payload.type === 'student' ? `${payload.studentName}-Report` : 'Roster';
+    a.download = `GJ-${payload.className}-${name}.xlsx`.replace(/[^a-zA-Z0-9\-_.]/g, '_');
+    document.body.appendChild(a); a.click(); document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+    toast('✅ Excel downloaded!');
+    return true;
+  } catch (e) {
+    console.warn('Server Excel export failed, building it locally:', e);
+    return false;
+  }
+}
+
 // EXCEL EXPORT
 async function exportExcel() {
   if (!currentExportContext) return;
   closeOv('ov-export');
   toast('📊 Generating Excel…');
   try {
-    if (typeof XLSX === 'undefined') throw new Error('Excel library not loaded');
     const payload = buildExportPayload(currentExportContext);
+    if (await exportExcelViaServer(payload)) return;
+    if (typeof XLSX === 'undefined') throw new Error('Excel library not loaded');
     const wb = XLSX.utils.book_new();
-    
+    const statuses = payload.attendanceStatuses || [];
+    const attLabel = id => statuses.find(st => st.id === id)?.label || id;
+
     if (payload.type === 'lesson') {
       // Lesson sheet: Student | Attendance | grade cols...
       const headers = ['Student', 'Attendance', ...payload.columns];
-      const attLabel = { present: 'Present', late: 'Late', absent: 'Absent' };
       const dataRows = payload.rows.map(r => [
         r.studentName,
-        attLabel[r.attendance] || r.attendance,
-        ...r.grades
+        attendanceExportText(attLabel(r.attendance), r.attendanceNote),
+        ...r.grades.map((g, gi) => cellExportText(g, r.states?.[gi]))
       ]);
       const wsData = [
         [`${payload.className} — ${payload.lessonName}`],
@@ -1822,37 +4551,55 @@ async function exportExcel() {
         headers,
         ...dataRows,
         [],
-        [`Present: ${payload.rows.filter(r=>r.attendance==='present').length}`, 
-         `Late: ${payload.rows.filter(r=>r.attendance==='late').length}`,
-         `Absent: ${payload.rows.filter(r=>r.attendance==='absent').length}`]
+        [`Attendance: ${payload.attendanceRate}%`,
+         ...statuses.map(st => `${st.label}: ${payload.rows.filter(r => r.attendance === st.id).length}`)]
       ];
       const ws = XLSX.utils.aoa_to_sheet(wsData);
       // Column widths
-      ws['!cols'] = [{ wch: 28 }, { wch: 12 }, ...payload.columns.map(() => ({ wch: 14 }))];
+      ws['!cols'] = [{ wch: 28 }, { wch: payload.rows.some(r => r.attendanceNote) ? 30 : 12 }, ...payload.columns.map(() => ({ wch: 14 }))];
       // Merge title row
       ws['!merges'] = [{ s: { r: 0, c: 0 }, e: { r: 0, c: headers.length - 1 } }];
       XLSX.utils.book_append_sheet(wb, ws, 'Lesson');
+    } else if (payload.type === 'student') {
+      // Student report: one line per graded cell, with its comment
+      const headers = ['Date', 'Lesson', 'Attendance', 'Grade', 'Score', 'Comment'];
+      const dataRows = studentReportRows(payload).map(r => [r.date, r.topic, attendanceExportText(attLabel(r.attendance), r.attendanceNote), r.column, cellExportText(r.value, r.state), r.comment]);
+      const wsData = [
+        [`${payload.className} — ${payload.studentName}`],
+        [`Teacher: ${payload.teacherName}    Attendance: ${payload.attendanceRate}% (${statuses.filter(st => payload.attendanceCounts[st.id]).map(st => `${payload.attendanceCounts[st.id]} ${st.label.toLowerCase()}`).join(', ') || 'no lessons'}${payload.minutesLate ? `, ${payload.minutesLate} min late in total` : ''})    Course Average: ${formatPercent(payload.courseAverage)}${payload.courseGrade ? ` · ${payload.courseGrade}` : ''}`],
+        [],
+        headers,
+        ...dataRows
+      ];
+      const ws = XLSX.utils.aoa_to_sheet(wsData);
+      ws['!cols'] = [{ wch: 12 }, { wch: 28 }, { wch: 16 }, { wch: 20 }, { wch: 10 }, { wch: 60 }];
+      ws['!merges'] = [{ s: { r: 0, c: 0 }, e: { r: 0, c: headers.length - 1 } }];
+      XLSX.utils.book_append_sheet(wb, ws, 'Student Report');
     } else {
-      // Class roster sheet: Student | Attendance Rate | Present | Late | Absent | Total
-      const headers = ['Student', 'Attendance Rate', 'Present', 'Late', 'Absent', 'Total Lessons'];
+      // Class roster sheet: Student | Attendance Rate | Present | Late | Excused | Absent | Total | Course Avg | Grade | categories...
+      const headers = ['Student', 'Attendance Rate', 'Present', 'Late', 'Excused', 'Absent', 'Total Lessons', 'Course Average', 'Grade', ...payload.categories.map(cat => `${cat.name} (${cat.weight}%)`)];
       const dataRows = payload.rows.map(r => [
         r.name,
         `${r.attendanceRate}%`,
         r.present,
         r.late,
+        r.excused,
         r.absent,
-        r.total
+        r.total,
+        formatPercent(r.courseAverage),
+        r.courseGrade,
+        ...r.categoryAverages.map(formatPercent)
       ]);
       const wsData = [
         [`${payload.className} — Class Roster`],
-        [`Teacher: ${payload.teacherName}    Subject: ${payload.subject}    Total Lessons: ${payload.totalLessons}`],
+        [`Teacher: ${payload.teacherName}    Subject: ${payload.subject}    Total Lessons: ${payload.totalLessons}    Grading: ${payload.scaleName}    Excused absences: ${payload.attendancePolicy.toLowerCase()}`],
         [],
         headers,
         ...dataRows
       ];
       const ws = XLSX.utils.aoa_to_sheet(wsData);
-      ws['!cols'] = [{ wch: 28 }, { wch: 18 }, { wch: 10 }, { wch: 10 }, { wch: 10 }, { wch: 16 }];
-      ws['!merges'] = [{ s: { r: 0, c: 0 }, e: { r: 0, c: 5 } }];
+      ws['!cols'] = [{ wch: 28 }, { wch: 18 }, { wch: 10 }, { wch: 10 }, { wch: 10 }, { wch: 10 }, { wch: 16 }, { wch: 16 }, { wch: 10 }, ...payload.categories.map(() => ({ wch: 18 }))];
+      ws['!merges'] = [{ s: { r: 0, c: 0 }, e: { r: 0, c: headers.length - 1 } }];
       XLSX.utils.book_append_sheet(wb, ws, 'Class Roster');
       
       // Also add per-lesson attendance sheet
@@ -1860,15 +4607,16 @@ async function exportExcel() {
       if (classroom && classroom.lessons.length > 0) {
         const lessons = classroom.lessons.sort((a, b) => a.date.localeCompare(b.date));
         const lessonHeaders = ['Student', ...lessons.map(l => `${l.date}\n${l.topic.substring(0,12)}`)];
-        const attLabel = { present: 'P', late: 'L', absent: 'A' };
+        // One code per status (P/L/E/A and the classroom's own), keyed under the grid
         const lessonRows = classroom.students.map(s => [
           s.name,
           ...lessons.map(l => {
             if (l.studentIds && !l.studentIds.includes(s.id)) return 'N/A';
-            return attLabel[(l.data||{})[`att_${s.id}`] || 'present'] || 'P';
+            return attendanceStatusOf(classroom, attendanceOf(l, s.id)).code;
           })
         ]);
-        const ws2Data = [lessonHeaders, ...lessonRows];
+        const key = attendanceStatuses(classroom).map(st => `${st.code} = ${st.label}`).join('    ');
+        const ws2Data = [lessonHeaders, ...lessonRows, [], [key]];
         const ws2 = XLSX.utils.aoa_to_sheet(ws2Data);
         ws2['!cols'] = [{ wch: 28 }, ...lessons.map(() => ({ wch: 8 }))];
         XLSX.utils.book_append_sheet(wb, ws2, 'Attendance Log');
@@ -1877,7 +4625,9 @@ async function exportExcel() {
     
     const filename = payload.type === 'lesson'
       ? `GJ-${payload.className}-${payload.lessonName}.xlsx`
-      : `GJ-${payload.className}-Roster.xlsx`;
+      : payload.type === 'student'
+        ? `GJ-${payload.className}-${payload.studentName}-Report.xlsx`
+        : `GJ-${payload.className}-Roster.xlsx`;
     XLSX.writeFile(wb, filename.replace(/[^a-zA-Z0-9\-_.]/g, '_'));
     toast('✅ Excel downloaded!');
   } catch (err) {
@@ -1912,16 +4662,22 @@ function restoreFromFile() {
     reader.onload = (event) => {
       try {
         const backup = JSON.parse(event.target.result);
-        confirm_('Restore Backup', 'This will replace all current data. Continue?', async () => {
-          DB = backup;
-          if (!DB.exportSettings) DB.exportSettings = { color: { h:30,s:60,l:50,a:100 } };
-          if (!DB.gradeTemplates) DB.gradeTemplates = [];
+        let restored;
+        try { restored = migrateDocument(backup); }
+        catch (err) { showErrorNotification(`${err.message} Nothing was restored.`); return; }
+        confirm_('Restore Backup', `This will replace all current data${schemaVersionOf(backup) < SCHEMA_VERSION ? ' (the backup will be upgraded to the current format)' : ''}. Continue?`, async () => {
+          try { await takeSnapshot('pre-restore'); } catch (e) { console.error('Pre-restore snapshot failed:', e); }
+          DB = restored;
+          DB.syncStatus = 'idle';
           rebuildIndex();
           await saveDB('home', true);
-          if (supabase && DB.user?.mode === 'supabase') await syncWithCloud();
+          if (cloudAdapter()) {
+            DB.pendingChanges = [];
+            try { await saveUserDataToCloud(DB.user.id); } catch (e) { console.error('Restore upload failed:', e); }
+          }
           toast('✅ Data restored!');
           renderClassrooms();
-        });
+        }, 'Restore');
       } catch { toast('❌ Invalid backup file'); }
     };
     reader.readAsText(file);
@@ -1930,47 +4686,269 @@ function restoreFromFile() {
 }
 
 // ============================================
-// EXPORT SETTINGS & COLOR PICKER
+// BACKUP HISTORY
 // ============================================
-let colorPickerState = { h: 30, s: 60, l: 50, a: 100 };
+// Point-in-time snapshots of every classroom, kept in IndexedDB next to the
+// live data. Saves take an hourly and a daily snapshot when one is due; each
+// kind is pruned to its own limit. A restore always snapshots the current
+// state first, so it can itself be undone.
+const SNAPSHOT_RULES = {
+  hourly:        { every: 60 * 60 * 1000, keep: 24 },
+  daily:         { every: 24 * 60 * 60 * 1000, keep: 14 },
+  manual:        { keep: 10 },
+  'pre-restore': { keep: 5 },
+};
+const SNAPSHOT_LABELS = { hourly: 'Hourly', daily: 'Daily', manual: 'Manual', 'pre-restore': 'Before restore' };
+let _lastSnapshotCheck = 0;
+
+function snapshotCounts(classrooms) {
+  return {
+    classrooms: classrooms.length,
+    students: classrooms.reduce((n, c) => n + c.students.length, 0),
+    lessons: classrooms.reduce((n, c) => n + c.lessons.length, 0),
+  };
+}
 
-function openExportSettings() {
-  closeOv('ov-export');
-  if (!DB.exportSettings) DB.exportSettings = { color: { h:30,s:60,l:50,a:100 } };
-  const previewZone = safeGetElement('file-preview-zone');
-  const logoPreview = safeGetElement('export-logo-preview');
-  const fileName = safeGetElement('file-preview-name');
-  const fileSize = safeGetElement('file-preview-size');
-  if (DB.exportSettings.logo && logoPreview && fileName && fileSize && previewZone) {
-    logoPreview.src = DB.exportSettings.logo;
-    fileName.textContent = DB.exportSettings.logoName || 'logo.png';
-    fileSize.textContent = DB.exportSettings.logoSize || '';
-    previewZone.classList.add('show');
-  } else if (previewZone) {
-    previewZone.classList.remove('show');
-    if (logoPreview) logoPreview.src = '';
-  }
-  const col = DB.exportSettings.color || { h:30,s:60,l:50,a:100 };
-  colorPickerState = { ...col };
-  const hueSlider = safeGetElement('hue-slider');
-  const satSlider = safeGetElement('sat-slider');
-  const lightSlider = safeGetElement('light-slider');
-  const opacitySlider = safeGetElement('opacity-slider');
-  if (hueSlider) hueSlider.value = col.h;
-  if (satSlider) satSlider.value = col.s;
-  if (lightSlider) lightSlider.value = col.l;
-  if (opacitySlider) opacitySlider.value = col.a;
-  updateColorDisplay();
-  openOv('ov-export-settings');
+async function listSnapshots() {
+  const idb = await openStore();
+  if (!idb) return [];
+  const all = await idbRequest(idb.transaction('snapshots').objectStore('snapshots').getAll());
+  return all.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
 }
 
-function setupDragAndDrop() {
-  const dropZone = safeGetElement('file-upload-zone');
-  if (!dropZone) return;
-  const handle = (e) => {
-    e.preventDefault(); e.stopPropagation();
-    if (e.type === 'drop') {
-      dropZone.classList.remove('drag-over');
+async function readSnapshot(id) {
+  const idb = await openStore();
+  if (!idb) return null;
+  const data = await idbRequest(idb.transaction('snapshot_data').objectStore('snapshot_data').get(id));
+  return data ? migrateDocument(data) : null;
+}
+
+async function takeSnapshot(kind) {
+  const idb = await openStore();
+  if (!idb) return null;
+  await persistDB();
+  const createdAt = new Date().toISOString();
+  const classrooms = JSON.parse(JSON.stringify(DB.classrooms));
+  const meta = { id: `${kind}_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`, kind, createdAt, schemaVersion: SCHEMA_VERSION, counts: snapshotCounts(classrooms) };
+  const stale = (await listSnapshots()).filter(x => x.kind === kind).slice(SNAPSHOT_RULES[kind].keep - 1);
+  await idbTransaction(idb, ['snapshots', 'snapshot_data'], tx => {
+    tx.objectStore('snapshots').put(meta);
+    tx.objectStore('snapshot_data').put({ id: meta.id, schemaVersion: SCHEMA_VERSION, classrooms, gradeTemplates: DB.gradeTemplates || [] });
+    stale.forEach(x => { tx.objectStore('snapshots').delete(x.id); tx.objectStore('snapshot_data').delete(x.id); });
+  });
+  return meta;
+}
+
+// Called after every save; looks at most once a minute
+async function takeDueSnapshots() {
+  if (Date.now() - _lastSnapshotCheck < 60 * 1000 || !DB.classrooms.length) return;
+  _lastSnapshotCheck = Date.now();
+  try {
+    const latest = await listSnapshots();
+    for (const kind of ['hourly', 'daily']) {
+      const last = latest.find(x => x.kind === kind);
+      if (!last || Date.now() - new Date(last.createdAt) >= SNAPSHOT_RULES[kind].every) await takeSnapshot(kind);
+    }
+  } catch (e) { console.error('Snapshot failed:', e); }
+}
+
+async function openSnapshots() {
+  closeOv('ov-user');
+  openOv('ov-snapshots');
+  await renderSnapshotList();
+}
+
+async function renderSnapshotList() {
+  const body = safeGetElement('snapshot-body');
+  if (!body) return;
+  if (!(await openStore())) {
+    body.innerHTML = '<div class="snap-empty">Backup history needs IndexedDB, which this browser does not provide. Use Download Backup instead.</div>';
+    return;
+  }
+  const list = await listSnapshots();
+  body.innerHTML = list.length ? list.map(x => `
+    <div class="snap-row">
+      <div class="snap-info">
+        <div class="snap-when">${esc(new Date(x.createdAt).toLocaleString())} <span class="snap-kind snap-${esc(x.kind)}">${esc(SNAPSHOT_LABELS[x.kind] || x.kind)}</span></div>
+        <div class="snap-counts">${x.counts.classrooms} classrooms · ${x.counts.students} students · ${x.counts.lessons} lessons</div>
+      </div>
+      <button class="btn btn-ghost-app" onclick="previewSnapshot('${esc(x.id)}')">Preview</button>
+    </div>`).join('') : '<div class="snap-empty">No snapshots yet. One is taken automatically every hour while you work.</div>';
+}
+
+async function snapshotNow() {
+  try {
+    if (await takeSnapshot('manual')) { toast('✅ Snapshot saved'); await renderSnapshotList(); }
+    else toast('❌ Backup history needs IndexedDB');
+  } catch (e) { console.error('Snapshot failed:', e); toast('❌ Snapshot failed'); }
+}
+
+// What restoring `snap` over `current` would bring back, remove or change
+function describeClassroomDiff(current, snap) {
+  if (!current) return { status: 'restore', lines: [`Classroom was deleted — restores ${snap.students.length} students and ${snap.lessons.length} lessons`] };
+  if (!snap) return { status: 'remove', lines: ['Created after this snapshot — removed by a full restore'] };
+  const lines = [];
+  [['students', 'student', x => x.name], ['lessons', 'lesson', x => x.topic], ['columns', 'column', x => x.name]].forEach(([key, noun, name]) => {
+    const now = new Set(current[key].map(x => x.id));
+    const then = new Set(snap[key].map(x => x.id));
+    const back = snap[key].filter(x => !now.has(x.id));
+    const gone = current[key].filter(x => !then.has(x.id));
+    if (back.length) lines.push(`Brings back ${back.length} ${noun}${back.length === 1 ? '' : 's'}: ${back.slice(0, 3).map(name).join(', ')}${back.length > 3 ? '…' : ''}`);
+    if (gone.length) lines.push(`Removes ${gone.length} ${noun}${gone.length === 1 ? '' : 's'} added since`);
+  });
+  let cells = 0;
+  snap.lessons.forEach(sl => {
+    const cl = current.lessons.find(l => l.id === sl.id);
+    if (!cl) return;
+    new Set([...Object.keys(sl.data || {}), ...Object.keys(cl.data || {})]).forEach(k => {
+      if ((sl.data?.[k] ?? '') !== (cl.data?.[k] ?? '')) cells++;
+    });
+  });
+  if (cells) lines.push(`Changes ${cells} grade/attendance cell${cells === 1 ? '' : 's'}`);
+  if (current.name !== snap.name) lines.push(`Renames to "${snap.name}"`);
+  return { status: lines.length ? 'change' : 'same', lines: lines.length ? lines : ['No differences'] };
+}
+
+async function previewSnapshot(id) {
+  const body = safeGetElement('snapshot-body');
+  if (!body) return;
+  let snap;
+  try { snap = await readSnapshot(id); }
+  catch (e) { showErrorNotification(`This snapshot can't be read: ${e.message}`); return; }
+  if (!snap) { toast('❌ Snapshot not found'); return; }
+  const meta = (await listSnapshots()).find(x => x.id === id);
+  const ids = [...new Set([...snap.classrooms.map(c => c.id), ...DB.classrooms.map(c => c.id)])];
+  const rows = ids.map(cid => {
+    const then = snap.classrooms.find(c => c.id === cid);
+    const diff = describeClassroomDiff(getC(cid), then);
+    return `
+    <div class="snap-room snap-${diff.status}">
+      <div class="snap-room-hdr">
+        <div class="snap-room-name">${esc((then || getC(cid)).name)}</div>
+        ${then && diff.status !== 'same' ? `<button class="btn btn-ghost-app" onclick="restoreSnapshot('${esc(id)}','${esc(cid)}')">Restore</button>` : ''}
+      </div>
+      ${diff.lines.map(line => `<div class="snap-diff">${esc(line)}</div>`).join('')}
+    </div>`;
+  }).join('');
+  body.innerHTML = `
+    <div class="snap-preview-hdr">
+      <button class="btn btn-ghost-app" onclick="renderSnapshotList()">← All snapshots</button>
+      <div class="snap-when">${esc(new Date(meta?.createdAt || Date.now()).toLocaleString())}</div>
+      <button class="btn btn-primary" onclick="restoreSnapshot('${esc(id)}')">Restore everything</button>
+    </div>
+    ${rows || '<div class="snap-empty">This snapshot has no classrooms.</div>'}`;
+}
+
+// Puts one classroom back to its snapshot state. Everything is re-stamped and
+// queued as a fresh edit so the restore wins the next sync on every device.
+function restoreClassroomFrom(snapRoom, classroomId) {
+  const current = getC(classroomId);
+  const now = new Date().toISOString();
+  if (!snapRoom) {
+    if (current) { markDeleted('classroom', current, null); DB.classrooms = DB.classrooms.filter(c => c.id !== classroomId); }
+    return;
+  }
+  const room = JSON.parse(JSON.stringify(snapRoom));
+  if (current) {
+    [['students', 'student'], ['lessons', 'lesson'], ['columns', 'column']].forEach(([key, entity]) => {
+      current[key].filter(x => !room[key].some(y => y.id === x.id)).forEach(x => markDeleted(entity, current, x.id));
+    });
+    room.lessons.forEach(l => {
+      const cl = current.lessons.find(x => x.id === l.id);
+      if (!cl) { l.cloudId = null; return; }
+      l.cloudId = cl.cloudId || l.cloudId;
+      // Cells filled in since the snapshot are cleared rather than left behind
+      Object.keys(cl.data || {}).forEach(k => {
+        if (!(k in (l.data || {}))) (l.data = l.data || {})[k] = k.startsWith('att_') ? 'present' : '';
+      });
+    });
+    ['nextSid', 'nextLid', 'nextCid'].forEach(k => { room[k] = Math.max(room[k] || 1, current[k] || 1); });
+  } else {
+    room.lessons.forEach(l => { l.cloudId = null; });
+  }
+  room.updatedAt = now;
+  [...room.students, ...room.lessons, ...room.columns].forEach(x => { x.updatedAt = now; });
+  const idx = DB.classrooms.findIndex(c => c.id === classroomId);
+  if (idx === -1) DB.classrooms.push(room); else DB.classrooms[idx] = room;
+  rebuildIndex();
+  markDirty('classroom', room.id, null);
+  room.students.forEach(s => markDirty('student', room.id, s.id));
+  room.columns.forEach(col => markDirty('column', room.id, col.id));
+  room.lessons.forEach(l => {
+    markDirty('lesson', room.id, l.id);
+    Object.keys(l.data || {}).forEach(k => markCellDirty(room.id, l.id, k));
+  });
+}
+
+async function restoreSnapshot(id, classroomId = null) {
+  let snap;
+  try { snap = await readSnapshot(id); }
+  catch (e) { showErrorNotification(`This snapshot can't be read: ${e.message}`); return; }
+  if (!snap) { toast('❌ Snapshot not found'); return; }
+  const room = classroomId && (snap.classrooms.find(c => c.id === classroomId) || getC(classroomId));
+  const desc = classroomId
+    ? `"${room?.name}" will go back to how it was in this snapshot. Other classrooms are not touched.`
+    : 'Every classroom will go back to how it was in this snapshot.';
+  confirm_(classroomId ? 'Restore Classroom' : 'Restore Snapshot', `${desc} Your current data is snapshotted first, so this can be undone.`, async () => {
+    try { await takeSnapshot('pre-restore'); }
+    catch (e) { showErrorNotification(`Couldn't snapshot the current data, so nothing was restored: ${e.message}`); return; }
+    if (classroomId) restoreClassroomFrom(snap.classrooms.find(c => c.id === classroomId), classroomId);
+    else {
+      const ids = [...new Set([...DB.classrooms.map(c => c.id), ...snap.classrooms.map(c => c.id)])];
+      ids.forEach(cid => restoreClassroomFrom(snap.classrooms.find(c => c.id === cid), cid));
+      DB.classrooms.sort((a, b) => snap.classrooms.findIndex(c => c.id === a.id) - snap.classrooms.findIndex(c => c.id === b.id));
+      DB.gradeTemplates = snap.gradeTemplates || [];
+    }
+    rebuildIndex();
+    await saveDB(isScreenActive('s-lesson') ? 'lesson' : isScreenActive('s-classroom') ? 'class' : 'home', true);
+    closeOv('ov-snapshots');
+    if (CID && !getC(CID)) goHome(); else refreshOpenScreens();
+    toast('✅ Snapshot restored');
+  }, 'Restore');
+}
+
+// ============================================
+// EXPORT SETTINGS & COLOR PICKER
+// ============================================
+let colorPickerState = { h: 30, s: 60, l: 50, a: 100 };
+
+function openExportSettings() {
+  closeOv('ov-export');
+  if (!DB.exportSettings) DB.exportSettings = { color: { h:30,s:60,l:50,a:100 } };
+  const previewZone = safeGetElement('file-preview-zone');
+  const logoPreview = safeGetElement('export-logo-preview');
+  const fileName = safeGetElement('file-preview-name');
+  const fileSize = safeGetElement('file-preview-size');
+  if (DB.exportSettings.logo && logoPreview && fileName && fileSize && previewZone) {
+    logoPreview.src = DB.exportSettings.logo;
+    fileName.textContent = DB.exportSettings.logoName || 'logo.png';
+    fileSize.textContent = DB.exportSettings.logoSize || '';
+    previewZone.classList.add('show');
+  } else if (previewZone) {
+    previewZone.classList.remove('show');
+    if (logoPreview) logoPreview.src = '';
+  }
+  const col = DB.exportSettings.color || { h:30,s:60,l:50,a:100 };
+  colorPickerState = { ...col };
+  const hueSlider = safeGetElement('hue-slider');
+  const satSlider = safeGetElement('sat-slider');
+  const lightSlider = safeGetElement('light-slider');
+  const opacitySlider = safeGetElement('opacity-slider');
+  if (hueSlider) hueSlider.value = col.h;
+  if (satSlider) satSlider.value = col.s;
+  if (lightSlider) lightSlider.value = col.l;
+  if (opacitySlider) opacitySlider.value = col.a;
+  updateColorDisplay();
+  openOv('ov-export-settings');
+}
+
+function setupDragAndDrop() {
+  const dropZone = safeGetElement('file-upload-zone');
+  if (!dropZone) return;
+  const handle = (e) => {
+    e.preventDefault(); e.stopPropagation();
+    if (e.type === 'drop') {
+      dropZone.classList.remove('drag-over');
       if (e.dataTransfer.files.length) handleLogoFile(e.dataTransfer.files[0]);
     } else if (e.type === 'dragleave') {
       dropZone.classList.remove('drag-over');
@@ -2135,9 +5113,18 @@ function saveExportSettings() {
 // KEYBOARD NAV IN GRADEBOOK
 // ============================================
 function setupGradebookKeyNav() {
-  const inputs = Array.from(document.querySelectorAll('.gb-table .grade-inp'));
-  inputs.forEach((inp, idx) => {
+  const body = safeGetElement('gb-body');
+  if (body && !body.dataset.cellKeys) {
+    body.dataset.cellKeys = '1';
+    body.addEventListener('keydown', onGradeCellKey);
+  }
+  document.querySelectorAll('.gb-table .grade-inp').forEach(inp => {
+    if (inp.dataset.nav) return;
+    inp.dataset.nav = '1';
     inp.addEventListener('keydown', (e) => {
+      // Look the grid up on each key press so re-rendered rows are picked up
+      const inputs = Array.from(document.querySelectorAll('.gb-table .grade-inp'));
+      const idx = inputs.indexOf(inp);
       let target = null;
       const cols = inp.closest('tr')?.querySelectorAll('.grade-inp').length || 1;
       if (e.key === 'Tab' && !e.shiftKey) { e.preventDefault(); target = inputs[idx + 1]; }
@@ -2150,6 +5137,19 @@ function setupGradebookKeyNav() {
   });
 }
 
+// On any focused grade input or pill: Shift+F2 opens the cell popup, Alt+M/E/I/L toggle a cell state
+function onGradeCellKey(e) {
+  const td = e.target.closest?.('[data-cell]');
+  if (!td) return;
+  const [cid, sid] = td.dataset.cell.split('_').map(Number);
+  if (e.key === 'F2' && e.shiftKey) { e.preventDefault(); openCellComment(cid, sid, e.target); return; }
+  if (!e.altKey || e.ctrlKey || e.metaKey) return;
+  const state = Object.keys(CELL_STATES).find(id => CELL_STATES[id].code === e.code);
+  if (!state) return;
+  e.preventDefault();
+  toggleCellState(cid, sid, state);
+}
+
 // ============================================
 // SEARCH / FILTER
 // ============================================
@@ -2230,78 +5230,74 @@ function maybeShowWelcomeCard() {
 function lessonCompletionStatus(lesson, classroom) {
   const students = classroom.students.filter(s => lesson.studentIds ? lesson.studentIds.includes(s.id) : true);
   if (!students.length) return 'empty';
-  const cols = lesson.mode === 'ielts'
-    ? classroom.columns.filter(c => c.ielts && c.lessonId === lesson.id && c.name !== 'Overall Band')
-    : classroom.columns.filter(c => !c.ielts);
+  const cols = isExamLesson(lesson)
+    ? examSectionColumns(classroom, lesson)
+    : standardColumnsFor(classroom, lesson).filter(c => !c.formula);
   if (!cols.length) return 'att-only';
   const total = students.length * cols.length;
-  const filled = students.reduce((sum, s) => sum + cols.filter(col => (lesson.data || {})[`col_${col.id}_${s.id}`]?.trim()).length, 0);
+  const filled = students.reduce((sum, s) => sum + cols.filter(col => cellDone(lesson, col, s.id)).length, 0);
   if (filled === 0) return 'att-only';
   if (filled < total) return 'partial';
   return 'complete';
 }
 
 // ============================================
-// IELTS BAND PICKER POPUP
+// EXAM SCORE PICKER POPUP
 // ============================================
-const IELTS_BANDS = [1, 1.5, 2, 2.5, 3, 3.5, 4, 4.5, 5, 5.5, 6, 6.5, 7, 7.5, 8, 8.5, 9];
+const IELTS_BANDS = examValues(BUILTIN_EXAM_MODES.ielts).reverse();
 
-function getBandColor(band) {
-  const n = parseFloat(band);
-  if (isNaN(n)) return { bg: '#eee', text: '#666' };
-  if (n >= 8.5) return { bg: '#1565C0', text: 'white' };
-  if (n >= 7.5) return { bg: '#1976D2', text: 'white' };
-  if (n >= 7)   return { bg: '#0288D1', text: 'white' };
-  if (n >= 6.5) return { bg: '#00897B', text: 'white' };
-  if (n >= 6)   return { bg: '#43A047', text: 'white' };
-  if (n >= 5.5) return { bg: '#7CB342', text: 'white' };
-  if (n >= 5)   return { bg: '#F9A825', text: '#333' };
-  if (n >= 4)   return { bg: '#FB8C00', text: 'white' };
-  return { bg: '#E53935', text: 'white' };
-}
-
-function getBandLabel(band) {
-  const n = parseFloat(band);
-  if (n >= 9)   return 'Expert';
-  if (n >= 8)   return 'Very Good';
-  if (n >= 7)   return 'Good';
-  if (n >= 6)   return 'Competent';
-  if (n >= 5)   return 'Modest';
-  if (n >= 4)   return 'Limited';
-  if (n >= 3)   return 'Extremely Limited';
-  return 'Non-User';
-}
+function getBandColor(band) { return examScoreColors(BUILTIN_EXAM_MODES.ielts, band); }
+
+function getBandLabel(band) { return examScoreLabel(BUILTIN_EXAM_MODES.ielts, band) || 'Non-User'; }
 
 let _bandPickerCleanup = null;
 
+// Short ranges (IELTS bands) are a grid of pills; long ones (TOEFL 0–30,
+// Cambridge 80–230) a number box with the mode's levels as a legend
 function openBandPicker(colId, sid, triggerEl) {
   closeBandPicker();
+  const def = examModeOf(CC(), CL());
+  if (!def) return;
   const existing = (CL()?.data || {})[`col_${colId}_${sid}`] || '';
+  const values = examValues(def);
   const picker = document.createElement('div');
   picker.id = 'band-picker-popup';
   picker.className = 'band-picker-popup';
-  picker.innerHTML = `
-    <div class="band-picker-header">
-      <span class="band-picker-title">🎯 Select IELTS Band</span>
-      <button class="band-picker-clear" onclick="selectBand(${colId},${sid},'')">Clear</button>
-    </div>
+  const body = values ? `
     <div class="band-picker-grid">
-      ${IELTS_BANDS.slice().reverse().map(b => {
-        const { bg, text } = getBandColor(b);
-        const label = getBandLabel(b);
-        const isSelected = String(existing) === String(b);
+      ${values.map(b => {
+        const { bg, text } = examScoreColors(def, b);
+        const label = examScoreLabel(def, b);
+        const isSelected = existing !== '' && parseFloat(existing) === b;
         return `<button class="band-pill-opt${isSelected ? ' selected' : ''}" 
           style="background:${bg};color:${text}${isSelected ? ';outline:3px solid rgba(255,255,255,.9);box-shadow:0 0 0 5px ' + bg + '50' : ''}"
-          onclick="selectBand(${colId},${sid},'${b}')">
-          <span class="band-num">${b}</span>
-          <span class="band-lbl">${label}</span>
+          onclick="selectBand(${colId},${sid},'${formatExamScore(def, b)}')">
+          <span class="band-num">${formatExamScore(def, b)}</span>
+          <span class="band-lbl">${esc(label)}</span>
         </button>`;
       }).join('')}
+    </div>` : `
+    <div class="band-picker-entry">
+      <input class="finput" id="band-picker-inp" type="number" min="${def.min}" max="${def.max}" step="${def.step}" value="${esc(existing)}" placeholder="${def.min}–${def.max}"
+        onkeydown="if(event.key==='Enter')selectBand(${colId},${sid},this.value)">
+      <button class="btn btn-primary btn-sm" onclick="selectBand(${colId},${sid},safeGetElement('band-picker-inp').value)">Set</button>
     </div>
+    ${(def.levels || []).map(lv => `<div class="band-picker-legend"><span class="band-legend-chip" style="background:${lv.color};color:${readableText(lv.color)}">${esc(lv.label)}</span><span>from ${formatExamScore(def, lv.min)}</span></div>`).join('')}`;
+  picker.innerHTML = `
+    <div class="band-picker-header">
+      <span class="band-picker-title">${def.icon || '📝'} ${esc(def.name)} score</span>
+      <button class="band-picker-clear" onclick="selectBand(${colId},${sid},'')">Clear</button>
+    </div>
+    ${body}
   `;
   document.body.appendChild(picker);
+  anchorBandPicker(picker, triggerEl, 300, values ? 440 : 120 + (def.levels || []).length * 26);
+  if (!values) { const inp = safeGetElement('band-picker-inp'); if (inp) { inp.focus(); inp.select(); } }
+}
+
+// Places a popup below its trigger (above when there's no room) and closes it on an outside click
+function anchorBandPicker(picker, triggerEl, pw, ph) {
   const rect = triggerEl.getBoundingClientRect();
-  const pw = 300, ph = 440;
   let left = rect.left, top = rect.bottom + 6;
   if (left + pw > window.innerWidth - 10) left = window.innerWidth - pw - 10;
   if (top + ph > window.innerHeight - 10) top = rect.top - ph - 6;
@@ -2319,11 +5315,1338 @@ function closeBandPicker() {
 }
 
 function selectBand(colId, sid, band) {
-  saveGrade(colId, sid, String(band));
+  const def = examModeOf(CC(), CL());
+  band = String(band).trim();
+  if (band !== '' && def) {
+    const n = Number(band);
+    if (!isValidExamScore(def, n)) {
+      shake('band-picker-inp');
+      toast(`⚠️ ${def.name} scores go from ${def.min} to ${def.max} in steps of ${def.step}`);
+      return;
+    }
+    band = formatExamScore(def, n);
+  }
+  saveGrade(colId, sid, band);
   closeBandPicker();
   renderGradebook();
 }
 
+// ============================================
+// IELTS PROGRESS
+// ============================================
+const IELTS_SKILLS = BUILTIN_EXAM_MODES.ielts.sections;
+const WEAKEST_SKILL_WINDOW = 3;  // recent sittings that decide the weakest skill
+
+// One point per IELTS lesson the student has bands in, oldest first
+function ieltsProgress(c, sid) {
+  return c.lessons
+    .filter(l => l.mode === 'ielts' && (!l.studentIds || l.studentIds.includes(sid)))
+    .sort((a, b) => String(a.date || '').localeCompare(String(b.date || '')) || (a.num || 0) - (b.num || 0))
+    .map(l => {
+      const bands = {};
+      examSectionColumns(c, l).forEach(col => {
+        const n = parseFloat((l.data || {})[`col_${col.id}_${sid}`]);
+        if (!isNaN(n)) bands[col.name] = n;
+      });
+      const overall = parseFloat(calculateExamTotal(sid, c, l));
+      return { lesson: l, bands, overall: isNaN(overall) ? null : overall };
+    })
+    .filter(p => p.overall !== null);
+}
+
+function ieltsSkillTrends(points) {
+  return IELTS_SKILLS.map(skill => {
+    const series = points.filter(p => p.bands[skill] !== undefined).map(p => p.bands[skill]);
+    const recent = series.slice(-WEAKEST_SKILL_WINDOW);
+    return {
+      skill, series,
+      latest: series.length ? series[series.length - 1] : null,
+      change: series.length > 1 ? series[series.length - 1] - series[0] : null,
+      recent: recent.length ? recent.reduce((a, b) => a + b, 0) / recent.length : null
+    };
+  });
+}
+
+function weakestSkill(trends) {
+  return trends.filter(t => t.recent !== null).reduce((low, t) => (!low || t.recent < low.recent ? t : low), null);
+}
+
+function formatBand(n) { return n === null || n === undefined || n === '' ? '—' : Number(n).toFixed(1); }
+
+// Bands 1–9 plotted left to right; the last dot takes the band colour
+function bandSparkline(series) {
+  if (!series.length) return '<span class="ielts-spark-empty">—</span>';
+  const w = 120, h = 28, pad = 3;
+  const x = i => series.length === 1 ? w / 2 : pad + i * (w - pad * 2) / (series.length - 1);
+  const y = n => h - pad - (n - 1) / 8 * (h - pad * 2);
+  const pts = series.map((n, i) => `${x(i).toFixed(1)},${y(n).toFixed(1)}`).join(' ');
+  const last = series.length - 1;
+  return `<svg class="ielts-spark" viewBox="0 0 ${w} ${h}" width="${w}" height="${h}" aria-hidden="true">
+    <polyline points="${pts}" fill="none" stroke="var(--ielts-blue)" stroke-width="1.5" stroke-linejoin="round"/>
+    <circle cx="${x(last).toFixed(1)}" cy="${y(series[last]).toFixed(1)}" r="3" fill="${getBandColor(series[last]).bg}"/>
+  </svg>`;
+}
+
+function bandBadge(band) {
+  if (band === null || band === undefined || band === '') return '<span class="ielts-band-badge empty">—</span>';
+  const bc = getBandColor(band);
+  return `<span class="ielts-band-badge" style="background:${bc.bg};color:${bc.text}" title="${getBandLabel(band)}">${formatBand(band)}</span>`;
+}
+
+function ieltsProgressSectionHtml(c, s) {
+  if (!c.lessons.some(l => l.mode === 'ielts')) return '';
+  const points = ieltsProgress(c, s.id);
+  const trends = ieltsSkillTrends(points);
+  const weakest = weakestSkill(trends);
+  const latest = points.length ? points[points.length - 1].overall : null;
+  const target = parseFloat(s.targetBand);
+  const gap = latest !== null && !isNaN(target) ? target - latest : null;
+  const gapText = gap === null ? '—' : gap <= 0 ? '✓ Reached' : `+${gap.toFixed(1)} to go`;
+  const gapColor = gap === null ? 'var(--text-light)' : gap <= 0 ? 'var(--success)' : gap <= 0.5 ? 'var(--warning)' : 'var(--error)';
+  const targetOpts = `<option value="">— none —</option>` + IELTS_BANDS.slice().reverse().map(b => `<option value="${b.toFixed(1)}" ${!isNaN(target) && b === target ? 'selected' : ''}>${b.toFixed(1)}</option>`).join('');
+  const skillRows = trends.map(t => `
+    <div class="ielts-skill-row${weakest && t.skill === weakest.skill ? ' weakest' : ''}">
+      <div class="ielts-skill-name">${esc(t.skill)}</div>
+      ${bandSparkline(t.series)}
+      ${bandBadge(t.latest)}
+      <div class="ielts-skill-change" style="color:${t.change > 0 ? 'var(--success)' : t.change < 0 ? 'var(--error)' : 'var(--text-light)'}">${t.change === null ? '' : (t.change > 0 ? '+' : '') + t.change.toFixed(1)}</div>
+    </div>`).join('');
+  const history = points.slice().reverse().map(p => `
+    <tr><td>${esc(p.lesson.date || '')}</td>${IELTS_SKILLS.map(skill => `<td>${formatBand(p.bands[skill] ?? null)}</td>`).join('')}<td>${bandBadge(p.overall)}</td></tr>`).join('');
+  return `
+    <div class="sheet-sec">
+      <div class="sheet-sec-title">IELTS Progress</div>
+      <div class="info-grid">
+        <div class="info-card no-edit" style="cursor:default"><div class="info-card-label">Latest Overall</div><div class="info-card-val">${bandBadge(latest)}</div></div>
+        <div class="info-card no-edit" style="cursor:default"><div class="info-card-label">Target Band</div><div class="info-card-val"><select class="ielts-target-select" onchange="setTargetBand(${s.id},this.value)">${targetOpts}</select></div></div>
+        <div class="info-card no-edit" style="cursor:default"><div class="info-card-label">Gap to Target</div><div class="info-card-val" style="color:${gapColor}">${gapText}</div></div>
+        <div class="info-card no-edit" style="cursor:default"><div class="info-card-label">Weakest Skill</div><div class="info-card-val">${weakest ? `${esc(weakest.skill)} <span class="ielts-skill-avg">${formatBand(roundIeltsBand(weakest.recent))}</span>` : '—'}</div></div>
+      </div>
+      ${points.length ? `${skillRows}
+      <table class="ielts-history"><thead><tr><th>Date</th>${IELTS_SKILLS.map(skill => `<th>${skill[0]}</th>`).join('')}<th>Overall</th></tr></thead><tbody>${history}</tbody></table>`
+        : '<p style="font-size:13px;color:var(--text-light);margin-top:10px">No IELTS bands recorded yet.</p>'}
+    </div>`;
+}
+
+function setTargetBand(sid, val) {
+  const s = getStudent(CID, sid);
+  if (!s) return;
+  s.targetBand = val;
+  s.updatedAt = new Date().toISOString();
+  markDirty('student', CID, sid);
+  saveDB('class');
+  openStudentSheet(sid);
+}
+
+// ============================================
+// RUBRICS
+// ============================================
+// A rubric is a set of criteria, each marked on the same levels (points +
+// label) with a descriptor per level. Classrooms keep their rubrics in
+// c.rubrics and a column grades with one through col.rubricId. A rubric cell
+// stores its score in the usual col_<cid>_<sid> key, so averages, formulas and
+// exports read it like any grade, and the breakdown as JSON in rub_<cid>_<sid>:
+// { levels: { <criterion id>: points } }. Its comment is an ordinary cell comment.
+const RUBRIC_SCORING = { sum: 'Sum of the criteria', average: 'Average of the criteria', half: 'Average, to the nearest half point' };
+
+const IELTS_BAND_LEVELS = [9, 8, 7, 6, 5, 4].map(points => ({ points, label: `Band ${points}` }));
+
+const RUBRIC_PRESETS = [
+  {
+    name: 'IELTS Writing Task 2', scoring: 'half', levels: IELTS_BAND_LEVELS,
+    criteria: [
+      { name: 'Task Response', descriptors: ['Fully addresses all parts; fully developed position', 'Sufficiently addresses all parts; well-developed response', 'Addresses all parts; clear position throughout', 'Addresses all parts, some more fully than others', 'Addresses the task only partially', 'Responds only minimally; position unclear'] },
+      { name: 'Coherence & Cohesion', descriptors: ['Cohesion attracts no attention; skilful paragraphing', 'Sequences ideas logically; manages all aspects of cohesion well', 'Logically organises ideas; clear progression throughout', 'Arranges ideas coherently; some faulty cohesive devices', 'Some organisation but lacks overall progression', 'Ideas not arranged coherently; no clear progression'] },
+      { name: 'Lexical Resource', descriptors: ['Wide range used naturally; rare minor slips', 'Wide range used fluently and flexibly', 'Sufficient range for flexibility and precision', 'Adequate range for the task', 'Limited range, minimally adequate', 'Basic vocabulary, used repetitively'] },
+      { name: 'Grammatical Range & Accuracy', descriptors: ['Wide range with full flexibility and accuracy', 'Wide range; majority of sentences error-free', 'Variety of complex structures; frequent error-free sentences', 'Mix of simple and complex forms; some errors', 'Limited range; frequent errors', 'Very limited range; errors predominate'] }
+    ]
+  },
+  {
+    name: 'IELTS Speaking', scoring: 'half', levels: IELTS_BAND_LEVELS,
+    criteria: [
+      { name: 'Fluency & Coherence', descriptors: ['Speaks fluently with only rare repetition', 'Speaks fluently with occasional repetition', 'Speaks at length without noticeable effort', 'Willing to speak at length; some loss of coherence', 'Usually maintains flow but uses repetition', 'Cannot respond without noticeable pauses'] },
+      { name: 'Lexical Resource', descriptors: ['Full flexibility and precision in all topics', 'Wide resource, readily and flexibly used', 'Flexible use to discuss a variety of topics', 'Wide enough to discuss topics at length', 'Manages familiar and unfamiliar topics with limited flexibility', 'Sufficient for familiar topics only'] },
+      { name: 'Grammatical Range & Accuracy', descriptors: ['Full range used naturally and appropriately', 'Wide range used flexibly; mostly error-free', 'Range of complex structures with some flexibility', 'Mix of simple and complex structures, limited flexibility', 'Basic sentence forms with reasonable accuracy', 'Basic sentence forms; errors are frequent'] },
+      { name: 'Pronunciation', descriptors: ['Full range of features with precision and subtlety', 'Wide range of features; easy to understand throughout', 'Shows all positive features of band 6 and some of band 8', 'Range of features with mixed control', 'Shows all positive features of band 4 and some of band 6', 'Limited range of features; frequent lapses'] }
+    ]
+  },
+  {
+    name: 'Four-level analytic rubric', scoring: 'sum',
+    levels: [{ points: 4, label: 'Excellent' }, { points: 3, label: 'Good' }, { points: 2, label: 'Fair' }, { points: 1, label: 'Needs work' }],
+    criteria: [
+      { name: 'Content', descriptors: ['Ideas are relevant, original and fully developed', 'Ideas are relevant and mostly developed', 'Some ideas are off-topic or underdeveloped', 'Ideas are missing or unclear'] },
+      { name: 'Organisation', descriptors: ['Clear, logical structure throughout', 'Mostly logical structure', 'Structure is hard to follow in places', 'No clear structure'] },
+      { name: 'Language', descriptors: ['Varied, precise and accurate', 'Mostly accurate with some variety', 'Frequent errors that sometimes obscure meaning', 'Errors make it hard to understand'] },
+      { name: 'Mechanics', descriptors: ['No spelling or punctuation errors', 'A few minor errors', 'Several distracting errors', 'Many errors throughout'] }
+    ]
+  }
+];
+
+function getRubric(c, id) { return (c?.rubrics || []).find(r => r.id === id) || null; }
+
+function rubricOf(c, col) { return col?.rubricId ? getRubric(c, col.rubricId) : null; }
+
+function rubricMaxScore(r) {
+  const top = Math.max(...r.levels.map(lv => lv.points));
+  return r.scoring === 'sum' ? top * r.criteria.length : top;
+}
+
+// null until every criterion has a level
+function rubricScore(r, levels) {
+  const points = r.criteria.map(cr => levels?.[cr.id]);
+  if (!points.length || points.some(p => typeof p !== 'number')) return null;
+  const sum = points.reduce((a, b) => a + b, 0);
+  if (r.scoring === 'sum') return sum;
+  return r.scoring === 'half' ? roundToStep(sum / points.length, 0.5) : Math.round(sum / points.length * 100) / 100;
+}
+
+function rubricBreakdown(l, cid, sid) {
+  try { return JSON.parse((l?.data || {})[`rub_${cid}_${sid}`] || 'null'); } catch (e) { return null; }
+}
+
+function rubricLevelLabel(r, points) {
+  const lv = r.levels.find(x => x.points === points);
+  return lv ? `${points} · ${lv.label}` : String(points);
+}
+
+// One line per criterion, for cell tooltips
+function rubricSummary(r, detail) {
+  if (!r || !detail) return '';
+  return r.criteria.map(cr => `${cr.name}: ${detail.levels?.[cr.id] === undefined ? '—' : rubricLevelLabel(r, detail.levels[cr.id])}`).join('\n');
+}
+
+function fillRubricSelect(selectId, selected) {
+  const sel = safeGetElement(selectId);
+  if (!sel) return;
+  const rubrics = CC()?.rubrics || [];
+  sel.innerHTML = rubrics.length
+    ? rubrics.map(r => `<option value="${esc(r.id)}" ${r.id === selected ? 'selected' : ''}>${esc(r.name)} (max ${rubricMaxScore(r)})</option>`).join('')
+    : '<option value="">No rubrics yet — create one first</option>';
+}
+
+// Rubric picker
+let rubricPick = null;
+
+function openRubricPicker(colId, sid, triggerEl) {
+  closeBandPicker();
+  const c = CC(), l = CL(), col = getColumn(CID, colId);
+  const r = rubricOf(c, col);
+  if (!r || !l) { toast('This column\'s rubric no longer exists'); return; }
+  const detail = rubricBreakdown(l, colId, sid) || {};
+  rubricPick = { colId, sid, levels: { ...(detail.levels || {}) }, comment: cellComment(l, colId, sid) };
+  const picker = document.createElement('div');
+  picker.id = 'band-picker-popup';
+  picker.className = 'band-picker-popup rubric-picker';
+  document.body.appendChild(picker);
+  renderRubricPicker();
+  anchorBandPicker(picker, triggerEl, 420, Math.min(window.innerHeight - 20, 150 + r.criteria.length * 92));
+}
+
+function renderRubricPicker() {
+  const picker = safeGetElement('band-picker-popup');
+  const c = CC(), col = getColumn(CID, rubricPick?.colId);
+  const r = rubricOf(c, col);
+  if (!picker || !r) return;
+  const score = rubricScore(r, rubricPick.levels);
+  picker.innerHTML = `
+    <div class="band-picker-header">
+      <span class="band-picker-title">📋 ${esc(r.name)}</span>
+      <button class="band-picker-clear" onclick="saveRubricPick(true)">Clear</button>
+    </div>
+    ${r.criteria.map(cr => {
+      const chosen = rubricPick.levels[cr.id];
+      const idx = r.levels.findIndex(lv => lv.points === chosen);
+      return `<div class="rubric-crit">
+        <div class="rubric-crit-name">${esc(cr.name)}</div>
+        <div class="rubric-levels">${r.levels.map((lv, i) => `<button type="button" class="rubric-level${lv.points === chosen ? ' selected' : ''}" title="${esc(cr.descriptors?.[i] || lv.label)}" onclick="pickRubricLevel('${esc(cr.id)}',${lv.points})">${lv.points}</button>`).join('')}</div>
+        <div class="rubric-desc">${idx >= 0 ? `<b>${esc(r.levels[idx].label)}</b> — ${esc(cr.descriptors?.[idx] || '')}` : '<span class="empty">Pick a level</span>'}</div>
+      </div>`;
+    }).join('')}
+    <textarea class="finput rubric-comment" id="rubric-comment" rows="2" placeholder="Comment (optional)" oninput="rubricPick.comment=this.value">${esc(rubricPick.comment)}</textarea>
+    <div class="rubric-foot">
+      <span class="rubric-score">Score: <b>${score === null ? '—' : score}</b> / ${rubricMaxScore(r)}</span>
+      <button class="btn btn-primary btn-sm" onclick="saveRubricPick()">Save</button>
+    </div>`;
+}
+
+function pickRubricLevel(critId, points) {
+  rubricPick.levels[critId] = points;
+  renderRubricPicker();
+}
+
+function saveRubricPick(clear = false) {
+  const c = CC(), l = CL();
+  const col = getColumn(CID, rubricPick?.colId);
+  const r = rubricOf(c, col);
+  if (!r || !l) return;
+  const { colId, sid } = rubricPick;
+  const score = rubricScore(r, rubricPick.levels);
+  if (!clear && score === null) { toast('Pick a level for every criterion'); return; }
+  if (!l.data) l.data = {};
+  if (clear) {
+    delete l.data[`rub_${colId}_${sid}`];
+    l.data[`col_${colId}_${sid}`] = '';
+  } else {
+    l.data[`rub_${colId}_${sid}`] = JSON.stringify({ levels: rubricPick.levels });
+    l.data[`col_${colId}_${sid}`] = String(score);
+    clearReplacedState(l, colId, sid);
+  }
+  setCellComment(c, l, colId, sid, clear ? '' : rubricPick.comment);
+  l.updatedAt = new Date().toISOString();
+  markCellDirty(CID, l.id, `col_${colId}_${sid}`);
+  saveDB('lesson');
+  closeBandPicker();
+  rubricPick = null;
+  recomputeFormulas(c, l, sid);
+  refreshGradebookRow(sid);
+}
+
+// Rubric editor — works on a draft so Cancel leaves the classroom untouched
+let rubricDraft = null;
+
+function openRubrics(id = '') {
+  if (!CC()) return;
+  renderRubricPickList(id);
+  pickRubricDraft(id);
+  openOv('ov-rubrics');
+}
+
+function renderRubricPickList(selected) {
+  const sel = safeGetElement('inp-rubric-pick');
+  if (!sel) return;
+  sel.innerHTML = `<option value="">＋ New rubric</option>`
+    + (CC()?.rubrics || []).map(r => `<option value="${esc(r.id)}" ${r.id === selected ? 'selected' : ''}>${esc(r.name)}</option>`).join('')
+    + RUBRIC_PRESETS.map((p, i) => `<option value="preset:${i}">From preset: ${esc(p.name)}</option>`).join('');
+}
+
+function pickRubricDraft(id) {
+  const preset = id.startsWith('preset:') ? RUBRIC_PRESETS[+id.slice(7)] : null;
+  const source = preset || getRubric(CC(), id) || { name: '', scoring: 'sum', levels: RUBRIC_PRESETS[2].levels, criteria: [{ name: '', descriptors: [] }] };
+  rubricDraft = {
+    id: preset ? '' : source.id || '', name: source.name, scoring: source.scoring,
+    levels: source.levels.map(lv => ({ ...lv })),
+    criteria: source.criteria.map(cr => ({ ...cr, descriptors: source.levels.map((_, i) => cr.descriptors?.[i] || '') }))
+  };
+  renderRubricDraft();
+}
+
+function renderRubricDraft() {
+  const d = rubricDraft;
+  const nameInput = safeGetElement('inp-rubric-name');
+  if (nameInput) nameInput.value = d.name;
+  const scoring = safeGetElement('inp-rubric-scoring');
+  if (scoring) scoring.innerHTML = Object.entries(RUBRIC_SCORING).map(([k, label]) => `<option value="${k}" ${k === d.scoring ? 'selected' : ''}>${label}</option>`).join('');
+  const del = safeGetElement('rubric-del-btn');
+  if (del) del.style.display = d.id ? '' : 'none';
+  const grid = safeGetElement('rubric-grid');
+  if (!grid) return;
+  grid.innerHTML = `<table class="rubric-table">
+    <thead><tr><th>Criterion</th>${d.levels.map((lv, i) => `<th>
+      <div class="rubric-level-head">
+        <input class="finput" type="number" step="any" value="${lv.points}" title="Points" oninput="rubricDraft.levels[${i}].points=this.value">
+        <button class="template-del-btn" onclick="removeRubricLevel(${i})" title="Remove level">×</button>
+      </div>
+      <input class="finput" placeholder="Label" value="${esc(lv.label)}" oninput="rubricDraft.levels[${i}].label=this.value">
+    </th>`).join('')}<th><button class="btn btn-ghost-app btn-sm" onclick="addRubricLevel()">+ Level</button></th></tr></thead>
+    <tbody>${d.criteria.map((cr, ci) => `<tr>
+      <td><input class="finput" placeholder="e.g. Task Response" value="${esc(cr.name)}" oninput="rubricDraft.criteria[${ci}].name=this.value"></td>
+      ${d.levels.map((_, li) => `<td><textarea class="finput" rows="3" placeholder="Descriptor" oninput="rubricDraft.criteria[${ci}].descriptors[${li}]=this.value">${esc(cr.descriptors[li] || '')}</textarea></td>`).join('')}
+      <td><button class="template-del-btn" onclick="rubricDraft.criteria.splice(${ci},1);renderRubricDraft()" title="Remove criterion">×</button></td>
+    </tr>`).join('')}</tbody>
+  </table>
+  <button class="btn btn-ghost-app" onclick="rubricDraft.criteria.push({name:'',descriptors:rubricDraft.levels.map(()=>'')});renderRubricDraft()">+ Add Criterion</button>`;
+}
+
+function addRubricLevel() {
+  rubricDraft.levels.push({ points: 0, label: '' });
+  rubricDraft.criteria.forEach(cr => cr.descriptors.push(''));
+  renderRubricDraft();
+}
+
+function removeRubricLevel(i) {
+  rubricDraft.levels.splice(i, 1);
+  rubricDraft.criteria.forEach(cr => cr.descriptors.splice(i, 1));
+  renderRubricDraft();
+}
+
+function saveRubric() {
+  const c = CC();
+  if (!c || !rubricDraft) return;
+  const d = rubricDraft;
+  const name = String(d.name).trim();
+  if (!name) { shake('inp-rubric-name'); return; }
+  if ((c.rubrics || []).some(r => r.id !== d.id && r.name.toLowerCase() === name.toLowerCase())) { toast('A rubric with this name already exists'); return; }
+  const levels = d.levels.map(lv => ({ points: Number(lv.points), label: String(lv.label).trim() }));
+  if (levels.length < 2) { toast('A rubric needs at least two levels'); return; }
+  if (levels.some(lv => !Number.isFinite(lv.points) || lv.points < 0)) { toast('Level points must be 0 or more'); return; }
+  if (levels.some(lv => !lv.label)) { toast('Every level needs a label'); return; }
+  if (new Set(levels.map(lv => lv.points)).size < levels.length) { toast('Two levels are worth the same points'); return; }
+  const criteria = d.criteria.map(cr => ({ ...cr, name: String(cr.name).trim() }));
+  if (!criteria.length) { toast('Add at least one criterion'); return; }
+  if (criteria.some(cr => !cr.name)) { toast('Every criterion needs a name'); return; }
+  if (new Set(criteria.map(cr => cr.name.toLowerCase())).size < criteria.length) { toast('Criterion names must be unique'); return; }
+  // Levels are kept highest first; descriptors follow their level
+  const order = levels.map((lv, i) => i).sort((a, b) => levels[b].points - levels[a].points);
+  let nextId = Math.max(0, ...criteria.map(cr => Number(String(cr.id || '').slice(1)) || 0)) + 1;
+  const rubric = {
+    id: d.id || `rb_${Date.now().toString(36)}`, name, scoring: RUBRIC_SCORING[d.scoring] ? d.scoring : 'sum',
+    levels: order.map(i => levels[i]),
+    criteria: criteria.map(cr => ({ id: cr.id || `k${nextId++}`, name: cr.name, descriptors: order.map(i => String(cr.descriptors[i] || '').trim()) }))
+  };
+  const old = getRubric(c, rubric.id);
+  c.rubrics = [...(c.rubrics || []).filter(r => r.id !== rubric.id), rubric];
+  c.updatedAt = new Date().toISOString();
+  markDirty('classroom', c.id, null);
+  // Columns still on the old maximum move with the rubric
+  if (old && rubricMaxScore(old) !== rubricMaxScore(rubric)) {
+    c.columns.filter(col => col.rubricId === rubric.id && col.maxPoints === rubricMaxScore(old)).forEach(col => {
+      col.maxPoints = rubricMaxScore(rubric); col.updatedAt = c.updatedAt;
+      markDirty('column', c.id, col.id);
+    });
+  }
+  rescoreRubricColumns(c, rubric);
+  saveDB('class'); closeOv('ov-rubrics');
+  fillRubricSelect('inp-colrubric', rubric.id);
+  fillRubricSelect('inp-rename-colrubric', rubric.id);
+  if (isScreenActive('s-lesson')) renderGradebook();
+  toast(`Rubric "${name}" saved!`);
+}
+
+// Scores follow the rubric after its points or scoring change
+function rescoreRubricColumns(c, r) {
+  c.columns.filter(col => col.rubricId === r.id).forEach(col => c.lessons.forEach(l => {
+    Object.keys(l.data || {}).forEach(k => {
+      const m = k.match(new RegExp(`^rub_${col.id}_(\\d+)$`));
+      if (!m) return;
+      const score = rubricScore(r, rubricBreakdown(l, col.id, m[1])?.levels);
+      const val = score === null ? '' : String(score);
+      if (l.data[`col_${col.id}_${m[1]}`] === val) return;
+      l.data[`col_${col.id}_${m[1]}`] = val;
+      l.updatedAt = new Date().toISOString();
+      markCellDirty(c.id, l.id, `col_${col.id}_${m[1]}`);
+    });
+  }));
+  recomputeAllFormulas(c);
+}
+
+function deleteRubric() {
+  const c = CC();
+  if (!c || !rubricDraft?.id) return;
+  const used = c.columns.filter(col => col.rubricId === rubricDraft.id);
+  if (used.length) { toast(`Used by ${used.map(col => `"${col.name}"`).join(', ')}`); return; }
+  const { id, name } = rubricDraft;
+  confirm_('Delete Rubric', `Delete “${name}”?`, () => {
+    c.rubrics = (c.rubrics || []).filter(r => r.id !== id);
+    c.updatedAt = new Date().toISOString();
+    markDirty('classroom', c.id, null);
+    saveDB('class'); closeOv('ov-rubrics');
+    fillRubricSelect('inp-colrubric', null);
+    toast('Rubric deleted');
+  });
+}
+
+// ============================================
+// CELL COMMENTS
+// ============================================
+// A comment explains one grade. It is stored in cmt_<cid>_<sid> beside the
+// col_<cid>_<sid> it belongs to and syncs on that grade's cloud row.
+const MAX_COMMENT_LENGTH = 1000;
+
+function cellComment(l, cid, sid) { return (l?.data || {})[`cmt_${cid}_${sid}`] || ''; }
+
+// The key a comment or cell state is marked dirty under; an ungraded cell gets an empty grade so there is a row to carry it
+function cellGradeKey(l, cid, sid) {
+  const key = `col_${cid}_${sid}`;
+  if (l.data[key] === undefined) l.data[key] = '';
+  return key;
+}
+
+// Returns false when nothing changed
+function setCellComment(c, l, cid, sid, text) {
+  if (!l.data) l.data = {};
+  const comment = String(text || '').trim().slice(0, MAX_COMMENT_LENGTH);
+  if (comment === cellComment(l, cid, sid)) return false;
+  if (comment) l.data[`cmt_${cid}_${sid}`] = comment; else delete l.data[`cmt_${cid}_${sid}`];
+  l.updatedAt = new Date().toISOString();
+  markCellDirty(c.id, l.id, cellGradeKey(l, cid, sid));
+  return true;
+}
+
+// Attributes for a gradebook cell that takes comments and states; right-click opens the editor
+function gradeCellAttrs(l, cid, sid, cls = '') {
+  const state = cellState(l, cid, sid);
+  const classes = [cls, 'cmt-cell', cellComment(l, cid, sid) ? 'has-comment' : '', state ? `cell-st-${state}` : ''].filter(Boolean).join(' ');
+  return `class="${classes}" data-cell="${cid}_${sid}" oncontextmenu="openCellComment(${cid},${sid},this);return false"`;
+}
+
+// Corner marker: always visible on a commented cell, on hover otherwise
+function commentMarkerHtml(l, cid, sid) {
+  const comment = cellComment(l, cid, sid);
+  return `<button type="button" class="cell-cmt-btn" onclick="openCellComment(${cid},${sid},this)" title="${esc(comment || 'Add a comment (Shift+F2)')}" aria-label="${comment ? 'Edit comment' : 'Add comment'}"></button>`;
+}
+
+// A student's graded cells in one lesson, in gradebook order, with their comments
+function studentLessonGrades(c, l, sid) {
+  return gradebookColumns(c, l).map(col => {
+    if (col.virtual) {
+      const total = calculateExamTotal(sid, c, l);
+      return { column: col.name, value: total === '-' ? '' : total, comment: '', state: '' };
+    }
+    return { column: col.name, value: (l.data || {})[`col_${col.id}_${sid}`] || '', comment: cellComment(l, col.id, sid), state: cellState(l, col.id, sid) };
+  }).filter(g => g.value !== '' || g.comment || g.state);
+}
+
+// The popup edits a cell's comment and, except on formula cells, its state
+let commentPick = null;
+
+function openCellComment(colId, sid, triggerEl) {
+  closeBandPicker();
+  const l = CL(), col = getColumn(CID, colId), s = getStudent(CID, sid);
+  if (!l || !col || !s) return;
+  commentPick = { colId, sid, state: col.formula ? null : cellState(l, colId, sid) };
+  const picker = document.createElement('div');
+  picker.id = 'band-picker-popup';
+  picker.className = 'band-picker-popup comment-picker';
+  picker.innerHTML = `
+    <div class="band-picker-header">
+      <span class="band-picker-title">💬 ${esc(col.name)} · ${esc(s.name)}</span>
+      <button class="band-picker-clear" onclick="saveCellComment(true)">Clear</button>
+    </div>
+    ${commentPick.state === null ? '' : `<div class="cell-state-opts" id="cell-state-opts">${cellStateOptsHtml()}</div>`}
+    <textarea class="finput comment-picker-inp" id="comment-picker-inp" rows="3" maxlength="${MAX_COMMENT_LENGTH}" placeholder="Why this grade? Feedback for the student…"
+      onkeydown="if(event.key==='Enter'&&(event.ctrlKey||event.metaKey))saveCellComment();else if(event.key==='Escape')closeBandPicker()">${esc(cellComment(l, colId, sid))}</textarea>
+    <div class="rubric-foot">
+      <span class="comment-picker-hint">Ctrl+Enter to save</span>
+      <button class="btn btn-primary btn-sm" onclick="saveCellComment()">Save</button>
+    </div>`;
+  document.body.appendChild(picker);
+  anchorBandPicker(picker, triggerEl, 320, commentPick.state === null ? 170 : 210);
+  const inp = safeGetElement('comment-picker-inp');
+  if (inp) { inp.focus(); inp.setSelectionRange(inp.value.length, inp.value.length); }
+}
+
+function cellStateOptsHtml() {
+  return Object.entries(CELL_STATES).map(([id, def]) =>
+    `<button type="button" class="cell-state-opt${commentPick.state === id ? ' selected' : ''}" style="--state:${def.color}" title="${esc(`${def.hint} (Alt+${def.code.slice(3)})`)}" onclick="pickCellState('${id}')">${def.label}</button>`).join('');
+}
+
+function pickCellState(state) {
+  commentPick.state = commentPick.state === state ? '' : state;
+  const opts = safeGetElement('cell-state-opts');
+  if (opts) opts.innerHTML = cellStateOptsHtml();
+}
+
+function saveCellComment(clear = false) {
+  const c = CC(), l = CL();
+  if (!c || !l || !commentPick) return;
+  const { colId, sid, state } = commentPick;
+  const text = clear ? '' : safeGetElement('comment-picker-inp')?.value;
+  closeBandPicker();
+  commentPick = null;
+  const commented = setCellComment(c, l, colId, sid, text);
+  const restated = state !== null && setCellState(c, l, colId, sid, clear ? '' : state);
+  if (!commented && !restated) return;
+  saveDB('lesson');
+  if (restated && isExamLesson(l)) renderGradebook();
+  else { if (restated) recomputeFormulas(c, l, sid); refreshGradebookRow(sid); }
+}
+
+// ============================================
+// CELL STATES
+// ============================================
+// A state says why a cell is or isn't graded, in st_<cid>_<sid> beside the
+// grade. Missing counts as zero and Excused is left out of averages; both
+// stand in for a grade, so entering one clears them. Incomplete and Late sit
+// alongside a grade: Incomplete work only counts once it has one, Late is a
+// flag. Alt + the state's key toggles it on the focused cell.
+const CELL_STATES = {
+  missing:    { label: 'Missing',    tag: 'M',    code: 'KeyM', color: '#C62828', replacesGrade: true, hint: 'Counts as zero' },
+  excused:    { label: 'Excused',    tag: 'EX',   code: 'KeyE', color: '#78909C', replacesGrade: true, hint: 'Left out of averages' },
+  incomplete: { label: 'Incomplete', tag: 'INC',  code: 'KeyI', color: '#6A1B9A', hint: 'Counts once it has a grade' },
+  late:       { label: 'Late',       tag: 'LATE', code: 'KeyL', color: '#E65100', hint: 'Handed in late, graded as usual' }
+};
+
+function cellState(l, cid, sid) {
+  const state = (l?.data || {})[`st_${cid}_${sid}`];
+  return CELL_STATES[state] ? state : '';
+}
+
+// Share of the column maximum a cell counts for once its state is applied (null: left out)
+function cellFraction(c, l, col, sid) {
+  const state = cellState(l, col.id, sid);
+  if (state === 'missing') return 0;
+  if (state === 'excused') return null;
+  return gradeFraction(c, col, (l.data || {})[`col_${col.id}_${sid}`]);
+}
+
+// Whether a cell needs nothing more from the teacher
+function cellDone(l, col, sid) {
+  const state = cellState(l, col.id, sid);
+  if (CELL_STATES[state]?.replacesGrade) return true;
+  return state !== 'incomplete' && !!(l.data || {})[`col_${col.id}_${sid}`]?.trim();
+}
+
+// Returns false when nothing changed
+function setCellState(c, l, cid, sid, state) {
+  if (!l.data) l.data = {};
+  if (!CELL_STATES[state]) state = '';
+  if (state === cellState(l, cid, sid)) return false;
+  if (state) l.data[`st_${cid}_${sid}`] = state; else delete l.data[`st_${cid}_${sid}`];
+  if (CELL_STATES[state]?.replacesGrade) { l.data[`col_${cid}_${sid}`] = ''; delete l.data[`rub_${cid}_${sid}`]; }
+  l.updatedAt = new Date().toISOString();
+  markCellDirty(c.id, l.id, cellGradeKey(l, cid, sid));
+  return true;
+}
+
+// A grade was entered, so Missing/Excused no longer apply; the caller marks the grade dirty
+function clearReplacedState(l, cid, sid) {
+  if (CELL_STATES[cellState(l, cid, sid)]?.replacesGrade) delete l.data[`st_${cid}_${sid}`];
+}
+
+// Corner tag for Late/Incomplete; Missing/Excused show in place of the grade instead
+function cellStateTagHtml(state) {
+  const def = CELL_STATES[state];
+  return def && !def.replacesGrade ? `<span class="cell-state-tag" style="color:${def.color}" title="${esc(`${def.label} — ${def.hint}`)}">${def.tag}</span>` : '';
+}
+
+// Export text: the state's name in place of a grade it replaces, or after the grade
+function cellExportText(value, state) {
+  const def = CELL_STATES[state];
+  if (!def) return value;
+  return def.replacesGrade || value === '' ? def.label : `${value} (${def.label.toLowerCase()})`;
+}
+
+function toggleCellState(colId, sid, state) {
+  const c = CC(), l = CL(), col = getColumn(CID, colId);
+  if (!c || !l || !col || col.formula) return;
+  const next = cellState(l, colId, sid) === state ? '' : state;
+  if (!setCellState(c, l, colId, sid, next)) return;
+  saveDB('lesson');
+  if (isExamLesson(l)) renderGradebook();
+  else { recomputeFormulas(c, l, sid); refreshGradebookRow(sid); }
+  toast(next ? `${CELL_STATES[next].label} — ${CELL_STATES[next].hint.toLowerCase()}` : 'Status cleared');
+}
+
+// ============================================
+// ATTENDANCE
+// ============================================
+// att_<sid> holds a student's status in a lesson (none means present). Any
+// record can carry a reason in attn_<sid> and, on statuses that track them,
+// minutes late in attm_<sid>; both sync on the attendance row. A status
+// counts as attended, excused or absent, and the classroom's policy decides
+// what an excused absence does to the attendance rate. Classrooms can add
+// their own statuses (c.attendanceStatuses) after the built-in ones.
+const ATTENDANCE_STATUSES = [
+  { id: 'present', label: 'Present', code: 'P', icon: '✓', color: '#2E7D32', counts: 'attended', builtin: true },
+  { id: 'late',    label: 'Late',    code: 'L', icon: '⏰', color: '#E65100', counts: 'attended', minutes: true, builtin: true },
+  { id: 'excused', label: 'Excused', code: 'E', icon: 'E', color: '#1565C0', counts: 'excused', builtin: true },
+  { id: 'absent',  label: 'Absent',  code: 'A', icon: '✕', color: '#C62828', counts: 'absent', builtin: true }
+];
+const ATTENDANCE_COUNTS = { attended: 'Attended', excused: 'Excused absence', absent: 'Absence' };
+const ATTENDANCE_POLICIES = {
+  exclude: 'Left out of the rate',
+  absent: 'Count against the student',
+  attended: 'Count as attended'
+};
+const MAX_ATT_REASON = 200;
+const MAX_MINUTES_LATE = 600;
+
+function attendanceStatuses(c) { return [...ATTENDANCE_STATUSES, ...(c?.attendanceStatuses || [])]; }
+
+// A status that isn't known here (not synced yet) shows its id and counts like an excused absence
+function attendanceStatusOf(c, id) {
+  return attendanceStatuses(c).find(st => st.id === id) || { id, label: id, code: '?', icon: '?', color: '#78909C', counts: 'excused' };
+}
+
+function attendanceOf(l, sid) { return (l?.data || {})[`att_${sid}`] || 'present'; }
+function attendanceReason(l, sid) { return (l?.data || {})[`attn_${sid}`] || ''; }
+function minutesLate(l, sid) { return parseInt((l?.data || {})[`attm_${sid}`], 10) || 0; }
+
+// The key a reason or minutes late is marked dirty under; a student with no record gets Present
+function attendanceKey(l, sid) {
+  const key = `att_${sid}`;
+  if (l.data[key] === undefined) l.data[key] = 'present';
+  return key;
+}
+
+// "12 min late · Doctor's appointment", or '' when the record has neither
+function attendanceNote(l, sid) {
+  const minutes = minutesLate(l, sid);
+  return [minutes ? `${minutes} min late` : '', attendanceReason(l, sid)].filter(Boolean).join(' · ');
+}
+
+function attendancePolicy(c) { return ATTENDANCE_POLICIES[c?.attendancePolicy] ? c.attendancePolicy : 'exclude'; }
+
+// Counts per status and per kind, with the whole-percent rate under the classroom's policy
+function attendanceTally(c, values) {
+  const t = { byStatus: {}, attended: 0, excused: 0, absent: 0, total: values.length };
+  values.forEach(v => {
+    const st = attendanceStatusOf(c, v || 'present');
+    t.byStatus[st.id] = (t.byStatus[st.id] || 0) + 1;
+    t[st.counts]++;
+  });
+  const policy = attendancePolicy(c);
+  const base = policy === 'exclude' ? t.total - t.excused : t.total;
+  const hits = policy === 'attended' ? t.attended + t.excused : t.attended;
+  t.rate = base > 0 ? Math.round(hits / base * 100) : 100;
+  t.present = t.byStatus.present || 0;
+  t.late = t.byStatus.late || 0;
+  return t;
+}
+
+function lessonAttendanceTally(c, l) {
+  return attendanceTally(c, c.students.filter(s => !l.studentIds || l.studentIds.includes(s.id)).map(s => attendanceOf(l, s.id)));
+}
+
+// Whether a status breaks a perfect-attendance streak
+function attendanceCountsAgainst(c, status) {
+  const counts = attendanceStatusOf(c, status).counts;
+  return counts === 'absent' || (counts === 'excused' && attendancePolicy(c) === 'absent');
+}
+
+// Records one student's status. The reason is dropped once they're back to
+// Present, minutes late on statuses that don't track them. Returns false when nothing changed
+function setAttendance(c, l, sid, status, details = {}) {
+  if (!attendanceStatuses(c).some(st => st.id === status)) return false;
+  if (!l.data) l.data = {};
+  const reason = status === 'present' ? '' : String(details.reason ?? attendanceReason(l, sid)).trim().slice(0, MAX_ATT_REASON);
+  const minutes = attendanceStatusOf(c, status).minutes
+    ? Math.min(MAX_MINUTES_LATE, Math.max(0, Math.round(Number(details.minutes ?? minutesLate(l, sid))) || 0)) : 0;
+  if (l.data[`att_${sid}`] === status && reason === attendanceReason(l, sid) && minutes === minutesLate(l, sid)) return false;
+  l.data[`att_${sid}`] = status;
+  if (reason) l.data[`attn_${sid}`] = reason; else delete l.data[`attn_${sid}`];
+  if (minutes) l.data[`attm_${sid}`] = String(minutes); else delete l.data[`attm_${sid}`];
+  l.updatedAt = new Date().toISOString();
+  markCellDirty(c.id, l.id, `att_${sid}`);
+  return true;
+}
+
+// Pill for a status, e.g. in the lesson history
+function attendancePillHtml(c, status, note = '') {
+  const st = attendanceStatusOf(c, status);
+  return `<span class="pill" style="background:${st.color}1a;color:${st.color}"${note ? ` title="${esc(note)}"` : ''}>${esc(st.label)}</span>`;
+}
+
+// Export text: the status's name, followed by its details
+function attendanceExportText(label, note) { return note ? `${label} (${note})` : label; }
+
+// The details popup sets any status, the classroom's own included, with a reason and minutes late
+let attPick = null;
+
+function openAttendanceDetails(sid, triggerEl) {
+  closeBandPicker();
+  const c = CC(), l = CL(), s = getStudent(CID, sid);
+  if (!c || !l || !s) return;
+  attPick = { sid, status: attendanceOf(l, sid) };
+  const keys = "if(event.key==='Enter')saveAttendanceDetails();else if(event.key==='Escape')closeBandPicker()";
+  const picker = document.createElement('div');
+  picker.id = 'band-picker-popup';
+  picker.className = 'band-picker-popup comment-picker';
+  picker.innerHTML = `
+    <div class="band-picker-header">
+      <span class="band-picker-title">🗓 Attendance · ${esc(s.name)}</span>
+      <button class="band-picker-clear" onclick="saveAttendanceDetails(true)">Clear</button>
+    </div>
+    <div class="cell-state-opts" id="att-status-opts">${attStatusOptsHtml(c)}</div>
+    <input class="finput" id="att-reason-inp" maxlength="${MAX_ATT_REASON}" placeholder="Reason (optional)" value="${esc(attendanceReason(l, sid))}" onkeydown="${keys}">
+    <div class="att-minutes-row" id="att-minutes-row">
+      <input class="finput" id="att-minutes-inp" type="number" min="0" max="${MAX_MINUTES_LATE}" step="1" placeholder="0" value="${minutesLate(l, sid) || ''}" onkeydown="${keys}"><span>minutes late</span>
+    </div>
+    <div class="rubric-foot">
+      <span class="comment-picker-hint">Enter to save</span>
+      <button class="btn btn-primary btn-sm" onclick="saveAttendanceDetails()">Save</button>
+    </div>`;
+  document.body.appendChild(picker);
+  syncAttMinutesRow(c);
+  anchorBandPicker(picker, triggerEl, 320, 200);
+  safeGetElement('att-reason-inp')?.focus();
+}
+
+function attStatusOptsHtml(c) {
+  return attendanceStatuses(c).map(st =>
+    `<button type="button" class="cell-state-opt${attPick.status === st.id ? ' selected' : ''}" style="--state:${st.color}" title="${esc(ATTENDANCE_COUNTS[st.counts])}" onclick="pickAttStatus('${esc(st.id)}')">${esc(st.label)}</button>`).join('');
+}
+
+function pickAttStatus(status) {
+  const c = CC();
+  attPick.status = status;
+  const opts = safeGetElement('att-status-opts');
+  if (opts) opts.innerHTML = attStatusOptsHtml(c);
+  syncAttMinutesRow(c);
+}
+
+function syncAttMinutesRow(c) {
+  const row = safeGetElement('att-minutes-row');
+  if (row) row.style.display = attendanceStatusOf(c, attPick.status).minutes ? '' : 'none';
+}
+
+function saveAttendanceDetails(clear = false) {
+  const c = CC(), l = CL();
+  if (!c || !l || !attPick) return;
+  const { sid, status } = attPick;
+  const details = clear ? { reason: '', minutes: 0 } : { reason: safeGetElement('att-reason-inp')?.value || '', minutes: safeGetElement('att-minutes-inp')?.value || 0 };
+  closeBandPicker();
+  attPick = null;
+  if (!setAttendance(c, l, sid, clear ? 'present' : status, details)) return;
+  saveDB('lesson');
+  renderGradebook();
+  renderStudents();
+}
+
+// Attendance settings — editing happens on a draft so Cancel leaves the classroom untouched
+let attendanceDraft = null;
+
+function openAttendanceSettings() {
+  const c = CC();
+  if (!c) return;
+  attendanceDraft = { policy: attendancePolicy(c), statuses: (c.attendanceStatuses || []).map(st => ({ ...st })) };
+  renderAttendanceDraft();
+  openOv('ov-attendance');
+}
+
+function renderAttendanceDraft() {
+  const sel = safeGetElement('inp-att-policy');
+  if (sel) sel.innerHTML = Object.entries(ATTENDANCE_POLICIES).map(([k, label]) => `<option value="${k}" ${k === attendanceDraft.policy ? 'selected' : ''}>${label}</option>`).join('');
+  const list = safeGetElement('att-status-list');
+  if (!list) return;
+  list.innerHTML = `<div class="cell-state-opts">${ATTENDANCE_STATUSES.map(st => `<span class="cell-state-opt selected" style="--state:${st.color}" title="${esc(ATTENDANCE_COUNTS[st.counts])}">${st.code} · ${st.label}</span>`).join('')}</div>` +
+    attendanceDraft.statuses.map((st, i) => `
+    <div class="att-status-row">
+      <input class="finput" placeholder="e.g. Sick" value="${esc(st.label)}" oninput="attendanceDraft.statuses[${i}].label=this.value">
+      <input class="finput" placeholder="Code" maxlength="3" value="${esc(st.code)}" oninput="attendanceDraft.statuses[${i}].code=this.value">
+      <select class="fselect" onchange="attendanceDraft.statuses[${i}].counts=this.value">${Object.entries(ATTENDANCE_COUNTS).map(([k, label]) => `<option value="${k}" ${k === st.counts ? 'selected' : ''}>${label}</option>`).join('')}</select>
+      <label class="att-status-minutes" title="Record minutes late"><input type="checkbox" ${st.minutes ? 'checked' : ''} onchange="attendanceDraft.statuses[${i}].minutes=this.checked">min</label>
+      <input type="color" class="scale-color" value="${esc(st.color)}" oninput="attendanceDraft.statuses[${i}].color=this.value">
+      <button class="template-del-btn" onclick="attendanceDraft.statuses.splice(${i},1);renderAttendanceDraft()" title="Remove status">×</button>
+    </div>`).join('');
+}
+
+function addAttendanceStatus() {
+  attendanceDraft.statuses.push({ id: '', label: '', code: '', counts: 'excused', minutes: false, color: '#6A1B9A' });
+  renderAttendanceDraft();
+}
+
+function saveAttendanceSettings() {
+  const c = CC();
+  if (!c || !attendanceDraft) return;
+  const stamp = Date.now().toString(36);
+  const statuses = attendanceDraft.statuses.map((st, i) => ({
+    id: st.id || `custom_${stamp}${i}`, label: String(st.label).trim(), code: String(st.code).trim().toUpperCase(),
+    counts: ATTENDANCE_COUNTS[st.counts] ? st.counts : 'excused', minutes: !!st.minutes, color: st.color || '#6A1B9A'
+  }));
+  if (statuses.some(st => !st.label)) { toast('Every status needs a name'); return; }
+  if (statuses.some(st => !st.code)) { toast('Every status needs a code'); return; }
+  const all = [...ATTENDANCE_STATUSES, ...statuses];
+  if (new Set(all.map(st => st.label.toLowerCase())).size < all.length) { toast('Status names must be unique'); return; }
+  if (new Set(all.map(st => st.code)).size < all.length) { toast('Status codes must be unique'); return; }
+  const removed = (c.attendanceStatuses || []).filter(old => !statuses.some(st => st.id === old.id));
+  c.attendanceStatuses = statuses;
+  c.attendancePolicy = ATTENDANCE_POLICIES[attendanceDraft.policy] ? attendanceDraft.policy : 'exclude';
+  c.updatedAt = new Date().toISOString();
+  markDirty('classroom', c.id, null);
+  // Records with a removed status fall back to the built-in one it counted as
+  const fallback = { attended: 'present', excused: 'excused', absent: 'absent' };
+  c.lessons.forEach(l => Object.entries(l.data || {}).forEach(([k, v]) => {
+    const gone = /^att_\d+$/.test(k) && removed.find(old => old.id === v);
+    if (gone) setAttendance(c, l, +k.slice(4), fallback[gone.counts] || 'absent');
+  }));
+  saveDB('class'); closeOv('ov-attendance');
+  if (isScreenActive('s-lesson')) renderGradebook();
+  renderStudents(); renderLessons();
+  toast('Attendance settings saved!');
+}
+
+// ============================================
+// TIMETABLE
+// ============================================
+// A classroom timetable is a term, weekly sessions and holidays. Each session
+// is keyed `<scheduled date>/<slot id>`, so moving, cancelling or retiming it,
+// or adding and removing other slots, never detaches the lesson created for it. Lessons
+// are materialised lazily, up to today, whenever the classroom is opened.
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const WEEK_ORDER = [1, 2, 3, 4, 5, 6, 0];
+const MAX_TERM_DAYS = 731;
+const UPCOMING_SESSIONS = 12;
+
+function shiftDate(date, days) {
+  const d = new Date(date + 'T00:00:00Z');
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+function weekdayOf(date) { return new Date(date + 'T00:00:00Z').getUTCDay(); }
+
+function holidayOn(tt, date) {
+  return (tt.holidays || []).find(h => h.start <= date && date <= (h.end || h.start)) || null;
+}
+
+// Every session of the term in date order, holidays skipped and changes applied.
+// Cancelled sessions stay in the list but take no number.
+function timetableSessions(tt) {
+  if (!tt?.termStart || !tt.termEnd || !tt.slots?.length) return [];
+  const slots = [...tt.slots].sort((a, b) => a.start.localeCompare(b.start));
+  const sessions = [];
+  for (let date = tt.termStart, i = 0; date <= tt.termEnd && i < MAX_TERM_DAYS; date = shiftDate(date, 1), i++) {
+    if (holidayOn(tt, date)) continue;
+    slots.filter(s => s.day === weekdayOf(date)).forEach(s => {
+      const key = `${date}/${s.id}`;
+      const change = tt.changes?.[key] || {};
+      sessions.push({
+        key, scheduled: date, date: change.date || date, start: change.start || s.start, end: change.end || s.end,
+        cancelled: !!change.cancelled, moved: !change.cancelled && !!(change.date || change.start || change.end)
+      });
+    });
+  }
+  sessions.sort((a, b) => a.date.localeCompare(b.date) || a.start.localeCompare(b.start));
+  let num = 0;
+  sessions.forEach(s => { s.num = s.cancelled ? null : ++num; });
+  return sessions;
+}
+
+// Timetables from before slot ids keyed sessions `<date>/<n>`, the nth slot that
+// weekday by start time; their slots get ids and their keys are rewritten to match
+function keyTimetableSlots(c) {
+  const tt = c.timetable;
+  if (!tt?.slots?.length || tt.slots.every(s => s.id)) return;
+  const byDay = new Map();
+  [...tt.slots].sort((a, b) => a.start.localeCompare(b.start)).forEach(s => byDay.set(s.day, [...(byDay.get(s.day) || []), s]));
+  tt.nextSlotId = tt.nextSlotId || 1;
+  tt.slots.forEach(s => { if (!s.id) s.id = `s${tt.nextSlotId++}`; });
+  const rekey = key => {
+    const m = /^(\d{4}-\d{2}-\d{2})\/(\d+)$/.exec(key || '');
+    const slot = m && byDay.get(weekdayOf(m[1]))?.[+m[2]];
+    return slot ? `${m[1]}/${slot.id}` : key;
+  };
+  if (tt.changes) tt.changes = Object.fromEntries(Object.entries(tt.changes).map(([key, change]) => [rekey(key), change]));
+  c.lessons.forEach(l => { if (l.sessionKey) l.sessionKey = rekey(l.sessionKey); });
+}
+
+function lessonHasRecords(l) {
+  return !!l.notes || Object.entries(l.data || {}).some(([k, v]) => v !== '' && v != null && !(k.startsWith('att_') && v === 'present'));
+}
+
+// Scheduled lessons follow their session's date, time and number; sessions dated
+// from..through without a lesson get one. Lessons of cancelled sessions are left alone.
+function applyTimetable(c, through = null, from = null) {
+  const result = { created: 0, updated: 0 };
+  const sessions = timetableSessions(c.timetable);
+  if (!sessions.length) return result;
+  const bySession = new Map(c.lessons.filter(l => l.sessionKey).map(l => [l.sessionKey, l]));
+  const stamp = new Date().toISOString();
+  sessions.forEach(s => {
+    if (s.cancelled) return;
+    const l = bySession.get(s.key);
+    if (l) {
+      if (l.date === s.date && l.start === s.start && l.end === s.end && l.num === s.num) return;
+      Object.assign(l, { date: s.date, start: s.start, end: s.end, num: s.num, updatedAt: stamp });
+      markDirty('lesson', c.id, l.id);
+      result.updated++;
+      return;
+    }
+    if (!through || s.date > through || (from && s.date < from)) return;
+    const lesson = { id: c.nextLid++, topic: c.subject || c.name, date: s.date, start: s.start, end: s.end, num: s.num, sessionKey: s.key, data: {}, mode: 'standard', studentIds: c.students.map(st => st.id), updatedAt: stamp };
+    c.lessons.push(lesson);
+    markDirty('lesson', c.id, lesson.id);
+    result.created++;
+  });
+  if (result.created) rebuildIndex();
+  return result;
+}
+
+// Records a change to one session, dropping the entry once nothing is left in it
+function setSessionChange(tt, key, change) {
+  const next = { ...(tt.changes || {}) };
+  const merged = { ...next[key], ...change };
+  Object.keys(merged).forEach(k => { if (!merged[k]) delete merged[k]; });
+  if (Object.keys(merged).length) next[key] = merged; else delete next[key];
+  tt.changes = next;
+}
+
+// A scheduled lesson moved by hand becomes a moved session, so the timetable keeps it there
+function followLessonMove(c, l) {
+  const session = l.sessionKey && timetableSessions(c?.timetable).find(s => s.key === l.sessionKey);
+  if (!session || (session.date === l.date && session.start === l.start && session.end === l.end)) return;
+  setSessionChange(c.timetable, l.sessionKey, { date: l.date, start: l.start, end: l.end });
+  c.updatedAt = new Date().toISOString();
+  markDirty('classroom', c.id, null);
+  applyTimetable(c);
+}
+
+function sessionTimeText(l) { return l.start ? `${l.start}${l.end ? `–${l.end}` : ''}` : ''; }
+
+let timetableDraft = null;
+
+function openTimetable() {
+  const c = CC();
+  if (!c) return;
+  const tt = c.timetable || {};
+  timetableDraft = {
+    termStart: tt.termStart || todayStr(), termEnd: tt.termEnd || shiftDate(todayStr(), 120),
+    slots: (tt.slots || []).map(s => ({ ...s })), nextSlotId: tt.nextSlotId || 1, holidays: (tt.holidays || []).map(h => ({ ...h })),
+    changes: { ...(tt.changes || {}) }, through: ''
+  };
+  renderTimetableDraft();
+  openOv('ov-timetable');
+}
+
+function renderTimetableDraft() {
+  const d = timetableDraft;
+  sv('inp-tt-start', d.termStart); sv('inp-tt-end', d.termEnd); sv('inp-tt-through', d.through);
+  const slots = safeGetElement('tt-slot-list');
+  if (slots) slots.innerHTML = d.slots.map((s, i) => `
+    <div class="tt-slot-row">
+      <select class="fselect" onchange="timetableDraft.slots[${i}].day=+this.value;renderTimetableSessions()">${WEEK_ORDER.map(day => `<option value="${day}" ${day === s.day ? 'selected' : ''}>${WEEKDAYS[day]}</option>`).join('')}</select>
+      <input class="finput" type="time" value="${esc(s.start)}" onchange="timetableDraft.slots[${i}].start=this.value;renderTimetableSessions()">
+      <input class="finput" type="time" value="${esc(s.end)}" onchange="timetableDraft.slots[${i}].end=this.value;renderTimetableSessions()">
+      <button class="template-del-btn" onclick="timetableDraft.slots.splice(${i},1);renderTimetableDraft()" title="Remove session">×</button>
+    </div>`).join('') || '<div class="tt-empty">No weekly sessions yet.</div>';
+  const holidays = safeGetElement('tt-holiday-list');
+  if (holidays) holidays.innerHTML = d.holidays.map((h, i) => `
+    <div class="tt-holiday-row">
+      <input class="finput" placeholder="e.g. Spring break" value="${esc(h.name)}" oninput="timetableDraft.holidays[${i}].name=this.value">
+      <input class="finput" type="date" value="${esc(h.start)}" onchange="timetableDraft.holidays[${i}].start=this.value;renderTimetableSessions()">
+      <input class="finput" type="date" value="${esc(h.end)}" onchange="timetableDraft.holidays[${i}].end=this.value;renderTimetableSessions()">
+      <button class="template-del-btn" onclick="timetableDraft.holidays.splice(${i},1);renderTimetableDraft()" title="Remove holiday">×</button>
+    </div>`).join('');
+  renderTimetableSessions();
+}
+
+function renderTimetableSessions() {
+  const list = safeGetElement('tt-session-list');
+  const c = CC();
+  if (!list || !c) return;
+  const today = todayStr();
+  const lessons = new Map(c.lessons.filter(l => l.sessionKey).map(l => [l.sessionKey, l]));
+  const sessions = timetableSessions(timetableDraft).filter(s => s.date >= today || s.scheduled >= today).slice(0, UPCOMING_SESSIONS);
+  list.innerHTML = sessions.map(s => `
+    <div class="tt-session-row${s.cancelled ? ' cancelled' : ''}">
+      <span class="tt-session-label">${s.cancelled ? 'Cancelled' : `№ ${s.num}`} · ${WEEKDAYS[weekdayOf(s.date)]} ${s.date} · ${s.start}–${s.end}${s.moved ? ` <em>moved from ${s.scheduled}</em>` : ''}${lessons.has(s.key) ? ' · 📅' : ''}</span>
+      <input class="finput" type="date" value="${s.date}" ${s.cancelled ? 'disabled' : ''} onchange="moveSession('${s.key}',this.value)">
+      <button class="btn btn-ghost-app btn-sm" onclick="toggleSessionCancelled('${s.key}')">${s.cancelled ? 'Restore' : 'Cancel'}</button>
+    </div>`).join('') || '<div class="tt-empty">No upcoming sessions in this term.</div>';
+}
+
+function addTimetableSlot() {
+  const last = timetableDraft.slots[timetableDraft.slots.length - 1];
+  timetableDraft.slots.push({ id: `s${timetableDraft.nextSlotId++}`, day: last ? WEEK_ORDER[(WEEK_ORDER.indexOf(last.day) + 2) % 7] : 1, start: last?.start || '14:00', end: last?.end || '15:30' });
+  renderTimetableDraft();
+}
+
+function addTimetableHoliday() {
+  timetableDraft.holidays.push({ name: '', start: todayStr(), end: todayStr() });
+  renderTimetableDraft();
+}
+
+function moveSession(key, date) {
+  if (!date) return;
+  const scheduled = key.split('/')[0];
+  setSessionChange(timetableDraft, key, { date: date === scheduled ? null : date });
+  renderTimetableSessions();
+}
+
+function toggleSessionCancelled(key) {
+  setSessionChange(timetableDraft, key, { cancelled: !timetableDraft.changes[key]?.cancelled });
+  renderTimetableSessions();
+}
+
+function removeLesson(c, lid) {
+  markDeleted('lesson', c, lid);
+  c.columns = c.columns.filter(col => col.lessonId !== lid);
+  c.lessons = c.lessons.filter(ls => ls.id !== lid);
+  if (LID === lid) LID = null;
+}
+
+function saveTimetable() {
+  const c = CC();
+  const d = timetableDraft;
+  if (!c || !d) return;
+  if (!d.termStart || !d.termEnd || d.termEnd < d.termStart) { toast('The term needs a start date on or before its end date'); return; }
+  if (shiftDate(d.termStart, MAX_TERM_DAYS) < d.termEnd) { toast('A term can be at most two years long'); return; }
+  if (d.slots.some(s => !s.start || !s.end || s.end <= s.start)) { toast('Every session needs to start before it ends'); return; }
+  const holidays = d.holidays.map(h => ({ name: String(h.name || '').trim(), start: h.start, end: h.end || h.start }));
+  if (holidays.some(h => !h.start || h.end < h.start)) { toast('Every holiday needs a start date on or before its end date'); return; }
+  const tt = {
+    termStart: d.termStart, termEnd: d.termEnd, slots: d.slots.map(s => ({ id: s.id, day: +s.day, start: s.start, end: s.end })), nextSlotId: d.nextSlotId,
+    holidays, changes: d.changes, since: c.timetable?.since || todayStr()
+  };
+  // Changes only survive for sessions that are still on the timetable
+  const live = timetableSessions(tt);
+  tt.changes = Object.fromEntries(Object.entries(d.changes).filter(([key]) => live.some(s => s.key === key)));
+  c.timetable = tt;
+  c.updatedAt = new Date().toISOString();
+  markDirty('classroom', c.id, null);
+  // Lessons of cancelled or dropped sessions go, unless something was recorded in them
+  const active = new Set(live.filter(s => !s.cancelled).map(s => s.key));
+  let kept = 0;
+  c.lessons.filter(l => l.sessionKey && !active.has(l.sessionKey)).forEach(l => {
+    if (lessonHasRecords(l)) kept++;
+    else removeLesson(c, l.id);
+  });
+  const { created } = applyTimetable(c, d.through || todayStr(), d.through ? null : tt.since);
+  rebuildIndex(); saveDB('class'); closeOv('ov-timetable'); renderLessons();
+  toast(`Timetable saved${created ? ` · ${created} lesson${created === 1 ? '' : 's'} created` : ''}${kept ? ` · ${kept} off-schedule lesson${kept === 1 ? '' : 's'} kept` : ''}`);
+}
+
+// ============================================
+// CALENDAR
+// ============================================
+// Every classroom's lessons on one week or month grid on the home screen.
+// Timetable sessions still to come show as planned entries until their lesson exists.
+const CLASS_COLORS = ['#C17F3A', '#2E7D32', '#1565C0', '#6A1B9A', '#C62828', '#00838F', '#EF6C00', '#AD1457', '#5D4037', '#283593'];
+
+let calView = 'month';
+let calCursor = null;
+let _calDrag = null;
+
+function classroomColor(c) {
+  const hash = [...String(c.id)].reduce((h, ch) => (h * 31 + ch.charCodeAt(0)) >>> 0, 0);
+  return CLASS_COLORS[hash % CLASS_COLORS.length];
+}
+
+function attendanceTaken(l) { return Object.keys(l.data || {}).some(k => /^att_\d+$/.test(k)); }
+
+// Weeks run Monday to Sunday; a month shows the whole weeks it touches
+function calendarRange() {
+  const anchor = calCursor || todayStr();
+  const monday = d => shiftDate(d, -((weekdayOf(d) + 6) % 7));
+  if (calView === 'week') { const start = monday(anchor); return { start, end: shiftDate(start, 6), first: start }; }
+  const first = anchor.slice(0, 8) + '01';
+  const last = shiftDate(shiftDate(first, 32).slice(0, 8) + '01', -1);
+  return { start: monday(first), end: shiftDate(monday(last), 6), first };
+}
+
+function calendarEntries(start, end) {
+  const today = todayStr();
+  const byDay = {};
+  const add = (date, entry) => (byDay[date] = byDay[date] || []).push(entry);
+  DB.classrooms.forEach(c => {
+    c.lessons.forEach(l => { if (l.date >= start && l.date <= end) add(l.date, { c, l }); });
+    const made = new Set(c.lessons.map(l => l.sessionKey).filter(Boolean));
+    timetableSessions(c.timetable).forEach(s => {
+      if (!s.cancelled && !made.has(s.key) && s.date >= today && s.date >= start && s.date <= end) add(s.date, { c, session: s });
+    });
+  });
+  const startOf = e => (e.l || e.session).start || '';
+  Object.values(byDay).forEach(list => list.sort((a, b) => startOf(a).localeCompare(startOf(b)) || a.c.name.localeCompare(b.c.name)));
+  return byDay;
+}
+
+function calendarEntryHtml({ c, l, session }) {
+  const color = classroomColor(c);
+  if (session) {
+    return `<div class="cal-entry planned" style="--cls:${color}" title="${esc(c.name)} · planned session" onclick="openCalendarSession('${c.id}','${session.key}')"><span class="cal-entry-time">${session.start}</span>${esc(c.name)}</div>`;
+  }
+  const noAtt = l.date <= todayStr() && !attendanceTaken(l);
+  return `<div class="cal-entry${noAtt ? ' no-att' : ''}" style="--cls:${color};--cls-tint:${color}1f" draggable="true" title="${esc(c.name)} · ${esc(l.topic)}${noAtt ? ' · attendance not taken' : ''}"
+    ondragstart="calDragStart(event,'${c.id}',${l.id})" ondragend="_calDrag=null" onclick="openCalendarLesson('${c.id}',${l.id})">${l.start ? `<span class="cal-entry-time">${l.start}</span>` : ''}${esc(l.topic)}${lessonStatusDot(lessonCompletionStatus(l, c))}</div>`;
+}
+
+function renderCalendar() {
+  const el = safeGetElement('home-calendar');
+  if (!el) return;
+  if (!DB.classrooms.some(c => c.lessons.length || c.timetable)) { el.innerHTML = ''; return; }
+  const { start, end, first } = calendarRange();
+  const today = todayStr();
+  const entries = calendarEntries(start, end);
+  const title = calView === 'week'
+    ? `${formatDateDisplay(start)} – ${formatDateDisplay(end)}`
+    : new Date(first + 'T00:00:00').toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+  const days = [];
+  for (let d = start; d <= end; d = shiftDate(d, 1)) {
+    const list = entries[d] || [];
+    const unmarked = list.some(e => e.l && e.l.date <= today && !attendanceTaken(e.l));
+    const outside = calView === 'month' && d.slice(0, 7) !== first.slice(0, 7);
+    days.push(`<div class="cal-day${d === today ? ' today' : ''}${outside ? ' outside' : ''}${unmarked ? ' no-att' : ''}" ondragover="calDragOver(event)" ondragleave="this.classList.remove('drop')" ondrop="calDrop(event,'${d}')">
+      <div class="cal-day-hdr"><span>${calView === 'week' ? `${WEEKDAYS[weekdayOf(d)]} ` : ''}${+d.slice(8)}</span>${unmarked ? '<span class="cal-flag" title="Attendance not taken">⚠</span>' : ''}</div>
+      ${list.map(calendarEntryHtml).join('')}
+    </div>`);
+  }
+  el.innerHTML = `<div class="cal-hdr">
+      <div class="cal-title">${title}</div>
+      <div class="cal-nav">
+        <button class="btn btn-ghost-app btn-sm" onclick="calShift(-1)">‹</button>
+        <button class="btn btn-ghost-app btn-sm" onclick="calCursor=null;renderCalendar()">Today</button>
+        <button class="btn btn-ghost-app btn-sm" onclick="calShift(1)">›</button>
+        <button class="btn btn-ghost-app btn-sm" onclick="exportCalendar()" title="Download every lesson as a calendar file">📤 .ics</button>
+        <div class="cal-views">${['week', 'month'].map(v => `<button class="${v === calView ? 'active' : ''}" onclick="calView='${v}';renderCalendar()">${v === 'week' ? 'Week' : 'Month'}</button>`).join('')}</div>
+      </div>
+    </div>
+    <div class="cal-legend">${DB.classrooms.map(c => `<span style="--cls:${classroomColor(c)}">${esc(c.name)}</span>`).join('')}</div>
+    ${calView === 'month' ? `<div class="cal-weekdays">${WEEK_ORDER.map(d => `<div>${WEEKDAYS[d]}</div>`).join('')}</div>` : ''}
+    <div class="cal-grid ${calView}">${days.join('')}</div>`;
+}
+
+function calShift(step) {
+  const { first } = calendarRange();
+  calCursor = calView === 'week' ? shiftDate(first, 7 * step) : shiftDate(first, step > 0 ? 32 : -1).slice(0, 8) + '01';
+  renderCalendar();
+}
+
+function openCalendarLesson(cid, lid) {
+  openClassroom(cid);
+  openLesson(lid);
+}
+
+// A planned session gets its lesson on first click
+function openCalendarSession(cid, key) {
+  const c = getC(cid);
+  const session = timetableSessions(c?.timetable).find(s => s.key === key);
+  if (!session) return;
+  applyTimetable(c, session.date, session.date);
+  saveDB('home');
+  const l = c.lessons.find(ls => ls.sessionKey === key);
+  if (l) openCalendarLesson(cid, l.id);
+}
+
+function calDragStart(e, cid, lid) {
+  _calDrag = { cid, lid };
+  e.dataTransfer.effectAllowed = 'move';
+  e.dataTransfer.setData('text/plain', `${cid}:${lid}`);
+}
+
+function calDragOver(e) {
+  if (!_calDrag) return;
+  e.preventDefault();
+  e.currentTarget.classList.add('drop');
+}
+
+function calDrop(e, date) {
+  e.preventDefault();
+  e.currentTarget.classList.remove('drop');
+  const drag = _calDrag;
+  _calDrag = null;
+  const c = drag && getC(drag.cid);
+  const l = c && getLesson(c.id, drag.lid);
+  if (!l || l.date === date) return;
+  l.date = date;
+  l.updatedAt = new Date().toISOString();
+  markDirty('lesson', c.id, l.id);
+  followLessonMove(c, l);
+  saveDB('home'); renderCalendar();
+  toast(`“${l.topic}” moved to ${formatDateDisplay(date)}`);
+}
+
+// ============================================
+// CALENDAR FILES (.ics)
+// ============================================
+// The server writes and reads the iCalendar format (see ics.js); here lessons
+// become events and imported events become lessons, one per day.
+const MAX_IMPORT_TOPIC = 200;
+
+function lessonCalendarEvents(classrooms) {
+  return classrooms.flatMap(c => [...c.lessons].sort((a, b) => a.date.localeCompare(b.date)).map(l => ({
+    uid: `lesson-${c.id}-${l.id}@gradejournal`, date: l.date, start: l.start || '', end: l.start ? l.end || '' : '',
+    summary: `${classrooms.length > 1 ? `${c.name} · ` : ''}Lesson ${l.num || l.id}: ${l.topic}`,
+    description: l.notes || '', categories: c.name
+  })));
+}
+
+async function exportCalendar(cid = null) {
+  const classrooms = cid ? [getC(cid)].filter(Boolean) : DB.classrooms;
+  const events = lessonCalendarEvents(classrooms);
+  if (!events.length) { toast('No lessons to export'); return; }
+  if (!requireServerAccount('Calendar export')) return;
+  const name = classrooms.length === 1 ? classrooms[0].name : 'GradeJournal lessons';
+  try {
+    const res = await fetch(new URL('/api/export/ics', API_BASE), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...(_serverSession ? { Authorization: `Bearer ${_serverSession}` } : {}) },
+      body: JSON.stringify({ name, events })
+    });
+    if (!res.ok) throw new Error((await res.json().catch(() => null))?.error || `Request failed (${res.status})`);
+    const url = URL.createObjectURL(await res.blob());
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `GJ-${name}.ics`.replace(/[^a-zA-Z0-9\-_.]/g, '_');
+    document.body.appendChild(a); a.click(); document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+    toast('✅ Calendar downloaded!');
+  } catch (e) {
+    console.error('Calendar export error:', e);
+    toast('❌ Calendar export failed. ' + e.message);
+  }
+}
+
+let icsImport = null;
+
+function importCalendar() {
+  if (!requireServerAccount('Calendar import')) return;
+  const input = document.createElement('input');
+  input.type = 'file'; input.accept = '.ics,text/calendar';
+  input.onchange = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = async (event) => {
+      try {
+        const { events, skipped } = await apiRequest('POST', '/api/import/ics', { body: { text: event.target.result, tzOffset: new Date().getTimezoneOffset() } });
+        if (!events.length) { toast('No events found in that file'); return; }
+        icsImport = { events, skipped, cid: CID || DB.classrooms[0]?.id, unchecked: new Set() };
+        renderIcsImport();
+        openOv('ov-ics-import');
+      } catch (err) { toast('❌ ' + err.message); }
+    };
+    reader.readAsText(file);
+  };
+  input.click();
+}
+
+// An event is left out when its day already has a lesson, in the classroom or from an event picked above it
+function icsDuplicates(c, events, unchecked) {
+  const existing = new Set((c?.lessons || []).map(l => l.date));
+  const picked = new Set();
+  return events.map((e, i) => {
+    if (existing.has(e.date)) return 'Already has a lesson';
+    if (picked.has(e.date)) return 'Same day as another event';
+    if (!unchecked.has(i)) picked.add(e.date);
+    return '';
+  });
+}
+
+function renderIcsImport() {
+  const c = getC(icsImport.cid);
+  const sel = safeGetElement('inp-ics-class');
+  if (sel) sel.innerHTML = DB.classrooms.map(cl => `<option value="${cl.id}" ${cl.id === icsImport.cid ? 'selected' : ''}>${esc(cl.name)}</option>`).join('');
+  const dupes = icsDuplicates(c, icsImport.events, icsImport.unchecked);
+  const count = dupes.filter((d, i) => !d && !icsImport.unchecked.has(i)).length;
+  safeSetText('ics-import-sub', `${icsImport.events.length} events · ${dupes.filter(Boolean).length} skipped as duplicate days${icsImport.skipped ? ` · ${icsImport.skipped} cancelled or not understood` : ''}`);
+  safeSetText('ics-import-btn', `Import ${count} Lesson${count === 1 ? '' : 's'}`);
+  const list = safeGetElement('ics-event-list');
+  if (list) list.innerHTML = icsImport.events.map((e, i) => `
+    <label class="ics-event-row${dupes[i] ? ' duplicate' : ''}" title="${esc(dupes[i])}">
+      <input type="checkbox" ${!dupes[i] && !icsImport.unchecked.has(i) ? 'checked' : ''} ${dupes[i] ? 'disabled' : ''} onchange="toggleIcsEvent(${i},this.checked)">
+      <span class="ics-event-date">${formatDateDisplay(e.date)}${e.start ? ` · ${e.start}${e.end ? `–${e.end}` : ''}` : ''}</span>
+      <span class="ics-event-title">${esc(e.summary || 'Untitled')}${dupes[i] ? ` <em>${esc(dupes[i])}</em>` : ''}</span>
+    </label>`).join('');
+}
+
+function toggleIcsEvent(i, checked) {
+  if (checked) icsImport.unchecked.delete(i); else icsImport.unchecked.add(i);
+  renderIcsImport();
+}
+
+function confirmIcsImport() {
+  const c = getC(icsImport?.cid);
+  if (!c) return;
+  const dupes = icsDuplicates(c, icsImport.events, icsImport.unchecked);
+  const picked = icsImport.events.filter((e, i) => !dupes[i] && !icsImport.unchecked.has(i));
+  if (!picked.length) { toast('Nothing to import'); return; }
+  const stamp = new Date().toISOString();
+  picked.forEach(e => {
+    const lesson = {
+      id: c.nextLid++, topic: (e.summary || 'Lesson').slice(0, MAX_IMPORT_TOPIC), date: e.date, start: e.start || '', end: e.end || '',
+      num: c.lessons.length + 1, notes: e.description || '', data: {}, mode: 'standard', studentIds: c.students.map(s => s.id), updatedAt: stamp
+    };
+    c.lessons.push(lesson);
+    markDirty('lesson', c.id, lesson.id);
+  });
+  rebuildIndex(); saveDB('class'); closeOv('ov-ics-import');
+  if (c.id === CID) renderLessons();
+  if (isScreenActive('s-home')) renderClassrooms();
+  toast(`📅 ${picked.length} lesson${picked.length === 1 ? '' : 's'} imported into ${c.name}`);
+  icsImport = null;
+}
+
 // ============================================
 // KEYBOARD SHORTCUTS
 // ============================================
@@ -2362,6 +6685,8 @@ function showShortcutHint() {
     <div><kbd>N</kbd> New student / lesson / classroom</div>
     <div><kbd>E</kbd> Export current view</div>
     <div><kbd>H</kbd> Go home</div>
+    <div><kbd>Shift</kbd>+<kbd>F2</kbd> Comment on the focused grade</div>
+    <div><kbd>Alt</kbd>+<kbd>M</kbd>/<kbd>E</kbd>/<kbd>I</kbd>/<kbd>L</kbd> Missing / Excused / Incomplete / Late</div>
     <div><kbd>?</kbd> Toggle this menu</div>
     <div><kbd>Esc</kbd> Close any modal</div>
     <div style="margin-top:8px;font-size:10px;color:rgba(255,255,255,.4)">Press ? again to close</div>`;
@@ -2377,27 +6702,98 @@ function showShortcutHint() {
 // ============================================
 // CONFLICT DIALOG
 // ============================================
-async function showConflictDialog(conflict) {
+// Sync has already applied newer-wins to every conflict in the list; the dialog
+// lets the teacher review them and flip any value back to the other side.
+const CONFLICT_FIELDS = { name: 'Name', subject: 'Subject', teacher: 'Teacher', phone: 'Phone', email: 'Email', parentName: 'Parent name', parentPhone: 'Parent phone', note: 'Note', topic: 'Topic', date: 'Date', num: 'Number', mode: 'Mode', notes: 'Notes', exam: 'Exam section', lessonId: 'Lesson', categories: 'Grade categories', gradingScale: 'Grading scale', examModes: 'Exam modes', categoryId: 'Category', maxPoints: 'Max points', rubrics: 'Rubrics', rubricId: 'Rubric', targetBand: 'Target band', attendanceStatuses: 'Attendance statuses', attendancePolicy: 'Excused absences', timetable: 'Timetable', start: 'Start time', end: 'End time' };
+
+function conflictTarget(cf) {
+  const c = getC(cf.classroomId);
+  if (!c) return null;
+  const entityRef = (obj, label, mark) => obj && {
+    label, field: CONFLICT_FIELDS[cf.field] || cf.field,
+    get: () => obj[cf.field],
+    set: v => { if (v === undefined) delete obj[cf.field]; else obj[cf.field] = v; obj.updatedAt = new Date().toISOString(); mark(); }
+  };
+  if (cf.entity === 'classroom') return entityRef(c, c.name, () => markDirty('classroom', c.id, null));
+  if (cf.entity === 'student') { const s = getStudent(c.id, cf.studentId); return entityRef(s, s?.name, () => markDirty('student', c.id, s.id)); }
+  if (cf.entity === 'column') { const col = getColumn(c.id, cf.columnId); return entityRef(col, `Column “${col?.name}”`, () => markDirty('column', c.id, col.id)); }
+  const l = getLesson(c.id, cf.lessonId);
+  if (!l) return null;
+  const lessonLabel = `Lesson ${l.num || l.id}${l.topic ? ` · ${l.topic}` : ''}`;
+  if (cf.entity === 'lesson') return entityRef(l, lessonLabel, () => markDirty('lesson', c.id, l.id));
+  const m = cf.key.match(/^(col|cmt|st)_(\d+)_(\d+)$/) || cf.key.match(/^(att|attn|attm)_()(\d+)$/);
+  if (!m) return null;
+  const student = getStudent(c.id, +m[3]);
+  const colName = m[2] ? getColumn(c.id, +m[2])?.name || 'Grade' : 'Attendance';
+  return {
+    label: `${student?.name || 'Student #' + m[3]} · ${lessonLabel}`,
+    field: { cmt: `${colName} comment`, st: `${colName} status`, attn: 'Attendance reason', attm: 'Minutes late' }[m[1]] || colName,
+    get: () => l.data?.[cf.key],
+    set: v => {
+      if (!l.data) l.data = {};
+      if (v === undefined || v === '') delete l.data[cf.key]; else l.data[cf.key] = v;
+      markCellDirty(c.id, l.id, m[1] === 'col' || m[1] === 'att' ? cf.key : m[2] ? cellGradeKey(l, m[2], m[3]) : attendanceKey(l, m[3]));
+    }
+  };
+}
+
+function conflictValueHtml(v) {
+  if (v === undefined || v === null || v === '') return '<span class="conflict-empty">empty</span>';
+  if (Array.isArray(v) && v.every(x => x?.name !== undefined)) return esc(v.map(x => `${x.name} ${x.weight}%`).join(', ') || '—');
+  return esc(typeof v === 'object' ? JSON.stringify(v) : String(v));
+}
+
+async function showConflictDialog(conflicts) {
+  const rows = (Array.isArray(conflicts) ? conflicts : [conflicts])
+    .map(cf => ({ cf, target: conflictTarget(cf) }))
+    .filter(r => r.target);
+  if (!rows.length) return 'none';
   return new Promise((resolve) => {
     const modal = safeGetElement('ov-conflict');
     const content = safeGetElement('conflict-content');
-    if (!modal || !content) { resolve('local'); return; }
-    content.innerHTML = `<div style="margin-bottom:20px"><h3>Conflict: ${conflict.type}</h3><p>Modified on both devices.</p></div>
-      <div style="display:grid;grid-template-columns:1fr 1fr;gap:16px;margin-bottom:20px">
-        <div style="background:var(--cream-2);padding:16px;border-radius:12px"><div style="font-weight:700;margin-bottom:8px">Local</div><pre style="font-size:11px;overflow:auto">${JSON.stringify(conflict.local,null,2).substring(0,200)}</pre></div>
-        <div style="background:var(--cream-2);padding:16px;border-radius:12px"><div style="font-weight:700;margin-bottom:8px">Cloud</div><pre style="font-size:11px;overflow:auto">${JSON.stringify(conflict.cloud,null,2).substring(0,200)}</pre></div>
-      </div>`;
-    const handleChoice = (choice) => { closeOv('ov-conflict'); resolve(choice); };
+    if (!modal || !content) { resolve('auto'); return; }
+    const classNames = new Set(rows.map(r => getC(r.cf.classroomId)?.name));
+    content.innerHTML = `<div class="conflict-row conflict-head"><div></div><div>Before</div><div>This device</div><div>Cloud</div></div>` +
+      rows.map(({ cf, target }, i) => {
+        const current = target.get();
+        const useLocal = sameValue(current, cf.local);
+        return `<div class="conflict-row">
+          <div class="conflict-what"><strong>${esc(target.label || '')}</strong><span>${esc(target.field)}${classNames.size > 1 ? ` · ${esc(getC(cf.classroomId)?.name || '')}` : ''}</span></div>
+          <div class="conflict-old">${conflictValueHtml(cf.base)}</div>
+          <label class="conflict-pick"><input type="radio" name="conflict-${i}" value="local" ${useLocal ? 'checked' : ''}> ${conflictValueHtml(cf.local)}</label>
+          <label class="conflict-pick"><input type="radio" name="conflict-${i}" value="cloud" ${useLocal ? '' : 'checked'}> ${conflictValueHtml(cf.remote)}</label>
+        </div>`;
+      }).join('');
+    const apply = (choice) => {
+      rows.forEach(({ cf, target }, i) => {
+        const side = choice === 'merge' ? content.querySelector(`input[name="conflict-${i}"]:checked`)?.value : choice;
+        const val = side === 'local' ? cf.local : cf.remote;
+        if (side && !sameValue(target.get(), val)) target.set(val);
+      });
+      rebuildIndex();
+      saveDB(isScreenActive('s-lesson') ? 'lesson' : isScreenActive('s-classroom') ? 'class' : 'home');
+      refreshOpenScreens();
+      closeOv('ov-conflict');
+      resolve(choice);
+    };
     const klb = safeGetElement('conflict-keep-local');
     const kcb = safeGetElement('conflict-keep-cloud');
     const mb = safeGetElement('conflict-merge');
-    if (klb) klb.onclick = () => handleChoice('local');
-    if (kcb) kcb.onclick = () => handleChoice('cloud');
-    if (mb) mb.onclick = () => handleChoice('merge');
+    if (klb) klb.onclick = () => apply('local');
+    if (kcb) kcb.onclick = () => apply('cloud');
+    if (mb) mb.onclick = () => apply('merge');
+    safeSetText('conflict-sub', `${rows.length} change${rows.length === 1 ? '' : 's'} made on both this device and another since the last sync`);
     openOv('ov-conflict');
   });
 }
 
+function refreshOpenScreens() {
+  if (isScreenActive('s-home')) renderClassrooms();
+  if (!getC(CID)) return;
+  if (isScreenActive('s-classroom')) { renderStudents(); renderLessons(); }
+  if (isScreenActive('s-lesson') && CL()) { renderLessonHeader(); renderGradebook(); }
+}
+
 // ============================================
 // DEMO REQUEST
 // ============================================
@@ -2450,11 +6846,12 @@ function showToast(msg) {
 const toast = showToast;
 
 let confirmCb = null;
-function confirm_(title, desc, cb) {
+function confirm_(title, desc, cb, okLabel = 'Delete') {
   const titleEl = safeGetElement('confirm-title');
   const descEl = safeGetElement('confirm-desc');
   if (titleEl) titleEl.textContent = title;
   if (descEl) descEl.textContent = desc;
+  safeSetText('confirm-ok', okLabel);
   confirmCb = cb;
   openOv('ov-confirm');
 }
@@ -2474,7 +6871,7 @@ document.addEventListener('DOMContentLoaded', () => {
   if (opacitySlider) opacitySlider.addEventListener('input', (e) => { colorPickerState.a = parseInt(e.target.value); updateColorDisplay(); });
   setupDragAndDrop();
   initKeyboardShortcuts();
-  window.addEventListener('online', () => { hideOfflineBanner(); showToast('📶 Back online — syncing…'); if (DB.user?.mode === 'supabase') syncWithCloud(); });
+  window.addEventListener('online', () => { hideOfflineBanner(); showToast('📶 Back online — syncing…'); if (cloudAdapter()) syncWithCloud(); });
   window.addEventListener('offline', () => { showOfflineBanner(); DB.syncStatus = 'offline'; updateSyncUI(); });
   document.addEventListener('keydown', (e) => {
     if (e.key === 'Escape') {
@@ -2485,7 +6882,7 @@ document.addEventListener('DOMContentLoaded', () => {
       if (_shortcutHintEl) { _shortcutHintEl.remove(); _shortcutHintEl = null; }
     }
   });
-  window.addEventListener('beforeunload', () => { if (DB.pendingChanges?.length > 0) saveToLocalStorage(); });
+  window.addEventListener('beforeunload', () => { if (DB.pendingChanges?.length > 0) persistDB(); });
 });
 
 let splashTimeout = setTimeout(() => {
@@ -2494,7 +6891,7 @@ let splashTimeout = setTimeout(() => {
     splash.classList.add('exit');
     setTimeout(() => {
       splash.style.display = 'none';
-      loadDB().then(() => {
+      Promise.all([loadDB(), loadServerConfig()]).then(() => {
         if (DB.user) enterApp(); else showLanding();
       });
     }, 800);
@@ -2504,6 +6901,7 @@ let splashTimeout = setTimeout(() => {
 window.addEventListener('unload', () => {
   if (splashTimeout) clearTimeout(splashTimeout);
   stopAutoSync();
+  stopRealtime();
   if (abortController) abortController.abort();
   if (window.__colorPickerCleanup) window.__colorPickerCleanup();
 });
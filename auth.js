@@ -0,0 +1,100 @@
+'use strict';
+
+const crypto = require('crypto');
+const express = require('express');
+
+const SESSION_TTL = 30 * 24 * 60 * 60 * 1000;
+const MIN_PASSWORD = 8;
+const KEY_LENGTH = 64;
+
+// ─── Passwords ────────────────────────────────────────────────────────────────
+// Stored as scrypt$<salt>$<key>, both base64.
+function scrypt(password, salt) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, KEY_LENGTH, (err, key) => (err ? reject(err) : resolve(key)));
+  });
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(password, salt);
+  return `scrypt$${salt.toString('base64')}$${key.toString('base64')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, key] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !key) return false;
+  const expected = Buffer.from(key, 'base64');
+  const actual = await scrypt(password, Buffer.from(salt, 'base64'));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// ─── Sessions ─────────────────────────────────────────────────────────────────
+// Clients get an opaque bearer token; only its SHA-256 is kept on disk.
+function hashToken(token) { return crypto.createHash('sha256').update(token).digest('hex'); }
+
+function publicUser(user) { return { id: user.id, email: user.email, name: user.name }; }
+
+function createAuth(store, { allowSignup = true } = {}) {
+  // Makes a failed lookup take as long as a wrong password
+  const dummyHash = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+  async function issueSession(user) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const now = Date.now();
+    const expired = store.select('sessions', { user_id: user.id }).filter(s => new Date(s.expires_at) < now);
+    if (expired.length) await store.remove('sessions', { token_hash: expired.map(s => s.token_hash) });
+    await store.upsert('sessions', [{ token_hash: hashToken(token), user_id: user.id, created_at: new Date(now).toISOString(), expires_at: new Date(now + SESSION_TTL).toISOString() }]);
+    return token;
+  }
+
+  function requireAuth(req, res, next) {
+    const m = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+    const session = m && store.select('sessions', { token_hash: hashToken(m[1]) })[0];
+    const user = session && new Date(session.expires_at) > new Date() && store.select('users', { id: session.user_id })[0];
+    if (!user) return res.status(401).json({ error: 'Not signed in' });
+    req.user = publicUser(user);
+    req.sessionHash = session.token_hash;
+    next();
+  }
+
+  const router = express.Router();
+
+  router.post('/register', async (req, res, next) => {
+    if (!allowSignup) return res.status(403).json({ error: 'New accounts are disabled on this server' });
+    const email = String(req.body?.email || '').trim().toLowerCase();
+    const password = String(req.body?.password || '');
+    const name = String(req.body?.name || '').trim() || email.split('@')[0];
+    if (!/^[^\s@]+@[^\s@]+$/.test(email)) return res.status(400).json({ error: 'Enter a valid email address' });
+    if (password.length < MIN_PASSWORD) return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD} characters` });
+    try {
+      if (store.select('users', { email }).length) return res.status(409).json({ error: 'An account with this email already exists' });
+      const [user] = await store.upsert('users', [{ id: crypto.randomUUID(), email, name, password_hash: await hashPassword(password), created_at: new Date().toISOString() }]);
+      res.status(201).json({ token: await issueSession(user), user: publicUser(user) });
+    } catch (err) { next(err); }
+  });
+
+  router.post('/login', async (req, res, next) => {
+    const email = String(req.body?.email || '').trim().toLowerCase();
+    const password = String(req.body?.password || '');
+    try {
+      const user = store.select('users', { email })[0];
+      const ok = await verifyPassword(password, user ? user.password_hash : await dummyHash);
+      if (!user || !ok) return res.status(401).json({ error: 'Invalid email or password' });
+      res.json({ token: await issueSession(user), user: publicUser(user) });
+    } catch (err) { next(err); }
+  });
+
+  router.post('/logout', requireAuth, async (req, res, next) => {
+    try {
+      await store.remove('sessions', { token_hash: req.sessionHash });
+      res.json({ ok: true });
+    } catch (err) { next(err); }
+  });
+
+  router.get('/me', requireAuth, (req, res) => res.json({ user: req.user }));
+
+  return { router, requireAuth };
+}
+
+module.exports = { createAuth, hashPassword, verifyPassword };
@@ -0,0 +1,178 @@
+'use strict';
+
+const MAX_EVENTS = 2000;
+const MAX_SPAN_DAYS = 731;
+const DAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// ─── Dates ────────────────────────────────────────────────────────────────────
+// Dates travel as YYYY-MM-DD and times as HH:MM, like lessons store them.
+function shiftDate(date, days) {
+  const d = new Date(date + 'T00:00:00Z');
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+function weekdayOf(date) { return new Date(date + 'T00:00:00Z').getUTCDay(); }
+
+function daysBetween(a, b) { return Math.round((new Date(b + 'T00:00:00Z') - new Date(a + 'T00:00:00Z')) / 86400000); }
+
+function addMinutes(date, time, minutes) {
+  const d = new Date(`${date}T${time}:00Z`);
+  d.setUTCMinutes(d.getUTCMinutes() + minutes);
+  return { date: d.toISOString().slice(0, 10), time: d.toISOString().slice(11, 16) };
+}
+
+// ─── Writing (RFC 5545) ───────────────────────────────────────────────────────
+function escapeText(s) {
+  return String(s ?? '').replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+// Content lines are folded at 75 octets; continuation lines start with a space
+function foldLine(line) {
+  if (Buffer.byteLength(line) <= 75) return line;
+  const parts = [];
+  let current = '';
+  let size = 0;
+  for (const ch of line) {
+    const n = Buffer.byteLength(ch);
+    if (size + n > (parts.length ? 74 : 75)) { parts.push(current); current = ''; size = 0; }
+    current += ch;
+    size += n;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+const compactDate = date => date.replace(/-/g, '');
+const compactTime = time => time.replace(':', '') + '00';
+const utcStamp = d => d.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Timed lessons are floating local times, so they land at the same wall-clock
+// time in whatever timezone the calendar app is in. Untimed ones are all-day.
+function buildCalendar({ name, events }) {
+  const now = utcStamp(new Date());
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//GradeJournal//Lessons//EN', 'CALSCALE:GREGORIAN', 'METHOD:PUBLISH'];
+  if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  events.forEach(e => {
+    lines.push('BEGIN:VEVENT', `UID:${escapeText(e.uid)}`, `DTSTAMP:${now}`);
+    if (e.start) {
+      lines.push(`DTSTART:${compactDate(e.date)}T${compactTime(e.start)}`);
+      if (e.end) lines.push(`DTEND:${compactDate(e.date)}T${compactTime(e.end)}`);
+    } else {
+      lines.push(`DTSTART;VALUE=DATE:${compactDate(e.date)}`, `DTEND;VALUE=DATE:${compactDate(shiftDate(e.date, 1))}`);
+    }
+    lines.push(`SUMMARY:${escapeText(e.summary)}`);
+    if (e.description) lines.push(`DESCRIPTION:${escapeText(e.description)}`);
+    if (e.categories) lines.push(`CATEGORIES:${escapeText(e.categories)}`);
+    lines.push('END:VEVENT');
+  });
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+// ─── Reading ──────────────────────────────────────────────────────────────────
+function unescapeText(s) {
+  return s.replace(/\\([\\;,nN])/g, (_, ch) => (ch === 'n' || ch === 'N' ? '\n' : ch));
+}
+
+// Unfolded content lines as { name, params, value }
+function contentLines(text) {
+  return String(text).replace(/\r\n?/g, '\n').replace(/\n[ \t]/g, '').split('\n').map(line => {
+    const m = /^([A-Za-z0-9-]+)((?:;[A-Za-z0-9-]+=(?:"[^"]*"|[^:;]*))*):(.*)$/.exec(line);
+    if (!m) return null;
+    const params = {};
+    m[2].replace(/;([^=;]+)=("[^"]*"|[^;]*)/g, (_, k, v) => { params[k.toUpperCase()] = v.replace(/^"|"$/g, ''); });
+    return { name: m[1].toUpperCase(), params, value: m[3] };
+  }).filter(Boolean);
+}
+
+// UTC times are moved into the teacher's timezone (tzOffset as from getTimezoneOffset);
+// floating and TZID times are taken as the wall-clock time they name.
+function parseDateTime(value, tzOffset) {
+  const m = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})\d{2}(Z)?)?$/.exec(String(value).trim());
+  if (!m) return null;
+  const date = `${m[1]}-${m[2]}-${m[3]}`;
+  if (!m[4]) return { date, time: '' };
+  if (!m[6]) return { date, time: `${m[4]}:${m[5]}` };
+  return addMinutes(date, `${m[4]}:${m[5]}`, -tzOffset);
+}
+
+function durationMinutes(value) {
+  const m = /^P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?)?/.exec(String(value).trim());
+  return m ? ((+m[1] || 0) * 7 * 1440) + ((+m[2] || 0) * 1440) + ((+m[3] || 0) * 60) + (+m[4] || 0) : 0;
+}
+
+// Daily and weekly rules (INTERVAL, COUNT, UNTIL, BYDAY) are expanded; anything
+// else returns null and only the first occurrence is kept.
+function recurrenceDates(start, rule) {
+  const r = Object.fromEntries(rule.split(';').map(part => part.split('=')).map(([k, v]) => [String(k).toUpperCase(), v || '']));
+  if (r.FREQ !== 'DAILY' && r.FREQ !== 'WEEKLY') return null;
+  const interval = Math.max(1, parseInt(r.INTERVAL) || 1);
+  const count = Math.min(parseInt(r.COUNT) || MAX_EVENTS, MAX_EVENTS);
+  const horizon = shiftDate(start, MAX_SPAN_DAYS);
+  const until = r.UNTIL ? parseDateTime(r.UNTIL.slice(0, 8), 0)?.date : null;
+  const last = until && until < horizon ? until : horizon;
+  const days = r.BYDAY ? r.BYDAY.split(',').map(d => DAY_CODES.indexOf(d.trim().slice(-2).toUpperCase())).filter(d => d >= 0) : [weekdayOf(start)];
+  const mondayOffset = (weekdayOf(start) + 6) % 7;
+  const dates = [];
+  for (let d = start; d <= last && dates.length < count; d = shiftDate(d, 1)) {
+    const offset = daysBetween(start, d);
+    if (r.FREQ === 'DAILY' ? offset % interval === 0 : Math.floor((offset + mondayOffset) / 7) % interval === 0 && days.includes(weekdayOf(d))) dates.push(d);
+  }
+  return dates;
+}
+
+// Returns { events: [{ uid, date, start, end, summary, description }], skipped }.
+// Cancelled events are skipped, as are unsupported recurrences beyond their first date.
+function parseCalendar(text, { tzOffset = 0 } = {}) {
+  const vevents = [];
+  let current = null;
+  let depth = 0;
+  contentLines(text).forEach(({ name, params, value }) => {
+    if (name === 'BEGIN') {
+      if (value.toUpperCase() === 'VEVENT' && !current) { current = {}; depth = 0; return; }
+      if (current) depth++;
+      return;
+    }
+    if (name === 'END') {
+      if (current && depth) { depth--; return; }
+      if (current && value.toUpperCase() === 'VEVENT') { vevents.push(current); current = null; }
+      return;
+    }
+    if (!current || depth) return;
+    if (name === 'EXDATE') {
+      current.EXDATE = (current.EXDATE || []).concat(value.split(',').map(v => parseDateTime(v, tzOffset)?.date).filter(Boolean));
+      return;
+    }
+    if (!(name in current)) current[name] = { params, value };
+  });
+
+  let skipped = 0;
+  const moved = new Set(vevents.filter(v => v['RECURRENCE-ID']).map(v => `${v.UID ? unescapeText(v.UID.value) : ''}|${parseDateTime(v['RECURRENCE-ID'].value, tzOffset)?.date}`));
+  const events = [];
+  vevents.forEach(v => {
+    const start = v.DTSTART && parseDateTime(v.DTSTART.value, tzOffset);
+    if (!start || (v.STATUS && v.STATUS.value.toUpperCase() === 'CANCELLED')) { skipped++; return; }
+    let end = v.DTEND && parseDateTime(v.DTEND.value, tzOffset);
+    if (!end && v.DURATION && start.time) end = addMinutes(start.date, start.time, durationMinutes(v.DURATION.value));
+    const uid = v.UID ? unescapeText(v.UID.value) : '';
+    const base = {
+      uid, start: start.time, end: start.time && end?.time ? end.time : '',
+      summary: v.SUMMARY ? unescapeText(v.SUMMARY.value).trim() : '',
+      description: v.DESCRIPTION ? unescapeText(v.DESCRIPTION.value).trim() : ''
+    };
+    let dates = [start.date];
+    if (v.RRULE && !v['RECURRENCE-ID']) {
+      const expanded = recurrenceDates(start.date, v.RRULE.value);
+      if (expanded) dates = expanded;
+      else skipped++;
+    }
+    const excluded = new Set(v.EXDATE || []);
+    dates.filter(d => !excluded.has(d) && !(v.RRULE && moved.has(`${uid}|${d}`)))
+      .forEach(date => { if (events.length < MAX_EVENTS) events.push({ ...base, date }); });
+  });
+  events.sort((a, b) => a.date.localeCompare(b.date) || a.start.localeCompare(b.start));
+  return { events, skipped };
+}
+
+module.exports = { buildCalendar, parseCalendar, MAX_EVENTS };
@@ -3,15 +3,25 @@
 const express = require('express');
 const path = require('path');
 const fs = require('fs');
+const { Readable } = require('stream');
 const cors = require('cors');
 const rateLimit = require('express-rate-limit');
 const compression = require('compression');
 const ExcelJS = require('exceljs');
 require('dotenv').config();
+const { createStore } = require('./store');
+const { createDataRouter } = require('./api');
+const { createAuth } = require('./auth');
+const { buildCalendar, parseCalendar, MAX_EVENTS } = require('./ics');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 const isProduction = process.env.NODE_ENV === 'production';
+const BACKEND = process.env.GJ_BACKEND === 'server' ? 'server' : 'supabase';
+const dataDir = path.resolve(process.env.GJ_DATA_DIR || path.join(__dirname, 'data'));
+const store = BACKEND === 'server' ? createStore(dataDir) : null;
+const auth = store ? createAuth(store, { allowSignup: process.env.GJ_ALLOW_SIGNUP !== 'false' }) : null;
+const allowedOrigins = (process.env.ALLOWED_ORIGIN || '').split(',').map(o => o.trim()).filter(Boolean);
 
 // 🔥🔥🔥 ABSOLUTE TOP - BEFORE ANYTHING ELSE 🔥🔥🔥
 app.use((req, res, next) => {
@@ -27,12 +37,6 @@ app.use((req, res, next) => {
     "media-src *; " +
     "object-src *;"
   );
-  
-  // Also add these headers to be sure
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-  
   next();
 });
 
@@ -47,13 +51,37 @@ const limiter = rateLimit({
   standardHeaders: true,
   legacyHeaders: false,
   message: { error: 'Too many requests, please try again later.' },
+  skip: req => req.path.startsWith('/data/'),
 });
 app.use('/api/', limiter);
 
+// Sync sends many small requests, so the data API gets its own, larger budget
+const dataLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 3000,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { error: 'Too many requests, please try again later.' },
+});
+app.use('/api/data/', dataLimiter);
+
+// Sign-in attempts get a much smaller budget than the rest of the API
+const authLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 20,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { error: 'Too many sign-in attempts, please try again later.' },
+});
+app.use(['/api/auth/login', '/api/auth/register'], authLimiter);
+
 // ─── CORS ────────────────────────────────────────────────────────────────────
+// Same-origin only unless ALLOWED_ORIGIN lists other front-ends (comma separated).
+// Requests carry a bearer token, never cookies.
 app.use(cors({
-  origin: '*',
-  credentials: true,
+  origin: allowedOrigins.length ? allowedOrigins : false,
+  methods: ['GET', 'POST', 'PUT', 'DELETE'],
+  allowedHeaders: ['Content-Type', 'Authorization'],
 }));
 
 // ─── Body parsers ─────────────────────────────────────────────────────────────
@@ -70,8 +98,22 @@ if (!isProduction) {
 
 // ─── Static files ─────────────────────────────────────────────────────────────
 const publicDir = path.join(__dirname, 'public');
-const staticDir = fs.existsSync(publicDir) ? publicDir : __dirname;
-app.use(express.static(staticDir, { maxAge: isProduction ? '1d' : 0, etag: true }));
+const hasPublicDir = fs.existsSync(publicDir);
+const staticDir = hasPublicDir ? publicDir : __dirname;
+const staticOptions = { maxAge: isProduction ? '1d' : 0, etag: true };
+if (hasPublicDir) {
+  // Everything under public/ is served, so the data store has to live elsewhere
+  const dataRel = path.relative(publicDir, dataDir);
+  if (store && !dataRel.startsWith('..') && !path.isAbsolute(dataRel)) {
+    console.error(`❌ GJ_DATA_DIR (${dataDir}) is inside ${publicDir}; move it out of the static root`);
+    process.exit(1);
+  }
+  app.use(express.static(publicDir, staticOptions));
+} else {
+  // The repo root also holds the server code and the data store; only the client files are public
+  const CLIENT_FILES = ['index.html', 'app.js', 'supabase-client.js'];
+  CLIENT_FILES.forEach(file => app.get('/' + file, (req, res) => res.sendFile(path.join(__dirname, file), staticOptions)));
+}
 
 // ─── Health check ─────────────────────────────────────────────────────────────
 app.get('/api/health', (req, res) => {
@@ -83,6 +125,25 @@ app.get('/api/health', (req, res) => {
   });
 });
 
+// ─── Client config ────────────────────────────────────────────────────────────
+app.get('/api/config', (req, res) => {
+  res.json({ backend: BACKEND, accounts: !!auth, signup: !!auth && process.env.GJ_ALLOW_SIGNUP !== 'false' });
+});
+
+// ─── Authentication ───────────────────────────────────────────────────────────
+// With server accounts, everything under /api/ except the routes below needs a
+// signed-in teacher. Without them there is no one to sign in, so the exports
+// and imports stay open as they always were.
+const PUBLIC_API = ['/health', '/config', '/auth/login', '/auth/register'];
+if (auth) app.use('/api/auth', auth.router);
+app.use('/api/', (req, res, next) => {
+  if (!auth || PUBLIC_API.includes(req.path)) return next();
+  auth.requireAuth(req, res, next);
+});
+
+// ─── Persistence API ──────────────────────────────────────────────────────────
+if (store) app.use('/api/data', createDataRouter(store));
+
 // ─── Validation helpers ───────────────────────────────────────────────────────
 function validateLessonData(data) {
   const errors = [];
@@ -103,7 +164,108 @@ function validateClassData(data) {
   return errors;
 }
 
+function validateStudentData(data) {
+  const errors = [];
+  if (!data.className || typeof data.className !== 'string') errors.push('Missing className');
+  if (!data.studentName || typeof data.studentName !== 'string') errors.push('Missing studentName');
+  if (!Array.isArray(data.lessons)) errors.push('lessons must be an array');
+  if (data.lessons && data.lessons.length > 1000) errors.push('Too many lessons (max 1000)');
+  if (data.lessons?.some(l => !l || !Array.isArray(l.grades))) errors.push('Each lesson needs a grades array');
+  return errors;
+}
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_RE = /^\d{2}:\d{2}$/;
+
+function validateCalendarData(data) {
+  const errors = [];
+  if (!Array.isArray(data.events)) errors.push('events must be an array');
+  else {
+    if (data.events.length > MAX_EVENTS) errors.push(`Too many events (max ${MAX_EVENTS})`);
+    if (data.events.some(e => !e || typeof e.uid !== 'string' || typeof e.summary !== 'string' || !DATE_RE.test(e.date))) errors.push('Each event needs a uid, summary and date');
+    if (data.events.some(e => (e.start && !TIME_RE.test(e.start)) || (e.end && !TIME_RE.test(e.end)))) errors.push('Times must be HH:MM');
+  }
+  return errors;
+}
+
 // ─── Excel export helpers ───────────────────────────────────────────────────
+// Numeric grades go in as numbers so sums and formulas over them work; blanks
+// stay truly empty, since Excel reads an empty-string cell in arithmetic as #VALUE!
+function cellValue(v) {
+  if (v === null || v === undefined || v === '') return null;
+  const n = Number(v);
+  return typeof v === 'string' && /^-?\d+(\.\d+)?$/.test(v.trim()) && Number.isFinite(n) ? n : v;
+}
+
+// Formula columns arrive with {i} for the i-th grade column (see app.js
+// formulaToExcel); anything outside that small grammar is exported as a value.
+// The app treats blanks and Missing/Excused cells differently from Excel, so a
+// row only gets the live formula when every cell it reads is a plain number.
+function excelFormula(template, rowNumber, ws, columnCount, row) {
+  if (typeof template !== 'string' || !template || template.length > 500) return null;
+  if (!/^[A-Z0-9{}(),.+\-*/<>="\s]+$/.test(template)) return null;
+  const refs = [...template.matchAll(/\{(\d+)\}/g)].map(m => Number(m[1]));
+  if (refs.some(i => i >= columnCount)) return null;
+  if (refs.some(i => typeof cellValue(row.grades?.[i]) !== 'number' || row.states?.[i] === 'missing' || row.states?.[i] === 'excused')) return null;
+  return template.replace(/\{(\d+)\}/g, (_, i) => `${ws.getColumn(Number(i) + 3).letter}${rowNumber}`);
+}
+
+// Grade cell states arrive beside the grades (CELL_STATES in app.js). Missing
+// goes in as 0 so sums and averages count it; Excused and ungraded Incomplete
+// go in as text, which Excel's functions skip.
+const CELL_STATE_STYLES = {
+  missing:    { label: 'Missing',    argb: 'FFC62828', fill: 'FFFFEBEE' },
+  excused:    { label: 'Excused',    argb: 'FF78909C', fill: 'FFECEFF1' },
+  incomplete: { label: 'Incomplete', argb: 'FF6A1B9A', fill: 'FFF3E5F5' },
+  late:       { label: 'Late',       argb: 'FFE65100', fill: 'FFFFF3E0' },
+};
+
+function applyCellState(cell, state) {
+  const style = CELL_STATE_STYLES[state];
+  if (!style) return;
+  if (state === 'missing') cell.value = 0;
+  else if (state === 'excused' || cell.value === '' || cell.value == null) cell.value = style.label;
+  cell.note = style.label;
+  cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: style.fill } };
+  cell.font = { name: 'Calibri', size: 10, bold: true, color: { argb: style.argb } };
+}
+
+// Attendance statuses arrive with the payload (ATTENDANCE_STATUSES in app.js
+// plus the classroom's own); payloads without them get the original three.
+const DEFAULT_ATTENDANCE = [
+  { id: 'present', label: 'Present', color: '#2E7D32' },
+  { id: 'late',    label: 'Late',    color: '#E65100' },
+  { id: 'absent',  label: 'Absent',  color: '#C62828' },
+];
+
+function attendanceStatuses(data) {
+  const list = Array.isArray(data.attendanceStatuses) ? data.attendanceStatuses : DEFAULT_ATTENDANCE;
+  return list
+    .filter(st => st && typeof st.id === 'string' && typeof st.label === 'string')
+    .slice(0, 50)
+    .map(st => ({ id: st.id, label: st.label.slice(0, 40), color: /^#[0-9a-f]{6}$/i.test(st.color) ? st.color : '#5C4A2A' }));
+}
+
+// The status colour as a font, and mixed with white as a light fill
+function attendanceStyle(statuses, id) {
+  const st = statuses.find(x => x.id === id) || { label: String(id || ''), color: '#000000' };
+  const rgb = [1, 3, 5].map(i => parseInt(st.color.slice(i, i + 2), 16));
+  const hex = v => Math.round(v).toString(16).padStart(2, '0');
+  return {
+    label: st.label,
+    argb: `FF${st.color.slice(1)}`.toUpperCase(),
+    fill: `FF${rgb.map(v => hex(255 - (255 - v) * 0.12)).join('')}`.toUpperCase(),
+  };
+}
+
+// "Present: 12  ·  Late: 1 …" for the original three and any other status that occurs
+function attendanceCounts(statuses, values) {
+  return statuses
+    .map(st => ({ st, n: values.filter(v => v === st.id).length }))
+    .filter(({ st, n }) => n || DEFAULT_ATTENDANCE.some(d => d.id === st.id))
+    .map(({ st, n }) => `${st.label}: ${n}`).join('  ·  ');
+}
+
 function styleHeaderRow(row, accentArgb) {
   row.eachCell(cell => {
     cell.font = { bold: true, color: { argb: 'FFFFFF' }, name: 'Calibri', size: 11 };
@@ -146,7 +308,7 @@ function hslToArgb(h, s, l) {
 app.post('/api/export/excel', async (req, res) => {
   try {
     const data = req.body;
-    if (!data.type || !['lesson', 'class'].includes(data.type)) {
+    if (!data.type || !['lesson', 'class', 'student'].includes(data.type)) {
       return res.status(400).json({ error: 'Invalid export type' });
     }
 
@@ -189,14 +351,15 @@ app.post('/api/export/excel', async (req, res) => {
       ws.mergeCells(3, 1, 3, colCount);
       ws.getRow(3).height = 8;
 
-      const present = data.rows.filter(r => r.attendance === 'present').length;
-      const late = data.rows.filter(r => r.attendance === 'late').length;
-      const absent = data.rows.filter(r => r.attendance === 'absent').length;
+      const statuses = attendanceStatuses(data);
+      const values = data.rows.map(r => r.attendance || 'present');
+      // Older clients don't send the rate, so fall back to counting present and late
       const total = data.rows.length;
-      const rate = total > 0 ? Math.round(((present + late) / total) * 100) : 100;
+      const rate = typeof data.attendanceRate === 'number' ? data.attendanceRate
+        : total > 0 ? Math.round((values.filter(v => v === 'present' || v === 'late').length / total) * 100) : 100;
 
       ws.mergeCells(4, 1, 4, colCount);
-      ws.getCell('A4').value = `📊 Attendance: ${rate}%  |  ✅ Present: ${present}  ·  ⏰ Late: ${late}  ·  ❌ Absent: ${absent}`;
+      ws.getCell('A4').value = `📊 Attendance: ${rate}%  |  ${attendanceCounts(statuses, values)}${typeof data.attendancePolicy === 'string' ? `  |  Excused absences: ${data.attendancePolicy.toLowerCase()}` : ''}`;
       ws.getCell('A4').font = { name: 'Calibri', size: 10, color: { argb: 'FF5C4A2A' } };
       ws.getCell('A4').fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFFF0DC' } };
       ws.getRow(4).height = 22;
@@ -210,16 +373,17 @@ app.post('/api/export/excel', async (req, res) => {
       data.rows.forEach((row, idx) => {
         const exRow = ws.getRow(idx + 6);
         exRow.getCell(1).value = row.studentName || '';
-        const att = (row.attendance || 'present');
-        exRow.getCell(2).value = att.charAt(0).toUpperCase() + att.slice(1);
-
-        const attColors = { present: 'FFE8F5E9', late: 'FFFFF3E0', absent: 'FFFFEBEE' };
-        const attFontColors = { present: 'FF2E7D32', late: 'FFE65100', absent: 'FFC62828' };
-        exRow.getCell(2).fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: attColors[att] || 'FFFFFFFF' } };
-        exRow.getCell(2).font = { name: 'Calibri', size: 10, bold: true, color: { argb: attFontColors[att] || 'FF000000' } };
+        const att = attendanceStyle(statuses, row.attendance || 'present');
+        exRow.getCell(2).value = att.label;
+        // Minutes late and the reason go in the cell's note
+        if (typeof row.attendanceNote === 'string' && row.attendanceNote) exRow.getCell(2).note = row.attendanceNote;
+        exRow.getCell(2).fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: att.fill } };
+        exRow.getCell(2).font = { name: 'Calibri', size: 10, bold: true, color: { argb: att.argb } };
 
         (row.grades || []).forEach((grade, ci) => {
-          exRow.getCell(ci + 3).value = grade || '';
+          exRow.getCell(ci + 3).value = cellValue(grade);
+          const formula = excelFormula(data.formulas?.[ci], idx + 6, ws, data.columns.length, row);
+          if (formula) exRow.getCell(ci + 3).value = { formula, result: cellValue(grade) ?? undefined };
         });
 
         for (let c = 1; c <= colCount; c++) {
@@ -230,6 +394,7 @@ app.post('/api/export/excel', async (req, res) => {
             cell.border = { bottom: { style: 'hair', color: { argb: 'FFE0D4C0' } } };
           }
         }
+        (row.states || []).forEach((state, ci) => applyCellState(exRow.getCell(ci + 3), state));
         exRow.height = 26;
       });
 
@@ -237,6 +402,68 @@ app.post('/api/export/excel', async (req, res) => {
       ws.getColumn(2).width = 14;
       for (let c = 3; c <= colCount; c++) ws.getColumn(c).width = 14;
 
+    } else if (data.type === 'student') {
+      const errors = validateStudentData(data);
+      if (errors.length) return res.status(400).json({ error: errors.join(', ') });
+
+      const ws = wb.addWorksheet('Student Report', {
+        pageSetup: { paperSize: 9, orientation: 'landscape', fitToPage: true },
+        views: [{ state: 'frozen', xSplit: 0, ySplit: 5 }],
+      });
+
+      ws.mergeCells('A1:F1');
+      ws.getCell('A1').value = `${data.studentName}  ·  ${data.className}`;
+      ws.getCell('A1').font = { name: 'Calibri', size: 16, bold: true, color: { argb: 'FF2C2416' } };
+      ws.getCell('A1').fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFFF8F0' } };
+      ws.getRow(1).height = 36;
+
+      ws.mergeCells('A2:F2');
+      ws.getCell('A2').value = `Student Report  ·  ${data.teacherName || ''}  ·  Generated ${new Date().toLocaleDateString()}`;
+      ws.getCell('A2').font = { name: 'Calibri', size: 10, italic: true, color: { argb: 'FFA08060' } };
+      ws.getCell('A2').fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFFF8F0' } };
+      ws.getRow(2).height = 20;
+
+      ws.mergeCells('A3:F3');
+      ws.getRow(3).height = 8;
+
+      const avg = typeof data.courseAverage === 'number' ? `${data.courseAverage}%` : '—';
+      ws.mergeCells('A4:F4');
+      const statuses = attendanceStatuses(data);
+      const minutes = Number(data.minutesLate) > 0 ? `  ·  ${Number(data.minutesLate)} min late in total` : '';
+      ws.getCell('A4').value = `📊 Attendance: ${data.attendanceRate ?? 100}%  |  ${attendanceCounts(statuses, data.lessons.map(l => l?.attendance || 'present'))}${minutes}  |  Course Average: ${avg}${typeof data.courseGrade === 'string' && data.courseGrade ? ` · ${data.courseGrade}` : ''}`;
+      ws.getCell('A4').font = { name: 'Calibri', size: 10, color: { argb: 'FF5C4A2A' } };
+      ws.getCell('A4').fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFFF0DC' } };
+      ws.getRow(4).height = 22;
+
+      const headerRow = ws.getRow(5);
+      ['Date', 'Lesson', 'Attendance', 'Grade', 'Score', 'Comment'].forEach((h, i) => { headerRow.getCell(i + 1).value = h; });
+      styleHeaderRow(headerRow, accentArgb);
+
+      let rowNumber = 6;
+      // One line per graded cell; a lesson without grades still gets a line for its attendance
+      data.lessons.forEach((lesson, li) => {
+        const grades = lesson.grades.length ? lesson.grades : [{}];
+        const att = attendanceStyle(statuses, lesson.attendance || 'present');
+        grades.forEach((grade, gi) => {
+          const exRow = ws.getRow(rowNumber++);
+          exRow.getCell(1).value = lesson.date || '';
+          exRow.getCell(2).value = lesson.topic || '';
+          exRow.getCell(3).value = att.label;
+          if (gi === 0 && typeof lesson.attendanceNote === 'string' && lesson.attendanceNote) exRow.getCell(3).note = lesson.attendanceNote;
+          exRow.getCell(4).value = grade.column || '';
+          exRow.getCell(5).value = cellValue(grade.value);
+          exRow.getCell(6).value = grade.comment || '';
+          for (let c = 1; c <= 6; c++) styleDataCell(exRow.getCell(c), li % 2 === 1);
+          exRow.getCell(3).font = { name: 'Calibri', size: 10, bold: true, color: { argb: att.argb } };
+          exRow.getCell(5).alignment = { vertical: 'middle', horizontal: 'center' };
+          exRow.getCell(6).alignment = { vertical: 'middle', wrapText: true };
+          exRow.getCell(6).font = { name: 'Calibri', size: 10, italic: true, color: { argb: 'FF5C4A2A' } };
+          applyCellState(exRow.getCell(5), grade.state);
+        });
+      });
+
+      ws.columns = [{ width: 12 }, { width: 28 }, { width: 13 }, { width: 20 }, { width: 10 }, { width: 60 }];
+
     } else {
       const errors = validateClassData(data);
       if (errors.length) return res.status(400).json({ error: errors.join(', ') });
@@ -246,23 +473,23 @@ app.post('/api/export/excel', async (req, res) => {
         views: [{ state: 'frozen', xSplit: 0, ySplit: 4 }],
       });
 
-      ws.mergeCells('A1:F1');
+      ws.mergeCells('A1:H1');
       ws.getCell('A1').value = `${data.className}  ·  Class Roster`;
       ws.getCell('A1').font = { name: 'Calibri', size: 16, bold: true, color: { argb: 'FF2C2416' } };
       ws.getCell('A1').fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFFF8F0' } };
       ws.getRow(1).height = 36;
 
-      ws.mergeCells('A2:F2');
+      ws.mergeCells('A2:H2');
       ws.getCell('A2').value = `Generated ${new Date().toLocaleDateString()}  ·  ${data.rows.length} students`;
       ws.getCell('A2').font = { name: 'Calibri', size: 10, italic: true, color: { argb: 'FFA08060' } };
       ws.getCell('A2').fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFFF8F0' } };
       ws.getRow(2).height = 20;
 
-      ws.mergeCells('A3:F3');
+      ws.mergeCells('A3:H3');
       ws.getRow(3).height = 8;
 
       const headerRow = ws.getRow(4);
-      ['Student', 'Phone', 'Email', 'Parent / Guardian', 'Parent Phone', 'Attendance Rate'].forEach((h, i) => {
+      ['Student', 'Phone', 'Email', 'Parent / Guardian', 'Parent Phone', 'Attendance Rate', 'Course Average', 'Grade'].forEach((h, i) => {
         headerRow.getCell(i + 1).value = h;
       });
       styleHeaderRow(headerRow, accentArgb);
@@ -281,9 +508,19 @@ app.post('/api/export/excel', async (req, res) => {
         const rateArgb = rate >= 80 ? 'FF2E7D32' : rate >= 50 ? 'FFE65100' : 'FFC62828';
         exRow.getCell(6).font = { name: 'Calibri', size: 10, bold: true, color: { argb: rateArgb } };
 
-        for (let c = 1; c <= 6; c++) {
+        // courseAverage is a percentage, or null before anything is graded
+        const avg = typeof row.courseAverage === 'number' ? row.courseAverage : null;
+        exRow.getCell(7).value = avg === null ? '—' : avg / 100;
+        exRow.getCell(7).numFmt = '0.0%';
+        const avgArgb = avg === null ? 'FFA08060' : avg >= 80 ? 'FF2E7D32' : avg >= 60 ? 'FFE65100' : 'FFC62828';
+        exRow.getCell(7).font = { name: 'Calibri', size: 10, bold: true, color: { argb: avgArgb } };
+        // The classroom's grading-scale label for that average (A–F, 1–5…), when it has one
+        exRow.getCell(8).value = typeof row.courseGrade === 'string' ? row.courseGrade : '';
+        exRow.getCell(8).font = { name: 'Calibri', size: 10, bold: true, color: { argb: avgArgb } };
+
+        for (let c = 1; c <= 8; c++) {
           const cell = exRow.getCell(c);
-          if (c !== 6) styleDataCell(cell, idx % 2 === 1);
+          if (c < 6) styleDataCell(cell, idx % 2 === 1);
           else {
             cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: idx % 2 === 1 ? 'FFF8F4EE' : 'FFFFFFFF' } };
             cell.alignment = { vertical: 'middle', horizontal: 'center' };
@@ -295,7 +532,7 @@ app.post('/api/export/excel', async (req, res) => {
 
       ws.columns = [
         { width: 28 }, { width: 18 }, { width: 28 },
-        { width: 24 }, { width: 18 }, { width: 16 },
+        { width: 24 }, { width: 18 }, { width: 16 }, { width: 16 }, { width: 10 },
       ];
     }
 
@@ -310,6 +547,158 @@ app.post('/api/export/excel', async (req, res) => {
   }
 });
 
+// ─── Calendar files ───────────────────────────────────────────────────────────
+// POST /api/export/ics {name, events}   lessons as an RFC 5545 calendar
+// POST /api/import/ics {text, tzOffset} VEVENTs of an uploaded calendar as plain events
+app.post('/api/export/ics', (req, res) => {
+  const data = req.body || {};
+  const errors = validateCalendarData(data);
+  if (errors.length) return res.status(400).json({ error: errors.join(', ') });
+  res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="GradeJournal-${Date.now()}.ics"`);
+  res.send(buildCalendar({ name: typeof data.name === 'string' ? data.name : '', events: data.events }));
+});
+
+app.post('/api/import/ics', (req, res) => {
+  const text = req.body?.text;
+  if (typeof text !== 'string' || !/BEGIN:VCALENDAR/i.test(text)) return res.status(400).json({ error: 'Not an iCalendar (.ics) file' });
+  const tzOffset = Math.max(-840, Math.min(840, parseInt(req.body.tzOffset) || 0));
+  try {
+    res.json(parseCalendar(text, { tzOffset }));
+  } catch (err) {
+    console.error('Calendar import error:', err);
+    res.status(400).json({ error: 'Could not read the calendar file' });
+  }
+});
+
+// ─── Spreadsheet import ───────────────────────────────────────────────────────
+// POST /api/import/roster {fileName, data}     data is the CSV or XLSX file as base64.
+//   Returns the first sheet with data as {sheetName, headers, rows} of plain strings;
+//   the client maps the columns onto student fields.
+// POST /api/import/gradebook {fileName, data}  every sheet as {name, preamble, headers,
+//   rows, notes, footer}; the client maps sheets onto classrooms and columns onto lessons.
+const MAX_ROSTER_ROWS = 1000;
+const MAX_GRADEBOOK_SHEETS = 30;
+const MAX_GRADEBOOK_COLUMNS = 400;
+
+function plainCellText(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map(r => r.text).join('').trim();
+    if (value.text !== undefined) return plainCellText(value.text);
+    if (value.result !== undefined) return plainCellText(value.result);
+    return '';
+  }
+  return String(value).trim();
+}
+
+// Spreadsheets saved in some locales separate CSV fields with ; or tabs
+function csvDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  return [',', ';', '\t'].reduce((best, d) => (firstLine.split(d).length > firstLine.split(best).length ? d : best), ',');
+}
+
+// A CSV file becomes a one-sheet workbook; null when the file type isn't one we read
+async function loadSpreadsheet(fileName, data) {
+  const isCsv = /\.(csv|txt)$/.test(fileName);
+  if (!isCsv && !fileName.endsWith('.xlsx')) return null;
+  const buffer = Buffer.from(data, 'base64');
+  const wb = new ExcelJS.Workbook();
+  if (isCsv) {
+    const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+    // Values stay text so phone numbers keep their leading zeros
+    await wb.csv.read(Readable.from([text]), { map: v => v, parserOptions: { delimiter: csvDelimiter(text) } });
+  } else {
+    await wb.xlsx.load(buffer);
+  }
+  return { wb, isCsv };
+}
+
+// Rows with something in them, as {number, values, notes}. A merged range reads
+// as its first cell, so a title across the sheet counts as one value.
+function sheetRows(ws) {
+  const rows = [];
+  ws.eachRow(row => {
+    const values = [];
+    const notes = [];
+    row.eachCell({ includeEmpty: true }, (cell, col) => {
+      const covered = cell.isMerged && cell.master.address !== cell.address;
+      values[col - 1] = covered ? '' : plainCellText(cell.value);
+      const note = typeof cell.note === 'string' ? cell.note : (cell.note?.texts || []).map(t => t.text).join('');
+      if (note && !covered) notes[col - 1] = note.trim();
+    });
+    const plain = Array.from(values, v => v || '');
+    if (plain.some(Boolean)) rows.push({ number: row.number, values: plain, notes });
+  });
+  return rows;
+}
+
+const padRow = (row, width) => Array.from({ length: width }, (_, i) => row[i] || '');
+
+app.post('/api/import/roster', async (req, res) => {
+  const fileName = String(req.body?.fileName || '').toLowerCase();
+  const data = req.body?.data;
+  if (typeof data !== 'string' || !data) return res.status(400).json({ error: 'No file received' });
+  try {
+    const loaded = await loadSpreadsheet(fileName, data);
+    if (!loaded) return res.status(400).json({ error: 'Upload a .csv or .xlsx file' });
+    const ws = loaded.wb.worksheets.find(sheet => sheet.actualRowCount > 0);
+    if (!ws) return res.status(400).json({ error: 'The file has no rows' });
+    const rows = sheetRows(ws).map(r => r.values);
+    if (!rows.length) return res.status(400).json({ error: 'The file has no rows' });
+    if (rows.length - 1 > MAX_ROSTER_ROWS) return res.status(400).json({ error: `Too many rows (max ${MAX_ROSTER_ROWS})` });
+    const width = Math.max(...rows.map(r => r.length));
+    res.json({ sheetName: loaded.isCsv ? '' : ws.name, headers: padRow(rows[0], width), rows: rows.slice(1).map(r => padRow(r, width)) });
+  } catch (err) {
+    console.error('Roster import error:', err);
+    res.status(400).json({ error: 'Could not read the spreadsheet' });
+  }
+});
+
+// The header is the first row with two or more values; the lines above it (titles,
+// "Date: …") come back as the preamble. A lone row after a gap is a footer rather
+// than a student: GradeJournal's exports put their totals and status key there.
+function gradebookSheet(ws, name) {
+  const rows = sheetRows(ws);
+  const h = rows.findIndex(r => r.values.filter(Boolean).length >= 2);
+  if (h < 0) return null;
+  const isGap = i => i >= rows.length || rows[i].number > rows[i - 1].number + 1;
+  const lone = rows.slice(h + 1).map((r, k) => isGap(h + 1 + k) && isGap(h + 2 + k));
+  const body = rows.slice(h + 1).filter((r, k) => !lone[k]);
+  const width = Math.min(MAX_GRADEBOOK_COLUMNS, Math.max(...[rows[h], ...body].map(r => r.values.length)));
+  const notes = {};
+  body.forEach((r, i) => r.notes.forEach((note, col) => { if (note && col < width) notes[`${i},${col}`] = note; }));
+  return {
+    name,
+    preamble: rows.slice(0, h).map(r => r.values.filter(Boolean).join('  ')),
+    headers: padRow(rows[h].values, width),
+    rows: body.map(r => padRow(r.values, width)),
+    notes,
+    footer: rows.slice(h + 1).filter((r, k) => lone[k]).map(r => r.values.filter(Boolean).join('  ')),
+  };
+}
+
+app.post('/api/import/gradebook', async (req, res) => {
+  const fileName = String(req.body?.fileName || '').toLowerCase();
+  const data = req.body?.data;
+  if (typeof data !== 'string' || !data) return res.status(400).json({ error: 'No file received' });
+  try {
+    const loaded = await loadSpreadsheet(fileName, data);
+    if (!loaded) return res.status(400).json({ error: 'Upload an .xlsx or .csv file' });
+    const worksheets = loaded.wb.worksheets.filter(ws => ws.actualRowCount > 0);
+    if (worksheets.length > MAX_GRADEBOOK_SHEETS) return res.status(400).json({ error: `Too many sheets (max ${MAX_GRADEBOOK_SHEETS})` });
+    const sheets = worksheets.map(ws => gradebookSheet(ws, loaded.isCsv ? String(req.body.fileName).replace(/\.[^.]+$/, '') : ws.name)).filter(Boolean);
+    if (!sheets.length) return res.status(400).json({ error: 'No sheet has a header row and data' });
+    const tooLong = sheets.find(sheet => sheet.rows.length > MAX_ROSTER_ROWS);
+    if (tooLong) return res.status(400).json({ error: `Too many rows in ${tooLong.name} (max ${MAX_ROSTER_ROWS})` });
+    res.json({ sheets });
+  } catch (err) {
+    console.error('Gradebook import error:', err);
+    res.status(400).json({ error: 'Could not read the spreadsheet' });
+  }
+});
+
 // Catch-all route
 app.use((req, res) => {
   if (req.path.startsWith('/api/')) {
@@ -332,9 +721,11 @@ const server = app.listen(PORT, () => {
   console.log(`✅ GradeJournal v6.1 running on port ${PORT}`);
   console.log(`📊 Excel exports: ExcelJS`);
   console.log(`📄 PDF exports: client-side jsPDF`);
+  console.log(`💾 Data: ${store ? store.file : 'Supabase'}`);
   console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
   if (!isProduction) console.log(`   → http://localhost:${PORT}`);
 });
 
-process.on('SIGTERM', () => { server.close(() => process.exit(0)); });
-process.on('SIGINT', () => { server.close(() => process.exit(0)); });
+function shutdown() { server.close(() => (store ? store.flush() : Promise.resolve()).finally(() => process.exit(0))); }
+process.on('SIGTERM', shutdown);
+process.on('SIGINT', shutdown);
@@ -0,0 +1,110 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// ─── Tables ───────────────────────────────────────────────────────────────────
+// Row shapes are the ones app.js already sends to Supabase. `key` is the
+// natural key an upsert matches on; lessons get a generated id like the
+// Supabase table does, and an id sent with a new row is ignored.
+const TABLES = {
+  classrooms:      { key: ['id'] },
+  students:        { key: ['classroom_id', 'student_number'] },
+  lessons:         { key: ['classroom_id', 'lesson_number'], generatedId: true },
+  columns:         { key: ['classroom_id', 'column_number'] },
+  grades:          { key: ['lesson_id', 'column_id', 'student_id'] },
+  attendance:      { key: ['lesson_id', 'student_id'] },
+  tombstones:      { key: ['user_id', 'entity', 'classroom_id', 'entity_id'] },
+  export_settings: { key: ['user_id'] },
+};
+
+// Server-only tables, never reachable through the data API
+const PRIVATE_TABLES = {
+  users:    { key: ['id'] },
+  sessions: { key: ['token_hash'] },
+};
+const ALL_TABLES = { ...TABLES, ...PRIVATE_TABLES };
+
+// Query-string values arrive as strings, so comparisons are done on strings
+function sameCell(a, b) { return String(a ?? '') === String(b ?? ''); }
+
+// filter: { column: value | [values] } — arrays match any of their values
+function matches(row, filter = {}) {
+  return Object.entries(filter).every(([col, val]) =>
+    Array.isArray(val) ? val.some(v => sameCell(row[col], v)) : sameCell(row[col], val));
+}
+
+// ─── Embedded on-disk store ───────────────────────────────────────────────────
+// Everything lives in one JSON file. Saves are serialised and written to a
+// temp file that is renamed into place, so a crash never leaves half a file.
+function createStore(dataDir) {
+  const file = path.join(dataDir, 'gradejournal.json');
+  fs.mkdirSync(dataDir, { recursive: true });
+
+  let data = {};
+  if (fs.existsSync(file)) {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+  Object.keys(ALL_TABLES).forEach(t => { if (!Array.isArray(data[t])) data[t] = []; });
+
+  let saving = null;
+  let dirty = false;
+
+  async function writeFile() {
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify(data));
+    await fs.promises.rename(tmp, file);
+  }
+
+  function save() {
+    dirty = true;
+    if (saving) return saving;
+    saving = (async () => {
+      try {
+        while (dirty) { dirty = false; await writeFile(); }
+      } finally { saving = null; }
+    })();
+    return saving;
+  }
+
+  function table(name) {
+    if (!Object.prototype.hasOwnProperty.call(ALL_TABLES, name)) throw Object.assign(new Error(`Unknown table: ${name}`), { status: 404 });
+    return data[name];
+  }
+
+  function select(name, filter) {
+    return table(name).filter(row => matches(row, filter));
+  }
+
+  async function upsert(name, rows) {
+    const rowsOf = table(name);
+    const { key, generatedId } = ALL_TABLES[name];
+    const keyOf = row => key.map(k => String(row[k] ?? '')).join('|');
+    const index = new Map(rowsOf.map((row, i) => [keyOf(row), i]));
+    const written = rows.map(row => {
+      const i = index.get(keyOf(row));
+      if (i !== undefined) {
+        rowsOf[i] = { ...rowsOf[i], ...row, ...(generatedId ? { id: rowsOf[i].id } : {}) };
+        return rowsOf[i];
+      }
+      const created = generatedId ? { ...row, id: crypto.randomUUID() } : { ...row };
+      index.set(keyOf(created), rowsOf.push(created) - 1);
+      return created;
+    });
+    await save();
+    return written;
+  }
+
+  async function remove(name, filter) {
+    const rowsOf = table(name);
+    const kept = rowsOf.filter(row => !matches(row, filter));
+    const removed = rowsOf.length - kept.length;
+    if (removed) { data[name] = kept; await save(); }
+    return removed;
+  }
+
+  return { select, upsert, remove, flush: () => saving || Promise.resolve(), file };
+}
+
+module.exports = { createStore, TABLES };
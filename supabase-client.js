@@ -117,10 +117,25 @@ export async function upsertRows(table, rows, conflictKey = 'id') {
   return data;
 }
 
-export function subscribeTable(table = 'grades', onEvent = () => {}) {
+export async function deleteRows(table, match = {}, inFilters = {}) {
+  await rateLimiter.acquire();
+
+  let query = supabase.from(table).delete().match(match);
+  for (const [column, values] of Object.entries(inFilters)) {
+    query = query.in(column, values);
+  }
+
+  const { error } = await query;
+  if (error) throw error;
+}
+
+export function subscribeTable(table = 'grades', onEvent = () => {}, filter = null) {
+  const options = { event: '*', schema: 'public', table };
+  if (filter) options.filter = filter;
+
   const channel = supabase
-    .channel(`public:${table}`)
-    .on('postgres_changes', { event: '*', schema: 'public', table }, (payload) => {
+    .channel(filter ? `public:${table}:${filter}` : `public:${table}`)
+    .on('postgres_changes', options, (payload) => {
       try {
         onEvent(payload);
       } catch (e) {
@@ -147,6 +162,7 @@ if (typeof window !== 'undefined') {
     fetchTable,
     insertRow,
     upsertRows,
+    deleteRows,
     subscribeTable,
     unsubscribeChannel,
     batchOperation,
@@ -0,0 +1,17 @@
+-- Deletion tombstones, so a classroom, student, lesson or column deleted on one
+-- device is not merged back in from another that still has it.
+-- Run each file in the Supabase SQL editor (or `supabase db push`) before upgrading the app.
+create table if not exists public.tombstones (
+  user_id uuid not null references auth.users (id) on delete cascade,
+  entity text not null,
+  classroom_id text not null,
+  entity_id text not null default '',
+  deleted_at timestamptz not null default now(),
+  unique (user_id, entity, classroom_id, entity_id)
+);
+
+alter table public.tombstones enable row level security;
+drop policy if exists "Teachers manage their own tombstones" on public.tombstones;
+create policy "Teachers manage their own tombstones" on public.tombstones
+  for all using (auth.uid() = user_id) with check (auth.uid() = user_id);
+notify pgrst, 'reload schema';
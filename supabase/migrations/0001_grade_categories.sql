@@ -0,0 +1,6 @@
+-- Weighted grade categories and point-based columns.
+-- Run in the Supabase SQL editor (or `supabase db push`) before upgrading the app.
+alter table public.classrooms add column if not exists categories jsonb not null default '[]'::jsonb;
+alter table public.columns add column if not exists category_id integer;
+alter table public.columns add column if not exists max_points numeric;
+notify pgrst, 'reload schema';
@@ -0,0 +1,3 @@
+-- Per-classroom grading scale (percent, letter, 1–5, 1–10, pass/fail).
+alter table public.classrooms add column if not exists grading_scale jsonb;
+notify pgrst, 'reload schema';
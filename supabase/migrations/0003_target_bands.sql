@@ -0,0 +1,3 @@
+-- Each student's IELTS target band.
+alter table public.students add column if not exists target_band text not null default '';
+notify pgrst, 'reload schema';
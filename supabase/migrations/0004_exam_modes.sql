@@ -0,0 +1,3 @@
+-- Exam modes enabled per classroom (IELTS, TOEFL, Cambridge, SAT, custom).
+alter table public.classrooms add column if not exists exam_modes jsonb not null default '[]'::jsonb;
+notify pgrst, 'reload schema';
@@ -0,0 +1,5 @@
+-- Classroom rubrics, the rubric a column is graded with, and each grade's criterion breakdown.
+alter table public.classrooms add column if not exists rubrics jsonb not null default '[]'::jsonb;
+alter table public.columns add column if not exists rubric_id text;
+alter table public.grades add column if not exists rubric text;
+notify pgrst, 'reload schema';
@@ -0,0 +1,3 @@
+-- Feedback comment on a grade.
+alter table public.grades add column if not exists comment text;
+notify pgrst, 'reload schema';
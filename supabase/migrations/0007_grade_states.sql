@@ -0,0 +1,3 @@
+-- Missing, excused and exempt markers on grade cells.
+alter table public.grades add column if not exists state text;
+notify pgrst, 'reload schema';
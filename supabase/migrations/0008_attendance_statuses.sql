@@ -0,0 +1,21 @@
+-- Excused absences, custom attendance statuses, absence reasons and minutes late.
+alter table public.classrooms add column if not exists attendance_statuses jsonb not null default '[]'::jsonb;
+alter table public.classrooms add column if not exists attendance_policy text not null default 'exclude';
+alter table public.attendance add column if not exists reason text;
+alter table public.attendance add column if not exists minutes_late integer;
+
+-- Status is no longer limited to present/late/absent: "excused" and each
+-- classroom's custom status ids are stored too, so drop any enum or check on it
+alter table public.attendance alter column status type text using status::text;
+do $$
+declare c record;
+begin
+  for c in
+    select con.conname from pg_constraint con
+    where con.conrelid = 'public.attendance'::regclass and con.contype = 'c'
+      and pg_get_constraintdef(con.oid) ilike '%status%'
+  loop
+    execute format('alter table public.attendance drop constraint %I', c.conname);
+  end loop;
+end $$;
+notify pgrst, 'reload schema';
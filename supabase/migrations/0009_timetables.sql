@@ -0,0 +1,8 @@
+-- Classroom timetables and the lessons generated from them. Times are kept as
+-- "HH:MM" text so they round-trip unchanged.
+alter table public.classrooms add column if not exists timetable jsonb;
+alter table public.lessons add column if not exists display_number integer;
+alter table public.lessons add column if not exists start_time text;
+alter table public.lessons add column if not exists end_time text;
+alter table public.lessons add column if not exists session_key text;
+notify pgrst, 'reload schema';
@@ -0,0 +1,3 @@
+-- Lesson notes, which calendar files carry as the event description.
+alter table public.lessons add column if not exists notes text not null default '';
+notify pgrst, 'reload schema';